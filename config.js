@@ -1,10 +1,81 @@
 // Configuration file for Geuse Chat
-// Update these values as needed and run the build script
+// These are the defaults; .env files and environment variables override them per environment
+// (see .env.example and configSchema.js for the variable names)
 
-export const config = {
+import { applyEnv } from './configSchema.js';
+
+export const defaults = {
     // Webhook URL for n8n integration
     webhookUrl: 'https://n8n.geuse.io/webhook/a1688d74-03ad-42fa-99b7-a6a4f2211030',
     
+    // Webhook request policy: per-attempt timeout (ms), retry count, backoff bounds (ms)
+    // and the longest pause (ms) between chunks of a streamed reply
+    request: {
+        timeout: 45000,
+        retries: 2,
+        backoffBase: 500,
+        backoffMax: 8000,
+        idleTimeout: 30000
+    },
+    
+    // Webhook request signing: mode 'none', 'token' or 'hmac'
+    // token: POSTs { deviceId } to `tokenEndpoint` for { client_secret, expires_at } and sends it as a Bearer token
+    // hmac: sends X-Geuse-Timestamp and X-Geuse-Signature, the HMAC-SHA256 of `<timestamp>.<body>` keyed by `hmacSecret`
+    // The HMAC key ships to every visitor, so prefer token mode where the session endpoint can check the caller
+    auth: {
+        mode: 'none',
+        tokenEndpoint: '',
+        hmacSecret: ''
+    },
+    
+    // First-open greeting and default suggestion chips
+    // Webhook replies may override chips with a `suggestions` or `quickReplies` array
+    chat: {
+        greeting: "Hi! Tell me what you'd like to build.",
+        suggestions: [
+            'Build an AI chatbot',
+            'Create a SaaS MVP',
+            'Build a mobile app',
+            'Set up a web3 dApp',
+            'Create an API integration',
+            'Build a data dashboard'
+        ],
+        // Transcripts longer than `threshold` only render the visible messages plus `overscan` on each side
+        virtualization: {
+            threshold: 60,
+            overscan: 8
+        }
+    },
+    
+    // Files visitors can attach to a message (size in bytes)
+    // `encoding` is 'base64' (JSON `attachments` array) or 'multipart' (form data next to chatInput)
+    attachments: {
+        maxFiles: 4,
+        maxFileSize: 5 * 1024 * 1024,
+        accept: ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf'],
+        encoding: 'base64'
+    },
+    
+    // Particle scene
+    // `seed` fixes every random choice of the scene (scatter, timings, formation order); empty for a new one per visit
+    // `text` is the wording and CSS font of the text formation (campaign name, brand); empty content removes it,
+    // and `cycle` adds it to the automatic formation rotation
+    scene: {
+        seed: '',
+        text: {
+            content: 'GEUSE',
+            font: '900 160px "Helvetica Neue", Arial, sans-serif',
+            cycle: false
+        }
+    },
+    
+    // Chat session persistence
+    session: {
+        storageKey: 'geuse-chat-session',
+        idleTimeoutMinutes: 60 * 24, // Start a fresh conversation after a day of inactivity
+        maxThreads: 20 // Earlier conversations kept in the thread switcher
+    },
+    
     // AWS S3 deployment settings
     s3: {
         bucket: 'www.geuse.io',
@@ -13,10 +84,10 @@ export const config = {
     },
     
     // CloudFront distribution settings (optional)
-    // Uncomment and configure to enable CloudFront cache invalidation
-    // cloudfront: {
-    //     distributionId: 'YOUR_CLOUDFRONT_DISTRIBUTION_ID'
-    // },
+    // Set GEUSE_CLOUDFRONT_DISTRIBUTION_ID to enable CloudFront cache invalidation
+    cloudfront: {
+        distributionId: ''
+    },
     
     // Build settings
     build: {
@@ -26,4 +97,8 @@ export const config = {
     }
 };
 
-export default config; 
\ No newline at end of file
+// The browser bundle sees the VITE_ variables of the current mode (`vite --mode staging`)
+// Node tools resolve every layer, with validation, through loadConfig()
+export const config = applyEnv(defaults, import.meta.env ?? {});
+
+export default config;
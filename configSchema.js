@@ -0,0 +1,234 @@
+// Configuration schema for Geuse Chat
+// Describes every setting that environment variables may override and how each value is validated
+// Shared by the browser bundle (config.js) and the Node tools (loadConfig.js)
+
+/**
+ * Settings with their type, validation rules and environment variable
+ * - required: true for every build, 'deploy' only when deploying
+ * - env: variable that overrides the value; VITE_ variables also reach the browser, GEUSE_ ones stay in Node
+ */
+export const CONFIG_SCHEMA = [
+    { path: 'webhookUrl', type: 'url', required: true, env: 'VITE_WEBHOOK_URL' },
+
+    { path: 'request.timeout', type: 'integer', min: 0, env: 'VITE_REQUEST_TIMEOUT' },
+    { path: 'request.retries', type: 'integer', min: 0, env: 'VITE_REQUEST_RETRIES' },
+    { path: 'request.backoffBase', type: 'integer', min: 0 },
+    { path: 'request.backoffMax', type: 'integer', min: 0 },
+    { path: 'request.idleTimeout', type: 'integer', min: 0 },
+
+    { path: 'auth.mode', type: 'enum', values: ['none', 'token', 'hmac'], env: 'VITE_AUTH_MODE' },
+    { path: 'auth.tokenEndpoint', type: 'url', allowRelative: true, env: 'VITE_AUTH_TOKEN_ENDPOINT' },
+    { path: 'auth.hmacSecret', type: 'string', env: 'VITE_AUTH_HMAC_SECRET' },
+
+    { path: 'attachments.maxFiles', type: 'integer', min: 0 },
+    { path: 'attachments.maxFileSize', type: 'integer', min: 1 },
+    { path: 'attachments.encoding', type: 'enum', values: ['base64', 'multipart'], env: 'VITE_ATTACHMENT_ENCODING' },
+
+    { path: 'scene.seed', type: 'string', env: 'VITE_SCENE_SEED' },
+    { path: 'scene.text.content', type: 'string', env: 'VITE_SCENE_TEXT' },
+    { path: 'scene.text.font', type: 'string', required: true, env: 'VITE_SCENE_FONT' },
+    { path: 'scene.text.cycle', type: 'boolean', env: 'VITE_SCENE_TEXT_CYCLE' },
+
+    { path: 'session.storageKey', type: 'string', required: true },
+    { path: 'session.idleTimeoutMinutes', type: 'number', min: 1 },
+    { path: 'session.maxThreads', type: 'integer', min: 0 },
+
+    { path: 's3.bucket', type: 'bucket', required: 'deploy', env: 'GEUSE_S3_BUCKET' },
+    { path: 's3.region', type: 'region', required: 'deploy', env: 'GEUSE_S3_REGION' },
+    { path: 's3.profile', type: 'string', required: 'deploy', env: 'GEUSE_AWS_PROFILE' },
+    { path: 'cloudfront.distributionId', type: 'string', env: 'GEUSE_CLOUDFRONT_DISTRIBUTION_ID' },
+
+    { path: 'build.outputDir', type: 'string', required: true, env: 'GEUSE_OUTPUT_DIR' },
+    { path: 'build.sourceMap', type: 'boolean', env: 'GEUSE_SOURCEMAP' },
+    { path: 'build.minify', type: 'boolean', env: 'GEUSE_MINIFY' }
+];
+
+// S3 bucket naming rules: 3-63 lowercase letters, digits, dots and hyphens, starting and ending alphanumeric
+const BUCKET_PATTERN = /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/;
+const REGION_PATTERN = /^[a-z]{2}(-gov)?-[a-z]+-\d$/;
+
+/**
+ * Invalid configuration; `errors` lists every problem found
+ */
+export class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+const isPlainObject = (value) => Object.prototype.toString.call(value) === '[object Object]';
+
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((parent, key) => {
+        if (!isPlainObject(parent[key])) parent[key] = {};
+        return parent[key];
+    }, object);
+    target[last] = value;
+}
+
+/**
+ * Deep merge of plain objects; arrays and other values in `override` replace those in `base`
+ * @returns {Object} New object, neither input is modified
+ */
+export function mergeConfig(base, override = {}) {
+    const merged = { ...base };
+    Object.entries(override).forEach(([key, value]) => {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key])
+            ? mergeConfig(base[key], value)
+            : value;
+    });
+    return merged;
+}
+
+/**
+ * Converts an environment string to the setting's type
+ * Values that do not convert are kept as strings so validation can report them
+ */
+function coerceEnvValue(value, type) {
+    const trimmed = value.trim();
+    if (type === 'number' || type === 'integer') {
+        return trimmed !== '' && Number.isFinite(Number(trimmed)) ? Number(trimmed) : trimmed;
+    }
+    if (type === 'boolean') {
+        if (/^(true|1|yes|on)$/i.test(trimmed)) return true;
+        if (/^(false|0|no|off)$/i.test(trimmed)) return false;
+    }
+    return trimmed;
+}
+
+/**
+ * Applies environment variable overrides to a configuration
+ * @param {Object} config - Configuration to override
+ * @param {Object} env - Variables such as import.meta.env or Vite's loadEnv() result
+ * @returns {Object} New configuration
+ */
+export function applyEnv(config, env = {}) {
+    // Overrides are written into nested objects, so work on a deep copy
+    const resolved = structuredClone(config);
+    CONFIG_SCHEMA.forEach(({ path, type, env: name }) => {
+        if (name && typeof env[name] === 'string') {
+            setPath(resolved, path, coerceEnvValue(env[name], type));
+        }
+    });
+    return resolved;
+}
+
+function isValidUrl(value, allowRelative) {
+    if (allowRelative && value.startsWith('/')) return true;
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch (_) {
+        return false;
+    }
+}
+
+/**
+ * Checks one value against its schema entry
+ * @returns {string|null} Problem description, or null when valid
+ */
+function checkValue(value, field) {
+    switch (field.type) {
+        case 'url':
+            return typeof value === 'string' && isValidUrl(value, field.allowRelative)
+                ? null
+                : `must be an http(s) URL${field.allowRelative ? ' or a path starting with /' : ''}, got ${JSON.stringify(value)}`;
+        case 'bucket':
+            return typeof value === 'string' && BUCKET_PATTERN.test(value) && !value.includes('..')
+                ? null
+                : `must be a valid S3 bucket name (3-63 lowercase letters, digits, dots or hyphens), got ${JSON.stringify(value)}`;
+        case 'region':
+            return typeof value === 'string' && REGION_PATTERN.test(value)
+                ? null
+                : `must be an AWS region such as "us-east-1", got ${JSON.stringify(value)}`;
+        case 'enum':
+            return field.values.includes(value)
+                ? null
+                : `must be one of ${field.values.map(option => `"${option}"`).join(', ')}, got ${JSON.stringify(value)}`;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `must be true or false, got ${JSON.stringify(value)}`;
+        case 'number':
+        case 'integer': {
+            const isNumber = typeof value === 'number' && Number.isFinite(value)
+                && (field.type === 'number' || Number.isInteger(value));
+            if (!isNumber) return `must be ${field.type === 'integer' ? 'a whole number' : 'a number'}, got ${JSON.stringify(value)}`;
+            if (field.min !== undefined && value < field.min) return `must be at least ${field.min}, got ${value}`;
+            return null;
+        }
+        default:
+            return typeof value === 'string' ? null : `must be a string, got ${JSON.stringify(value)}`;
+    }
+}
+
+/**
+ * Validates a single setting, e.g. a value about to be written to a .env file
+ * @param {string} path - Setting path from CONFIG_SCHEMA, e.g. 'webhookUrl'
+ * @param {string} value - Raw value, as it would appear in a .env file
+ * @returns {string|null} Problem description, or null when valid
+ */
+export function validateSetting(path, value) {
+    const field = CONFIG_SCHEMA.find(entry => entry.path === path);
+    if (!field) return `${path} is not a known setting`;
+    return checkValue(coerceEnvValue(String(value), field.type), field);
+}
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Validates a resolved configuration
+ * @param {Object} config - Configuration after all layers were applied
+ * @param {Object} [options]
+ * @param {boolean} [options.deploy] - Also require the deployment settings
+ * @returns {string[]} Problems found, each naming the setting and its environment variable
+ */
+export function validateConfig(config, { deploy = false } = {}) {
+    const errors = [];
+    const describe = (field) => (field.env ? `${field.path} (${field.env})` : field.path);
+
+    CONFIG_SCHEMA.forEach((field) => {
+        const value = getPath(config, field.path);
+        if (isMissing(value)) {
+            if (field.required === true || (field.required === 'deploy' && deploy)) {
+                errors.push(`${describe(field)} is required`);
+            }
+            return;
+        }
+
+        const problem = checkValue(value, field);
+        if (problem) errors.push(`${describe(field)} ${problem}`);
+    });
+
+    // Settings that depend on each other
+    const auth = config.auth || {};
+    if (auth.mode === 'token' && isMissing(auth.tokenEndpoint)) {
+        errors.push('auth.tokenEndpoint (VITE_AUTH_TOKEN_ENDPOINT) is required when auth.mode is "token"');
+    }
+    if (auth.mode === 'hmac' && isMissing(auth.hmacSecret)) {
+        errors.push('auth.hmacSecret (VITE_AUTH_HMAC_SECRET) is required when auth.mode is "hmac"');
+    }
+    const request = config.request || {};
+    if (Number.isFinite(request.backoffBase) && Number.isFinite(request.backoffMax) && request.backoffBase > request.backoffMax) {
+        errors.push('request.backoffBase must not exceed request.backoffMax');
+    }
+
+    return errors;
+}
+
+/**
+ * Throws a ConfigError listing every problem, if there are any
+ */
+export function assertValidConfig(config, options) {
+    const errors = validateConfig(config, options);
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+    return config;
+}
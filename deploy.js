@@ -1,11 +1,23 @@
 #!/usr/bin/env node
 
 import { execSync } from 'child_process';
-import { config } from './config.js';
+import { loadConfig, getEnvironment } from './loadConfig.js';
 import fs from 'fs';
 import path from 'path';
 
-console.log('🚀 Starting deployment process...');
+const environment = getEnvironment();
+console.log(`🚀 Starting deployment process (${environment})...`);
+
+// Resolve config.js, the .env files for this environment and shell variables, then validate
+let config;
+try {
+    config = loadConfig({ mode: environment, deploy: true });
+    console.log('✅ Configuration is valid');
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('   Fix config.js or the .env files (see .env.example)');
+    process.exit(1);
+}
 
 // Check if AWS CLI is installed
 try {
@@ -30,7 +42,9 @@ try {
 // Build the project
 console.log('📦 Building project...');
 try {
-    execSync('npm run build', { stdio: 'inherit' });
+    execSync(`npm run build -- --mode ${environment}`, { stdio: 'inherit' });
+    // The <geuse-chat> element for client sites is served from /component/
+    execSync(`npm run build:component -- --mode ${environment}`, { stdio: 'inherit' });
     console.log('✅ Build completed successfully');
 } catch (error) {
     console.error('❌ Build failed');
@@ -243,8 +257,7 @@ try {
         console.log(`🕐 Status: ${invalidation.Invalidation.Status}`);
     } else {
         console.log('ℹ️  CloudFront invalidation skipped (no distribution ID configured)');
-        console.log('💡 To enable CloudFront invalidation, add to config.js:');
-        console.log('   cloudfront: { distributionId: "YOUR_DISTRIBUTION_ID" }');
+        console.log(`💡 To enable CloudFront invalidation, set GEUSE_CLOUDFRONT_DISTRIBUTION_ID in .env.${environment}`);
     }
 } catch (error) {
     console.log('ℹ️  CloudFront invalidation failed or not configured:', error.message);
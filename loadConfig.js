@@ -0,0 +1,33 @@
+// Layered configuration for the Node tools (Vite configs, deploy and setup scripts)
+// Layers, later ones winning:
+//   1. config.js defaults
+//   2. .env, .env.local, .env.<environment>, .env.<environment>.local
+//   3. VITE_ and GEUSE_ variables set in the shell
+// The result is validated against configSchema.js
+
+import { loadEnv } from 'vite';
+import { defaults } from './config.js';
+import { applyEnv, assertValidConfig } from './configSchema.js';
+
+export const ENV_PREFIXES = ['VITE_', 'GEUSE_'];
+
+/**
+ * Environment to deploy or build for: GEUSE_ENV, else production
+ */
+export function getEnvironment() {
+    return process.env.GEUSE_ENV || 'production';
+}
+
+/**
+ * Resolve and validate the configuration for an environment
+ * @param {Object} [options]
+ * @param {string} [options.mode] - Environment name, e.g. 'development', 'staging' or 'production'
+ * @param {boolean} [options.deploy] - Also require the deployment settings
+ * @param {string} [options.root] - Directory holding the .env files
+ * @returns {Object} Resolved configuration
+ * @throws {ConfigError} Listing every invalid or missing setting
+ */
+export function loadConfig({ mode = getEnvironment(), deploy = false, root = process.cwd() } = {}) {
+    const env = loadEnv(mode, root, ENV_PREFIXES);
+    return assertValidConfig(applyEnv(defaults, env), { deploy });
+}
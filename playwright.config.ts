@@ -1,5 +1,9 @@
 import { defineConfig, devices } from '@playwright/test';
 
+// Specs without their own page.route talk to the local mock n8n server instead of the live workflow
+const MOCK_N8N_PORT = Number(process.env.MOCK_N8N_PORT) || 5679;
+const MOCK_WEBHOOK_URL = `http://localhost:${MOCK_N8N_PORT}/webhook/geuse`;
+
 export default defineConfig({
   testDir: './tests',
   timeout: 30_000,
@@ -10,12 +14,22 @@ export default defineConfig({
     video: 'off',
     screenshot: 'off'
   },
-  webServer: {
-    command: 'npm start',
-    url: 'http://localhost:3000',
-    reuseExistingServer: !process.env.CI,
-    timeout: 60_000
-  },
+  webServer: [
+    {
+      command: 'npm run mock:n8n',
+      url: `http://localhost:${MOCK_N8N_PORT}/healthz`,
+      env: { MOCK_N8N_PORT: String(MOCK_N8N_PORT) },
+      reuseExistingServer: !process.env.CI,
+      timeout: 10_000
+    },
+    {
+      command: 'npm start',
+      url: 'http://localhost:3000',
+      env: { VITE_WEBHOOK_URL: MOCK_WEBHOOK_URL },
+      reuseExistingServer: !process.env.CI,
+      timeout: 60_000
+    }
+  ],
   projects: [
     {
       name: 'chromium',
@@ -339,4 +339,105 @@ self.addEventListener('fetch', (event) => {
             });
         })()
     );
-}); 
+});
+
+// Offline outbox replay via Background Sync
+// Database layout mirrors src/utils/offlineQueue.js - keep the names in sync
+const OUTBOX_DB_NAME = 'geuse-chat';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE = 'outbox';
+const OUTBOX_SYNC_TAG = 'geuse-outbox';
+
+const openOutbox = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+            db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const outboxRequest = (db, mode, operation) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(OUTBOX_STORE, mode);
+    const request = operation(transaction.objectStore(OUTBOX_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+});
+
+const notifyClients = async (message) => {
+    const clients = await self.clients.matchAll({ includeUncontrolled: true, type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+};
+
+const replayOutbox = async () => {
+    const db = await openOutbox();
+    const entries = await outboxRequest(db, 'readonly', store => store.getAll());
+    console.log(`Replaying ${entries.length} queued chat messages`);
+
+    // Deliver strictly in queue order; stop at the first network failure so order is kept
+    for (const entry of entries) {
+        // Webhook replies are never cached - this goes straight to the network
+        const response = await fetch(entry.url, {
+            method: 'POST',
+            mode: 'cors',
+            cache: 'no-store',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(entry.body)
+        });
+
+        if (response.status >= 500 || response.status === 429) {
+            // Transient server failure: rejecting lets the browser schedule another sync
+            throw new Error(`Outbox replay failed with status ${response.status}`);
+        }
+
+        await outboxRequest(db, 'readwrite', store => store.delete(entry.id));
+
+        if (!response.ok) {
+            await notifyClients({ type: 'geuse-outbox-failed', queueId: entry.id, sessionId: entry.sessionId, status: response.status });
+            continue;
+        }
+
+        let data = null;
+        try {
+            const text = await response.text();
+            data = text.trim() ? JSON.parse(text) : null;
+        } catch (err) {
+            console.warn('Queued message reply was not valid JSON:', err);
+        }
+        await notifyClients({ type: 'geuse-outbox-replayed', queueId: entry.id, sessionId: entry.sessionId, data });
+    }
+};
+
+// Mirrors the backgroundSync flag of src/utils/featureFlags.js; on when the manifest is unavailable
+const FLAGS_URL = '/flags.json';
+
+const isBackgroundSyncEnabled = async () => {
+    try {
+        const response = await fetchWithTimeout(FLAGS_URL).catch(() => caches.match(FLAGS_URL));
+        if (!response || !response.ok) return true;
+        const flags = await response.json();
+        return flags.backgroundSync !== false;
+    } catch (err) {
+        console.warn('Could not read feature flags, keeping Background Sync on:', err);
+        return true;
+    }
+};
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === OUTBOX_SYNC_TAG) {
+        event.waitUntil((async () => {
+            // With the flag off the page replays the outbox itself once it is open and online
+            if (await isBackgroundSyncEnabled()) {
+                await replayOutbox();
+            } else {
+                console.log('Background Sync is turned off by feature flag; leaving the outbox to the page');
+            }
+        })());
+    }
+});
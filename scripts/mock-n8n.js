@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+
+/**
+ * Mock n8n webhook server
+ * Local stand-in for the chat workflow used in development and by Playwright
+ *
+ * Implements the `sendMessage` and `loadPreviousSession` actions on POST /webhook/<id>
+ * Replies echo the message; directives in the message text script other outcomes:
+ *
+ *   #mock:delay=<ms>      wait before answering (combine with any other directive)
+ *   #mock:status=<code>   answer with that HTTP status, e.g. 503 or 401
+ *   #mock:flaky=<n>       fail the first n attempts of this message with 503, then reply
+ *   #mock:empty           200 with an empty body
+ *   #mock:malformed       200 with a body that is not valid JSON
+ *   #mock:drop            close the connection without answering (network error)
+ *   #mock:stream          n8n chunked JSON lines (begin/item/end)
+ *   #mock:sse             Server-Sent Events tokens ending with [DONE]
+ *   #mock:suggestions     reply with suggestion chips
+ *
+ * Usage: npm run mock:n8n  (port from MOCK_N8N_PORT, default 5679)
+ * Point the app at it with VITE_WEBHOOK_URL=http://localhost:5679/webhook/geuse npm start
+ */
+
+import http from 'http';
+
+const PORT = Number(process.env.MOCK_N8N_PORT) || 5679;
+const STREAM_CHUNK_DELAY = 40;
+const DIRECTIVE_PATTERN = /#mock:([a-z]+)(?:=(\S+))?/gi;
+
+// n8n chat memory per session, replayed by loadPreviousSession
+const histories = new Map();
+// Attempts per message for the flaky directive
+const attempts = new Map();
+
+/**
+ * Splits the message into its visible text and mock directives
+ * @param {string} text - chatInput as sent by the chat
+ * @returns {{text: string, directives: Object}} Directive values keyed by name (true when given without a value)
+ */
+function parseDirectives(text = '') {
+    const directives = {};
+    const cleaned = text.replace(DIRECTIVE_PATTERN, (_, name, value) => {
+        directives[name.toLowerCase()] = value ?? true;
+        return '';
+    });
+    return { text: cleaned.replace(/\s+/g, ' ').trim(), directives };
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Reads the webhook payload from a JSON or multipart body
+ * Multipart requests only need their text fields here; files are ignored
+ */
+function parsePayload(raw, contentType = '') {
+    if (contentType.includes('multipart/form-data')) {
+        const payload = {};
+        const fieldPattern = /name="([^"]+)"\r\n\r\n([\s\S]*?)\r\n--/g;
+        let match;
+        while ((match = fieldPattern.exec(raw)) !== null) {
+            payload[match[1]] = match[2];
+        }
+        return payload;
+    }
+    return JSON.parse(raw);
+}
+
+function toMemoryEntry(text, sender) {
+    const type = sender === 'user' ? 'HumanMessage' : 'AIMessage';
+    return {
+        lc: 1,
+        type: 'constructor',
+        id: ['langchain_core', 'messages', type],
+        kwargs: { content: text, additional_kwargs: {}, response_metadata: {} }
+    };
+}
+
+function remember(sessionId, text, sender) {
+    if (!sessionId) return;
+    if (!histories.has(sessionId)) histories.set(sessionId, []);
+    histories.get(sessionId).push(toMemoryEntry(text, sender));
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+}
+
+async function streamReply(res, reply, format) {
+    const tokens = reply.match(/\S+\s*/g) || [reply];
+
+    if (format === 'sse') {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+        for (const token of tokens) {
+            res.write(`data: ${JSON.stringify({ content: token })}\n\n`);
+            await wait(STREAM_CHUNK_DELAY);
+        }
+        res.end('data: [DONE]\n\n');
+        return;
+    }
+
+    // n8n streams newline-delimited JSON chunks with a plain JSON content type
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.write(`${JSON.stringify({ type: 'begin' })}\n`);
+    for (const token of tokens) {
+        res.write(`${JSON.stringify({ type: 'item', content: token })}\n`);
+        await wait(STREAM_CHUNK_DELAY);
+    }
+    res.end(`${JSON.stringify({ type: 'end' })}\n`);
+}
+
+async function handleSendMessage(req, res, payload) {
+    const { text, directives } = parseDirectives(payload.chatInput);
+
+    if (directives.delay) {
+        await wait(Number(directives.delay) || 0);
+    }
+
+    if (directives.drop) {
+        req.socket.destroy();
+        return;
+    }
+
+    if (directives.flaky) {
+        const key = `${payload.sessionId}:${payload.chatInput}`;
+        const count = (attempts.get(key) || 0) + 1;
+        attempts.set(key, count);
+        if (count <= Number(directives.flaky)) {
+            res.writeHead(503, { 'Retry-After': '0' });
+            res.end('Service unavailable');
+            return;
+        }
+    }
+
+    if (directives.status) {
+        res.writeHead(Number(directives.status) || 500);
+        res.end(`Mock error ${directives.status}`);
+        return;
+    }
+
+    if (directives.empty) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('');
+        return;
+    }
+
+    if (directives.malformed) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{"output": "unterminated');
+        return;
+    }
+
+    const reply = `Echo: ${text || '(attachments only)'}`;
+    remember(payload.sessionId, text, 'user');
+    remember(payload.sessionId, reply, 'bot');
+
+    if (directives.stream || directives.sse) {
+        await streamReply(res, reply, directives.sse ? 'sse' : 'ndjson');
+        return;
+    }
+
+    const data = { output: reply };
+    if (directives.suggestions) {
+        data.suggestions = ['Tell me more', 'What does it cost?'];
+    }
+    sendJson(res, 200, data);
+}
+
+function handleLoadPreviousSession(res, payload) {
+    sendJson(res, 200, { data: histories.get(payload.sessionId) || [] });
+}
+
+const server = http.createServer(async (req, res) => {
+    // The chat calls the webhook cross-origin from the Vite dev server
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', req.headers['access-control-request-headers'] || 'Content-Type');
+    res.setHeader('Vary', 'Origin');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    // Readiness check for Playwright's webServer
+    if (req.method === 'GET' && req.url === '/healthz') {
+        sendJson(res, 200, { ok: true });
+        return;
+    }
+
+    if (req.method !== 'POST' || !req.url.startsWith('/webhook/')) {
+        sendJson(res, 404, { message: 'Not found' });
+        return;
+    }
+
+    let payload;
+    try {
+        payload = parsePayload(await readBody(req), req.headers['content-type']);
+    } catch (_) {
+        sendJson(res, 400, { message: 'Invalid request body' });
+        return;
+    }
+
+    try {
+        if (payload.action === 'sendMessage') {
+            await handleSendMessage(req, res, payload);
+        } else if (payload.action === 'loadPreviousSession') {
+            handleLoadPreviousSession(res, payload);
+        } else {
+            sendJson(res, 400, { message: `Unknown action "${payload.action}"` });
+        }
+    } catch (error) {
+        console.error('❌ Mock n8n failed:', error);
+        if (!res.headersSent) {
+            sendJson(res, 500, { message: 'Mock server error' });
+        } else {
+            res.end();
+        }
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`🧪 Mock n8n listening on http://localhost:${PORT}/webhook/geuse`);
+});
@@ -1,12 +1,20 @@
 #!/usr/bin/env node
 
 import { execSync } from 'child_process';
-import { config } from '../config.js';
+import { loadConfig } from '../loadConfig.js';
 
 console.log('🔧 AWS CLI Setup Helper');
 console.log('========================');
 console.log('');
 
+let config;
+try {
+    config = loadConfig({ deploy: true });
+} catch (error) {
+    console.log(`❌ ${error.message}`);
+    process.exit(1);
+}
+
 // Check if AWS CLI is installed
 try {
     const version = execSync('aws --version', { encoding: 'utf8' });
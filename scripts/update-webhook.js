@@ -3,53 +3,85 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { validateSetting } from '../configSchema.js';
+import { loadConfig } from '../loadConfig.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
+const projectRoot = path.join(__dirname, '..');
 
-// Get the new webhook URL from command line arguments
-const newWebhookUrl = process.argv[2];
+const ENV_VARIABLE = 'VITE_WEBHOOK_URL';
 
-if (!newWebhookUrl) {
+// Arguments: the webhook URL and an optional --env <name> (or --env=<name>)
+const args = process.argv.slice(2);
+let environment = null;
+const positional = [];
+for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--env') {
+        environment = args[++i];
+    } else if (args[i].startsWith('--env=')) {
+        environment = args[i].slice('--env='.length);
+    } else {
+        positional.push(args[i]);
+    }
+}
+const newWebhookUrl = positional[0];
+
+if (!newWebhookUrl || environment === undefined || environment === '') {
     console.error('❌ Please provide a webhook URL as an argument');
-    console.error('Usage: npm run update-webhook "https://your-new-webhook-url"');
+    console.error('Usage: npm run update-webhook "https://your-new-webhook-url" [-- --env staging]');
+    console.error('       Without --env the URL is written to .env and applies to every environment');
     process.exit(1);
 }
 
-// Validate URL format
-try {
-    new URL(newWebhookUrl);
-} catch (error) {
-    console.error('❌ Invalid URL format');
+if (environment && !/^[a-z0-9_-]+$/i.test(environment)) {
+    console.error(`❌ Invalid environment name "${environment}"`);
     process.exit(1);
 }
 
-// Path to config file
-const configPath = path.join(__dirname, '..', 'config.js');
+// Validate the URL with the same rules as the build
+const problem = validateSetting('webhookUrl', newWebhookUrl);
+if (problem) {
+    console.error(`❌ webhookUrl ${problem}`);
+    process.exit(1);
+}
+
+const envFile = environment ? `.env.${environment}` : '.env';
+const envPath = path.join(projectRoot, envFile);
 
 try {
-    // Read the current config file
-    let configContent = fs.readFileSync(configPath, 'utf8');
-    
-    // Replace the webhook URL using regex
-    const webhookRegex = /webhookUrl:\s*['"`]([^'"`]*)['"`]/;
-    if (webhookRegex.test(configContent)) {
-        configContent = configContent.replace(webhookRegex, `webhookUrl: '${newWebhookUrl}'`);
-        
-        // Write the updated config back to file
-        fs.writeFileSync(configPath, configContent, 'utf8');
-        
-        console.log('✅ Webhook URL updated successfully');
-        console.log(`🔗 New URL: ${newWebhookUrl}`);
-        console.log('');
-        console.log('📝 Next steps:');
-        console.log('   1. Test the new webhook URL');
-        console.log('   2. Run "npm run deploy:build" to deploy to S3');
+    // Replace the variable in place so the rest of the file keeps its order and comments
+    const current = fs.existsSync(envPath) ? fs.readFileSync(envPath, 'utf8') : '';
+    const line = `${ENV_VARIABLE}=${newWebhookUrl}`;
+    const variablePattern = new RegExp(`^\\s*(export\\s+)?${ENV_VARIABLE}\\s*=.*$`, 'm');
+
+    let updated;
+    if (variablePattern.test(current)) {
+        updated = current.replace(variablePattern, line);
     } else {
-        console.error('❌ Could not find webhookUrl in config file');
-        process.exit(1);
+        updated = `${current}${current && !current.endsWith('\n') ? '\n' : ''}${line}\n`;
     }
+    fs.writeFileSync(envPath, updated, 'utf8');
+
+    console.log(`✅ Webhook URL written to ${envFile}`);
+    console.log(`🔗 New URL: ${newWebhookUrl}`);
 } catch (error) {
-    console.error('❌ Error updating config file:', error.message);
+    console.error(`❌ Error updating ${envFile}:`, error.message);
     process.exit(1);
-} 
\ No newline at end of file
+}
+
+// Check the environment still resolves to a valid configuration
+try {
+    const config = loadConfig({ mode: environment || undefined, root: projectRoot });
+    if (config.webhookUrl !== newWebhookUrl) {
+        console.warn(`⚠️  ${ENV_VARIABLE} is also set elsewhere (shell or a .local file); the build will use ${config.webhookUrl}`);
+    }
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+console.log('');
+console.log('📝 Next steps:');
+console.log('   1. Test the new webhook URL');
+console.log(`   2. Run "${environment ? `GEUSE_ENV=${environment} ` : ''}npm run deploy:build" to deploy to S3`);
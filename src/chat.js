@@ -1,21 +1,252 @@
 import { config } from '../config.js';
 import { setupThemeToggle } from './utils/themeManager.js';
-import { makeApiCall, getErrorMessage, API_ERROR_TYPES } from './utils/apiUtils.js';
+import { makeApiCall, makeStreamingApiCall, getErrorMessage, API_ERROR_TYPES } from './utils/apiUtils.js';
+import { SessionStore, generateSessionId, generateMessageId } from './utils/sessionStore.js';
+import { ThreadStore, getThreadTitle, hasUserMessages } from './utils/threadStore.js';
+import { OfflineQueue, OUTBOX_MESSAGE_TYPES, supportsBackgroundSync } from './utils/offlineQueue.js';
+import { RequestAuth } from './utils/requestAuth.js';
+import { isEnabled, FEATURE_FLAGS } from './utils/featureFlags.js';
+import { renderMarkdown } from './utils/markdownRenderer.js';
+import { MessageWindow } from './utils/messageWindow.js';
+import { findMessageMatches, highlightMatches, clearHighlights } from './utils/messageSearch.js';
+import {
+    DEFAULT_ATTACHMENT_OPTIONS,
+    validateFiles,
+    createThumbnail,
+    encodeAttachments,
+    toMultipartBody,
+    formatFileSize,
+    isImageType
+} from './utils/attachments.js';
+import { VoiceDictation, isDictationSupported, getDictationErrorMessage } from './utils/voiceDictation.js';
+import {
+    SpeechReader,
+    isSpeechSynthesisSupported,
+    loadReadAloudPreference,
+    saveReadAloudPreference,
+    toSpeechText
+} from './utils/speechReader.js';
+import { serializeTranscript, downloadTranscript, getTranscriptFilename, TRANSCRIPT_FORMATS } from './utils/transcriptExport.js';
 
 const WEBHOOK_URL = config.webhookUrl;
+const REQUEST_POLICY = config.request;
+const ATTACHMENT_OPTIONS = { ...DEFAULT_ATTACHMENT_OPTIONS, ...config.attachments };
+const CHAT_DEFAULTS = config.chat || {};
+const MAX_SUGGESTIONS = 8;
+// Delivery states of user messages
+const MESSAGE_STATUS = {
+    SENDING: 'sending',
+    SENT: 'sent',
+    FAILED: 'failed',
+    QUEUED: 'queued'
+};
+const STATUS_LABELS = {
+    [MESSAGE_STATUS.SENDING]: 'Sending…',
+    [MESSAGE_STATUS.SENT]: 'Sent',
+    [MESSAGE_STATUS.QUEUED]: 'Queued · sends when you are back online',
+    [MESSAGE_STATUS.FAILED]: 'Not sent'
+};
+const MAILTO_BASE = 'mailto:info@geuse.io?subject=Service Inquiry&body=Here is what I would like for you to build...';
+// Keep generated mailto links under common client URL limits
+const MAILTO_TRANSCRIPT_LIMIT = 1800;
+
+/**
+ * Normalizes webhook suggestions into { label, value } chips
+ * Accepts `suggestions` or `quickReplies` holding strings or objects
+ * such as { label, value }, { text } or { title, payload }
+ */
+function normalizeSuggestions(data) {
+    const source = data && (data.suggestions || data.quickReplies);
+    if (!Array.isArray(source)) return [];
+
+    const seen = new Set();
+    return source
+        .map((item) => {
+            if (typeof item === 'string') {
+                return { label: item.trim(), value: item.trim() };
+            }
+            if (!item || typeof item !== 'object') return null;
+            const label = String(item.label ?? item.text ?? item.title ?? '').trim();
+            const value = String(item.value ?? item.payload ?? label).trim();
+            return { label, value };
+        })
+        .filter((chip) => {
+            if (!chip || !chip.label || !chip.value || seen.has(chip.value)) return false;
+            seen.add(chip.value);
+            return true;
+        })
+        .slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Creates a message record with a unique id and creation time
+ */
+function createMessage(text, sender, fields = {}) {
+    return {
+        id: generateMessageId(),
+        text,
+        sender,
+        createdAt: new Date().toISOString(),
+        ...fields
+    };
+}
+
+/**
+ * Fills in fields missing from messages stored by older versions
+ * A message still "sending" when the page closed never got its reply, so it becomes retryable
+ */
+function restoreMessage(message) {
+    const restored = {
+        ...message,
+        id: message.id || generateMessageId(),
+        createdAt: message.createdAt || null
+    };
+    if (restored.status === MESSAGE_STATUS.SENDING) {
+        restored.status = MESSAGE_STATUS.FAILED;
+        restored.error = 'Interrupted before it was sent';
+    }
+    return restored;
+}
+
+/**
+ * Messages the webhook never stores: the first-open greeting and sends that did not reach it
+ */
+const isLocalOnly = (message) => Boolean(message.greeting)
+    || message.status === MESSAGE_STATUS.FAILED
+    || message.status === MESSAGE_STATUS.QUEUED;
+
+/**
+ * Merge n8n history into the local transcript, walking both in order
+ * Server messages keep the id, time and attachments of their local copy; local-only messages stay where they were
+ * @param {Array} local - Current transcript
+ * @param {Array<{text: string, sender: string}>} history - Messages from n8n memory, oldest first
+ * @returns {Array} Merged transcript
+ */
+function mergeServerHistory(local, history) {
+    const merged = [];
+    let cursor = 0;
+
+    history.forEach(({ text, sender }) => {
+        // Queued messages are still in the outbox, so a server copy with the same text is an earlier send
+        const matchIndex = local.findIndex((msg, index) => index >= cursor
+            && msg.status !== MESSAGE_STATUS.QUEUED
+            && msg.text === text
+            && msg.sender === sender);
+        if (matchIndex === -1) {
+            merged.push(createMessage(text, sender, { createdAt: null }));
+            return;
+        }
+
+        merged.push(...local.slice(cursor, matchIndex).filter(isLocalOnly));
+        const { error, ...match } = local[matchIndex];
+        merged.push(sender === 'user' ? { ...match, status: MESSAGE_STATUS.SENT } : local[matchIndex]);
+        cursor = matchIndex + 1;
+    });
+
+    return [...merged, ...local.slice(cursor).filter(isLocalOnly)];
+}
+
+const formatMessageTime = (value) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime())
+        ? ''
+        : date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+};
+
+const DEFAULT_CHAT_OPTIONS = {
+    // Where the chat container is mounted, e.g. a shadow root; defaults to document.body
+    root: null,
+    webhookUrl: WEBHOOK_URL,
+    greeting: CHAT_DEFAULTS.greeting,
+    suggestions: CHAT_DEFAULTS.suggestions,
+    // Element whose data-theme the header toggle switches; defaults to the page's <html>
+    themeRoot: null,
+    // Swap the page's #container tagline while the chat is open (the Geuse site only)
+    updatePageTagline: true,
+    // Launcher image swapped between the open and closed animations
+    chatIcon: null,
+    // Webhook request signing, see RequestAuth
+    auth: config.auth
+};
 
 class Chat {
-    constructor() {
+    /**
+     * @param {Object} [options] - See DEFAULT_CHAT_OPTIONS; the Geuse site uses the defaults
+     */
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULT_CHAT_OPTIONS,
+            ...options
+        };
+        this.webhookUrl = this.options.webhookUrl;
+        this.requestAuth = new RequestAuth(this.options.auth);
         this.container = null;
-        this.messages = [];
         this.isVisible = false;
-        this.sessionId = this.generateSessionId();
+        // Persisted session identity and transcript so reloads resume the conversation
+        this.sessionStore = new SessionStore({
+            ...config.session,
+            // Conversations that went idle stay reachable from the thread switcher
+            onExpire: (record) => {
+                if (hasUserMessages(record)) {
+                    this.threadStore.save(record);
+                }
+            }
+        });
+        // Conversations switched away from, each keeping its own n8n session id
+        this.threadStore = new ThreadStore(config.session);
+        const session = this.sessionStore.getOrCreateSession();
+        this.sessionId = session.sessionId;
+        this.messages = session.messages.map(restoreMessage);
         this.isLoading = false;
-        this.chatIcon = document.querySelector('img[src*="glitch.gif"], img[src*="fire.gif"]');
+        // Latest session change from another tab, held back while a reply is in flight
+        this.pendingExternalSession = null;
+        // Bumped on every thread switch so a reply in flight knows whether its thread is still on screen
+        this.sessionGeneration = 0;
+        this.inFlightMessageId = null;
+        // Streaming state for incrementally rendered bot replies
+        this.isStreaming = false;
+        this.streamingMessageIndex = -1;
+        this.streamController = null;
+        // Quick-reply chips for the latest bot message
+        this.currentSuggestions = [];
+        this.suggestionsHideTimer = null;
+        // Outgoing messages held in IndexedDB while offline
+        this.offlineQueue = new OfflineQueue();
+        this.isReplayingQueue = false;
+        // Files attached to the message being composed, and the files and encoded payloads
+        // of sent messages awaiting delivery, by message id; neither survives a reload
+        this.draftAttachments = [];
+        this.attachmentFiles = new Map();
+        this.attachmentPayloads = new Map();
+        // Speech-to-text for the input, only where the Web Speech API exists
+        this.dictation = isDictationSupported() ? new VoiceDictation({
+            onTranscript: (text) => this.handleDictationTranscript(text),
+            onStateChange: (isListening) => this.handleDictationState(isListening),
+            onError: (code) => this.handleDictationError(code)
+        }) : null;
+        this.inputNoticeTimer = null;
+        // Optional read-aloud of bot replies, only where speech synthesis exists
+        this.speechReader = isSpeechSynthesisSupported()
+            ? new SpeechReader({ onStateChange: () => this.syncSpeakButtons() })
+            : null;
+        this.readAloud = Boolean(this.speechReader) && loadReadAloudPreference();
+        this.chatIcon = this.options.chatIcon || document.querySelector('img[src*="glitch.gif"], img[src*="fire.gif"]');
         this.onVisibilityChange = null; // Callback for visibility changes
+        this.onMessageSent = null; // Callback when a user message reaches the webhook
+        this.onMessageReceived = null; // Callback when a bot reply is complete
+        // Metadata from the embedding page, sent with every message
+        this.context = null;
        this.gestureHandler = null; // GestureHandler instance for swipe support
         // DOM tracking for incremental rendering
         this.renderedMessageCount = 0;
+        // Long transcripts only keep the visible slice (plus overscan) in the DOM
+        this.messageWindow = new MessageWindow(CHAT_DEFAULTS.virtualization);
+        this.renderedRange = { start: 0, end: 0 };
+        this.windowUpdateFrame = null;
+        // Focus held by a message that scrolled out of the window, returned when it is rendered again
+        this.detachedFocus = null;
+        // In-conversation search: message indexes that match and the one being shown
+        this.search = { query: '', matches: [], current: -1 };
         this.messagesContainer = null;
         this.init();
     }
@@ -37,29 +268,119 @@ class Chat {
                         aria-label="Close Chat"
                         tabindex="0"
                         type="button"></button>
-                <a href="mailto:info@geuse.io?subject=Service Inquiry&body=Here is what I would like for you to build..."
+                <a href="${MAILTO_BASE}"
+                   class="chat-header-mail"
                    aria-label="Send email to Geuse for service inquiry">
                   <span class="chat-header-title" data-text="geuse">geuse</span>
                 </a>
+                <button class="chat-header-action new-conversation"
+                        title="Start new conversation"
+                        aria-label="Start new conversation"
+                        tabindex="0"
+                        type="button">
+                  <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M12 5v14M5 12h14"/></svg>
+                </button>
+                ${this.speechReader ? `
+                <button class="chat-header-action read-aloud"
+                        title="Read replies aloud"
+                        aria-label="Read replies aloud"
+                        aria-pressed="${this.readAloud}"
+                        tabindex="0"
+                        type="button">
+                  <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M11 5L6 9H2v6h4l5 4V5z"/><path d="M15.5 8.5a5 5 0 0 1 0 7M19 5a10 10 0 0 1 0 14"/></svg>
+                </button>` : ''}
+                <button class="chat-header-action search-conversation"
+                        title="Search conversation"
+                        aria-label="Search conversation"
+                        aria-expanded="false"
+                        aria-controls="chat-search"
+                        aria-keyshortcuts="Control+F Meta+F"
+                        tabindex="0"
+                        type="button">
+                  <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><circle cx="11" cy="11" r="7"/><path d="M21 21l-4.35-4.35"/></svg>
+                </button>
+                <div class="chat-threads-wrap">
+                    <button class="chat-header-action thread-switcher"
+                            title="Conversations"
+                            aria-label="Conversations"
+                            aria-haspopup="dialog"
+                            aria-expanded="false"
+                            aria-controls="chat-threads"
+                            tabindex="0"
+                            type="button">
+                      <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/></svg>
+                    </button>
+                    <div class="chat-threads" id="chat-threads" role="dialog" aria-label="Conversations" hidden>
+                        <button class="chat-threads-new" type="button">New conversation</button>
+                        <ul class="chat-threads-list" aria-label="Saved conversations"></ul>
+                    </div>
+                </div>
+                <div class="chat-export">
+                    <button class="chat-header-action export-conversation"
+                            title="Export conversation"
+                            aria-label="Export conversation"
+                            aria-haspopup="menu"
+                            aria-expanded="false"
+                            aria-controls="chat-export-menu"
+                            tabindex="0"
+                            type="button">
+                      <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M12 3v12M7 10l5 5 5-5M5 21h14"/></svg>
+                    </button>
+                    <div class="chat-export-menu" id="chat-export-menu" role="menu" aria-label="Export format" hidden>
+                        <button role="menuitem" type="button" tabindex="-1" data-format="markdown">Markdown (.md)</button>
+                        <button role="menuitem" type="button" tabindex="-1" data-format="json">JSON (.json)</button>
+                        <button role="menuitem" type="button" tabindex="-1" data-format="text">Plain text (.txt)</button>
+                    </div>
+                </div>
                 <button class="theme-toggle"
                         title="Toggle appearance"
                         aria-label="Toggle dark mode"
                         tabindex="0"
                         type="button"></button>
+                <div class="chat-search" id="chat-search" role="search" hidden>
+                    <input class="chat-search-input"
+                           type="search"
+                           placeholder="Search conversation"
+                           aria-label="Search conversation"
+                           aria-describedby="chat-search-count"
+                           aria-keyshortcuts="Enter Shift+Enter Escape"
+                           autocomplete="off"
+                           spellcheck="false">
+                    <span class="chat-search-count" id="chat-search-count" role="status" aria-live="polite"></span>
+                    <button class="chat-search-prev" type="button" title="Previous match (Shift+Enter)" aria-label="Previous match">
+                      <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M18 15l-6-6-6 6"/></svg>
+                    </button>
+                    <button class="chat-search-next" type="button" title="Next match (Enter)" aria-label="Next match">
+                      <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M6 9l6 6 6-6"/></svg>
+                    </button>
+                    <button class="chat-search-close" type="button" title="Close search (Escape)" aria-label="Close search">×</button>
+                </div>
             </div>
-            <div class="chat-messages" role="log" aria-live="polite" aria-label="Chat conversation"></div>
-            <div class="chat-suggestions" role="toolbar" aria-label="Suggestions" hidden>
-                <button class="chip" type="button">Build an AI chatbot</button>
-                <button class="chip" type="button">Create a SaaS MVP</button>
-                <button class="chip" type="button">Build a mobile app</button>
-                <button class="chip" type="button">Set up a web3 dApp</button>
-                <button class="chip" type="button">Create an API integration</button>
-                <button class="chip" type="button">Build a data dashboard</button>
-            </div>
+            <div class="chat-messages" role="log" aria-live="polite" aria-label="Chat conversation" tabindex="-1"></div>
+            <div class="chat-suggestions" role="toolbar" aria-label="Suggestions" hidden></div>
             <div class="chat-input-container">
+                <div class="chat-attachments" role="list" aria-label="Attached files" hidden></div>
+                <div class="chat-input-notice" role="alert" hidden></div>
                 <div class="chat-input-shell">
+                    <button class="chat-attach"
+                            title="Attach files"
+                            aria-label="Attach files"
+                            tabindex="0"
+                            type="button">
+                      <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M21.44 11.05l-9.19 9.19a6 6 0 0 1-8.49-8.49l9.19-9.19a4 4 0 0 1 5.66 5.66l-9.2 9.19a2 2 0 0 1-2.83-2.83l8.49-8.48"/></svg>
+                    </button>
+                    <input type="file" class="chat-file-input" multiple accept="${ATTACHMENT_OPTIONS.accept.join(',')}" tabindex="-1" aria-hidden="true" hidden>
                     <input type="text" class="chat-input" placeholder="Request a service..." autocomplete="off" aria-label="Request a service" tabindex="0" aria-describedby="chat-help">
                     <div id="chat-help" class="visually-hidden">Type your message and press Enter or click Send to submit</div>
+                    ${this.dictation ? `
+                    <button class="chat-mic"
+                            title="Dictate message"
+                            aria-label="Dictate message"
+                            aria-pressed="false"
+                            tabindex="0"
+                            type="button">
+                      <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><rect x="9" y="2" width="6" height="12" rx="3"/><path d="M5 10a7 7 0 0 0 14 0M12 17v5"/></svg>
+                    </button>` : ''}
                     <button class="chat-send" aria-label="Send message" tabindex="0">
                       <span class="chat-send-icon">
                         <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="#5bb6f8" stroke-width="2.2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 19V5"/><path d="M5 12l7-7 7 7"/></svg>
@@ -72,7 +393,7 @@ class Chat {
             </div>
         `;
 
-        document.body.appendChild(this.container);
+        (this.options.root || document.body).appendChild(this.container);
 
         // Cache messages container reference for performance
         this.messagesContainer = this.container.querySelector('.chat-messages');
@@ -80,12 +401,42 @@ class Chat {
         // Initialize dynamic input height measurement system
         this.setupInputHeightMeasurement();
 
+        // Windowed rendering for long transcripts
+        this.setupMessageWindow();
+
+        // Copy buttons inside rendered code blocks
+        this.setupCodeCopy();
+        this.setupMessageRetry();
+
+        // Attachment button, drag-and-drop and paste
+        this.setupAttachments();
+
+        // Microphone button for voice dictation
+        this.setupDictation();
+
+        // Read-aloud toggle and per-message play controls
+        this.setupReadAloud();
+
         // Add event listeners
         this.container.querySelector('.header-dot').addEventListener('click', () => {
             this.triggerHaptic();
             this.toggle();
         });
 
+        this.container.querySelector('.new-conversation').addEventListener('click', () => {
+            this.triggerHaptic();
+            this.startNewConversation();
+        });
+
+        // Transcript export menu and mailto transcript attachment
+        this.setupExportMenu();
+
+        // Find text across the whole conversation from the header
+        this.setupSearch();
+
+        // Conversation thread switcher
+        this.setupThreadSwitcher();
+
         // Focus trap within chat dialog
         this.setupFocusTrap();
 
@@ -94,11 +445,11 @@ class Chat {
 
         // Theme toggle inside header - integrates with global theme system
         const themeBtn = this.container.querySelector('.theme-toggle');
-        const themeManager = setupThemeToggle(themeBtn);
+        this.themeManager = setupThemeToggle(themeBtn, this.options.themeRoot);
 
         themeBtn.addEventListener('click', () => {
             this.triggerHaptic();
-            themeManager.toggle();
+            this.themeManager.toggle();
         });
 
         const chatInput = this.container.querySelector('.chat-input');
@@ -112,6 +463,11 @@ class Chat {
         });
         sendButton.addEventListener('click', () => {
             this.triggerHaptic();
+            // While a reply is streaming the send button doubles as a stop control
+            if (this.isStreaming) {
+                this.cancelResponse();
+                return;
+            }
             this.sendMessage();
         });
 
@@ -148,6 +504,18 @@ class Chat {
             }
         });
 
+        // Replay queued messages when connectivity returns
+        this.setupOfflineQueue();
+
+        // Keep tabs that share the stored session and thread list in sync
+        this.sessionStore.onExternalChange((session) => this.syncExternalSession(session));
+        this.threadStore.onExternalChange(() => this.renderThreadList());
+
+        // Show the locally stored transcript immediately, then let n8n confirm it
+        if (this.messages.length > 0) {
+            this.renderAllMessages();
+        }
+
         // Load previous session if available
         this.loadPreviousSession();
     }
@@ -215,29 +583,203 @@ class Chat {
     }
 
     generateSessionId() {
-        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-            const r = Math.random() * 16 | 0;
-            const v = c === 'x' ? r : (r & 0x3 | 0x8);
-            return v.toString(16);
-        });
+        return generateSessionId();
+    }
+
+    /**
+     * Keep the current conversation in the thread list and begin a new n8n session
+     */
+    startNewConversation() {
+        this.archiveCurrentThread();
+        this.activateSession(this.sessionStore.startNew());
+    }
+
+    /**
+     * Conversations available in the thread switcher, the current one first
+     * @returns {Array<{sessionId: string, title: string, lastActiveAt: number, active: boolean}>}
+     */
+    getThreads() {
+        const current = this.sessionStore.session || {};
+        return [
+            {
+                sessionId: this.sessionId,
+                title: getThreadTitle({ ...current, messages: this.messages }),
+                lastActiveAt: current.lastActiveAt || Date.now(),
+                active: true
+            },
+            ...this.threadStore.list().map(thread => ({
+                sessionId: thread.sessionId,
+                title: getThreadTitle(thread),
+                lastActiveAt: thread.lastActiveAt,
+                active: false
+            }))
+        ];
+    }
+
+    /**
+     * Make a saved conversation the visible one
+     */
+    switchThread(sessionId) {
+        if (sessionId === this.sessionId) return;
+
+        const record = this.threadStore.take(sessionId);
+        if (!record) return;
+
+        this.archiveCurrentThread();
+        this.activateSession(this.sessionStore.activate(record));
+        // n8n memory may have moved on since this thread was last open
+        this.loadPreviousSession();
+    }
+
+    renameThread(sessionId, title) {
+        const trimmed = title.replace(/\s+/g, ' ').trim().slice(0, 80);
+        if (sessionId === this.sessionId) {
+            this.sessionStore.setTitle(trimmed);
+        } else {
+            this.threadStore.rename(sessionId, trimmed);
+        }
+        this.renderThreadList();
+    }
+
+    /**
+     * Delete a conversation; deleting the current one opens the most recent other thread
+     */
+    deleteThread(sessionId) {
+        if (sessionId !== this.sessionId) {
+            this.threadStore.remove(sessionId);
+            this.renderThreadList();
+            return;
+        }
+
+        const [next] = this.threadStore.list();
+        if (next) {
+            this.threadStore.take(next.sessionId);
+            this.activateSession(this.sessionStore.activate(next));
+            this.loadPreviousSession();
+        } else {
+            this.activateSession(this.sessionStore.startNew());
+        }
+    }
+
+    /**
+     * Store the current conversation in the thread list if the visitor wrote anything
+     */
+    archiveCurrentThread() {
+        const current = this.sessionStore.session;
+        if (hasUserMessages(current)) {
+            this.threadStore.save(current);
+        }
+    }
+
+    /**
+     * Swap the visible transcript to a session record
+     */
+    activateSession(session) {
+        // A reply in flight keeps going and is written into its own thread when it arrives;
+        // cancelling it could leave n8n with a message the visitor would then send again
+        this.sessionGeneration++;
+        if (this.isStreaming) {
+            this.setStreaming(false);
+        }
+        this.speechReader?.stop();
+        this.streamingMessageIndex = -1;
+        this.sessionId = session.sessionId;
+        // The in-flight message is still sending, not interrupted
+        this.messages = session.messages.map(msg => (msg.id === this.inFlightMessageId ? { ...msg } : restoreMessage(msg)));
+        this.hideSuggestions();
+        this.renderAllMessages();
+
+        if (this.isVisible && this.messages.length === 0) {
+            this.showGreeting();
+        }
+        this.renderThreadList();
+    }
+
+    /**
+     * Adopt session changes made by another tab
+     */
+    syncExternalSession(session) {
+        // Never swap the transcript out from under an in-flight reply; apply the latest change afterwards
+        if (this.isLoading) {
+            // Copied, as the in-flight reply still saves into the store's record
+            this.pendingExternalSession = { session: session && { ...session, messages: [...session.messages] } };
+            return;
+        }
+
+        if (!session) {
+            this.sessionId = this.sessionStore.startNew().sessionId;
+            this.messages = [];
+        } else {
+            this.sessionId = session.sessionId;
+            this.messages = session.messages.map(restoreMessage);
+        }
+        this.renderAllMessages();
+        this.renderThreadList();
+    }
+
+    /**
+     * Apply a session change another tab made while a reply was in flight
+     */
+    applyPendingExternalSession() {
+        if (!this.pendingExternalSession) return;
+        const { session } = this.pendingExternalSession;
+        this.pendingExternalSession = null;
+
+        if (session && session.sessionId === this.sessionId) {
+            // Same conversation: keep the reply that just arrived alongside the other tab's messages
+            const known = new Set(session.messages.map(msg => msg.id));
+            const messages = [...session.messages, ...this.messages.filter(msg => !known.has(msg.id))];
+            this.syncExternalSession(this.sessionStore.activate({ ...session, messages }));
+            return;
+        }
+
+        // The other tab moved to another conversation: keep this one in the thread list
+        if (hasUserMessages({ messages: this.messages })) {
+            this.threadStore.save({ sessionId: this.sessionId, messages: this.messages, lastActiveAt: Date.now() });
+        }
+        this.syncExternalSession(session && this.sessionStore.activate(session));
+    }
+
+    /**
+     * Persist the local transcript copy for the current session
+     */
+    saveSession() {
+        this.sessionStore.saveMessages(this.messages);
+    }
+
+    /**
+     * Request policy for webhook calls, signed when config.auth is enabled
+     */
+    getRequestPolicy() {
+        return { ...REQUEST_POLICY, auth: this.requestAuth };
     }
 
     async loadPreviousSession() {
+        const requestedSessionId = this.sessionId;
         try {
             const data = await makeApiCall(
-                WEBHOOK_URL,
+                this.webhookUrl,
                 {
                     action: 'loadPreviousSession',
                     sessionId: this.sessionId
                 },
-                'loading previous session'
+                'loading previous session',
+                this.getRequestPolicy()
             );
 
-            if (data.data) {
-                this.messages = data.data.map(msg => ({
+            // Ignore late replies for a session the user has already left
+            if (requestedSessionId !== this.sessionId) {
+                return;
+            }
+
+            // n8n memory is the source of truth whenever it has history
+            if (Array.isArray(data.data) && data.data.length > 0) {
+                const history = data.data.map(msg => ({
                     text: msg.kwargs.content,
                     sender: msg.id.includes('HumanMessage') ? 'user' : 'bot'
                 }));
+                this.messages = mergeServerHistory(this.messages, history);
+                this.saveSession();
                 this.renderAllMessages(); // Full render for session loading
             }
         } catch (error) {
@@ -266,11 +808,8 @@ class Chat {
             // Then add visible class for animation
             this.container.classList.add('visible');
             // First-open greeting and show suggestions if no messages
-            const suggestions = this.container.querySelector('.chat-suggestions');
-            if (suggestions && this.messages.length === 0) {
-                suggestions.hidden = false;
-                this.container.classList.add('has-suggestions');
-                this.addMessage("Hi! Tell me what you'd like to build.", 'bot');
+            if (this.messages.length === 0) {
+                this.showGreeting();
             }
 
             // Focus input after animation completes - FIXED TIMING
@@ -286,7 +825,7 @@ class Chat {
             });
 
             // Update container text when chat is visible
-            const container = document.getElementById('container');
+            const container = this.options.updatePageTagline ? document.getElementById('container') : null;
             if (container) {
                 const metaDescription = document.querySelector('meta[name="description"]');
                 if (metaDescription) {
@@ -294,6 +833,9 @@ class Chat {
                 }
             }
         } else {
+            // Don't keep the microphone open or keep reading behind a closed chat
+            this.dictation?.stop();
+            this.speechReader?.stop();
             // Remove visible class first for animation
             this.container.classList.remove('visible');
             // HARMONIZED - Wait for CSS transition to complete (0.6s = 600ms)
@@ -304,7 +846,7 @@ class Chat {
             }, 600); // Matches CSS --duration-slow (0.6s)
 
             // Reset container text when chat is hidden
-            const container = document.getElementById('container');
+            const container = this.options.updatePageTagline ? document.getElementById('container') : null;
             if (container) {
                 container.textContent = '- G E U S E -';
             }
@@ -319,155 +861,1226 @@ class Chat {
         return this.isVisible;
     }
 
-    updateChatIcon() {
-        if (!this.chatIcon || !document.body.contains(this.chatIcon)) {
-            this.chatIcon = document.querySelector('img[src*="glitch.gif"], img[src*="fire.gif"]');
-        }
+    /**
+     * Show the first-open greeting and suggestion chips
+     */
+    showGreeting() {
+        const suggestions = normalizeSuggestions({ suggestions: this.options.suggestions });
+        this.addMessage(this.options.greeting || "Hi! Tell me what you'd like to build.", 'bot', { suggestions, greeting: true });
+        this.showSuggestions(suggestions);
+    }
 
-        if (!this.chatIcon) {
-            return;
-        }
+    /**
+     * Serialize the current conversation
+     * @param {'markdown'|'json'|'text'} format - Output format
+     * @returns {string} Transcript including session id, timestamps, sender and text
+     */
+    getTranscript(format = 'json') {
+        return serializeTranscript({ sessionId: this.sessionId, messages: this.messages }, format);
+    }
 
-        const targetSrc = this.isVisible
-            ? 'https://www.geuse.io/media/fire.gif'
-            : 'https://www.geuse.io/media/glitch.gif';
+    /**
+     * Download the current conversation in the given format
+     */
+    exportConversation(format = 'markdown') {
+        const { mimeType } = TRANSCRIPT_FORMATS[format];
+        downloadTranscript(this.getTranscript(format), getTranscriptFilename(format), mimeType);
+    }
 
-        if (this.chatIcon.src !== targetSrc) {
-            this.chatIcon.src = targetSrc;
+    /**
+     * Build the header mailto link with the plain-text transcript in the body
+     */
+    getMailtoLink() {
+        const userMessages = this.messages.filter(msg => msg.sender === 'user');
+        if (userMessages.length === 0) {
+            return MAILTO_BASE;
+        }
+
+        let transcript = this.getTranscript('text');
+        if (transcript.length > MAILTO_TRANSCRIPT_LIMIT) {
+            transcript = `${transcript.slice(0, MAILTO_TRANSCRIPT_LIMIT)}\n[…transcript truncated]`;
         }
+        const body = `Here is what I would like for you to build...\n\n${transcript}`;
+        return `mailto:info@geuse.io?subject=${encodeURIComponent('Service Inquiry')}&body=${encodeURIComponent(body)}`;
     }
 
-    setupFocusTrap() {
-        const focusableSelectors = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
-        const container = this.container;
-        container.addEventListener('keydown', (e) => {
-            if (e.key !== 'Tab') return;
-            const focusables = Array.from(container.querySelectorAll(focusableSelectors))
-                .filter(el => !el.hasAttribute('disabled') && el.tabIndex !== -1);
-            if (focusables.length === 0) return;
-            const first = focusables[0];
-            const last = focusables[focusables.length - 1];
-            if (e.shiftKey) {
-                if (document.activeElement === first) {
-                    e.preventDefault();
-                    last.focus();
-                }
-            } else {
-                if (document.activeElement === last) {
-                    e.preventDefault();
-                    first.focus();
-                }
+    setupExportMenu() {
+        const trigger = this.container.querySelector('.export-conversation');
+        const menu = this.container.querySelector('.chat-export-menu');
+        const mailLink = this.container.querySelector('.chat-header-mail');
+        if (!trigger || !menu) return;
+
+        const items = () => Array.from(menu.querySelectorAll('[role="menuitem"]'));
+
+        trigger.addEventListener('click', () => {
+            this.triggerHaptic();
+            this.setExportMenuOpen(menu.hidden);
+        });
+
+        menu.addEventListener('click', (e) => {
+            const item = e.target instanceof Element ? e.target.closest('[data-format]') : null;
+            if (!item) return;
+            this.triggerHaptic();
+            this.exportConversation(item.dataset.format);
+            this.setExportMenuOpen(false);
+            trigger.focus();
+        });
+
+        menu.addEventListener('keydown', (e) => {
+            const list = items();
+            const index = list.indexOf(this.getActiveElement());
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                list[(index + step + list.length) % list.length].focus();
+            } else if (e.key === 'Escape' || e.key === 'Tab') {
+                // Keep Escape from also closing the whole chat dialog
+                e.stopPropagation();
+                if (e.key === 'Escape') e.preventDefault();
+                this.setExportMenuOpen(false);
+                trigger.focus();
             }
         });
+
+        document.addEventListener('click', (e) => {
+            if (!menu.hidden && !e.composedPath().includes(menu.parentElement)) {
+                this.setExportMenuOpen(false);
+            }
+        });
+
+        // Attach the transcript to the email link just before it is followed
+        if (mailLink) {
+            mailLink.addEventListener('click', () => {
+                mailLink.href = this.getMailtoLink();
+            });
+        }
     }
 
-    setupSuggestions() {
-        const bar = this.container.querySelector('.chat-suggestions');
-        if (!bar) return;
-        bar.addEventListener('click', (e) => {
-            const target = e.target;
-            if (!(target instanceof HTMLElement)) return;
-            if (target.classList.contains('chip')) {
+    setupThreadSwitcher() {
+        const trigger = this.container.querySelector('.thread-switcher');
+        const panel = this.container.querySelector('.chat-threads');
+
+        trigger.addEventListener('click', () => {
+            this.triggerHaptic();
+            this.setThreadsOpen(panel.hidden);
+        });
+
+        panel.addEventListener('click', (e) => {
+            const target = e.target instanceof Element ? e.target : null;
+            if (!target) return;
+
+            if (target.closest('.chat-threads-new')) {
                 this.triggerHaptic();
-                const text = target.textContent || '';
-                // Pass the suggestion text directly to sendMessage instead of relying on input field
-                this.sendMessage(text);
-                this.hideSuggestions();
+                this.startNewConversation();
+                this.setThreadsOpen(false);
+                this.container.querySelector('.chat-input')?.focus();
+                return;
+            }
+
+            const item = target.closest('.chat-thread');
+            if (!item) return;
+            const { sessionId } = item.dataset;
+
+            if (target.closest('.chat-thread-select')) {
+                this.triggerHaptic();
+                this.switchThread(sessionId);
+                this.setThreadsOpen(false);
+                this.container.querySelector('.chat-input')?.focus();
+            } else if (target.closest('.chat-thread-rename')) {
+                this.startThreadRename(item);
+            } else if (target.closest('.chat-thread-delete')) {
+                this.triggerHaptic();
+                this.deleteThread(sessionId);
+                panel.querySelector('.chat-thread-select')?.focus();
+            }
+        });
+
+        panel.addEventListener('keydown', (e) => {
+            // Keep Escape from also closing the whole chat dialog
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.setThreadsOpen(false);
+                trigger.focus();
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!panel.hidden && !e.composedPath().includes(panel.parentElement)) {
+                this.setThreadsOpen(false);
             }
         });
+
+        this.renderThreadList();
     }
 
-    hideSuggestions() {
-        const bar = this.container.querySelector('.chat-suggestions');
-        if (!bar || bar.hidden) return;
-        
-        // Add hiding class for slide-down animation
-        bar.classList.add('hiding');
-        
-        // After animation completes, hide the element
-        setTimeout(() => {
-            bar.hidden = true;
-            bar.classList.remove('hiding');
-            this.container.classList.remove('has-suggestions');
-        }, 300); // Match CSS transition duration
+    setThreadsOpen(isOpen) {
+        const trigger = this.container.querySelector('.thread-switcher');
+        const panel = this.container.querySelector('.chat-threads');
+
+        panel.hidden = !isOpen;
+        trigger.setAttribute('aria-expanded', isOpen ? 'true' : 'false');
+        if (isOpen) {
+            this.renderThreadList();
+            panel.querySelector('.chat-thread.active .chat-thread-select')?.focus();
+        }
     }
 
-    triggerHaptic() {
-        try {
-            if (navigator && typeof navigator.vibrate === 'function') {
-                navigator.vibrate(12);
+    /**
+     * Rebuild the thread list from the current and stored conversations
+     */
+    renderThreadList() {
+        const list = this.container?.querySelector('.chat-threads-list');
+        if (!list) return;
+
+        list.replaceChildren(...this.getThreads().map((thread) => {
+            const item = document.createElement('li');
+            item.className = `chat-thread${thread.active ? ' active' : ''}`;
+            item.dataset.sessionId = thread.sessionId;
+
+            const select = document.createElement('button');
+            select.type = 'button';
+            select.className = 'chat-thread-select';
+            if (thread.active) {
+                select.setAttribute('aria-current', 'true');
             }
-        } catch (_) {}
+            const title = document.createElement('span');
+            title.className = 'chat-thread-title';
+            title.textContent = thread.title;
+            const lastActive = new Date(thread.lastActiveAt || Date.now());
+            const time = document.createElement('time');
+            time.className = 'chat-thread-time';
+            time.dateTime = lastActive.toISOString();
+            time.textContent = lastActive.toLocaleDateString([], { month: 'short', day: 'numeric' });
+            select.append(title, time);
+
+            const rename = document.createElement('button');
+            rename.type = 'button';
+            rename.className = 'chat-thread-rename';
+            rename.setAttribute('aria-label', `Rename ${thread.title}`);
+            rename.textContent = '✎';
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'chat-thread-delete';
+            remove.setAttribute('aria-label', `Delete ${thread.title}`);
+            remove.textContent = '×';
+
+            item.append(select, rename, remove);
+            return item;
+        }));
     }
 
-    setLoading(isLoading) {
-        this.isLoading = isLoading;
-        const sendButton = this.container.querySelector('.chat-send');
-        const input = this.container.querySelector('.chat-input');
-        const icon = sendButton.querySelector('.chat-send-icon');
-        const loader = sendButton.querySelector('.chat-send-loader');
-        if (sendButton) {
-            sendButton.disabled = isLoading;
-            if (isLoading) {
-                icon.style.display = 'none';
-                loader.style.display = 'inline-block';
+    /**
+     * Swap a thread's title for an inline text field; Enter or blur saves, Escape cancels
+     */
+    startThreadRename(item) {
+        const select = item.querySelector('.chat-thread-select');
+        const currentTitle = item.querySelector('.chat-thread-title').textContent;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'chat-thread-title-input';
+        input.value = currentTitle;
+        input.maxLength = 80;
+        input.setAttribute('aria-label', 'Conversation name');
+        select.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (save, restoreFocus) => {
+            if (done) return;
+            done = true;
+            if (save && input.value.trim() && input.value.trim() !== currentTitle) {
+                this.renameThread(item.dataset.sessionId, input.value);
             } else {
-                icon.style.display = 'inline-block';
-                loader.style.display = 'none';
+                this.renderThreadList();
             }
-        }
-        if (input) {
-            input.disabled = isLoading;
+            if (restoreFocus) {
+                this.container.querySelector(`.chat-thread[data-session-id="${item.dataset.sessionId}"] .chat-thread-rename`)?.focus();
+            }
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true, true);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                finish(false, true);
+            }
+        });
+        input.addEventListener('blur', () => finish(true, false));
+    }
+
+    setExportMenuOpen(isOpen) {
+        const trigger = this.container.querySelector('.export-conversation');
+        const menu = this.container.querySelector('.chat-export-menu');
+        if (!trigger || !menu) return;
+
+        menu.hidden = !isOpen;
+        trigger.setAttribute('aria-expanded', isOpen ? 'true' : 'false');
+        if (isOpen) {
+            menu.querySelector('[role="menuitem"]')?.focus();
         }
     }
 
-    async sendMessage(suggestionText = null) {
-        const input = this.container.querySelector('.chat-input');
-        // Use suggestion text if provided, otherwise get from input field
-        const message = suggestionText ? suggestionText.trim() : input.value.trim();
-        if (!message || this.isLoading) return;
+    setupSearch() {
+        const trigger = this.container.querySelector('.search-conversation');
+        const bar = this.container.querySelector('.chat-search');
+        const input = bar.querySelector('.chat-search-input');
 
-        // Add user message
-        this.addMessage(message, 'user');
+        trigger.addEventListener('click', () => {
+            this.triggerHaptic();
+            if (bar.hidden) {
+                this.openSearch();
+            } else {
+                this.closeSearch();
+            }
+        });
+
+        input.addEventListener('input', () => this.runSearch(input.value));
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.stepSearch(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape') {
+                // Keep Escape from also closing the whole chat dialog
+                e.preventDefault();
+                e.stopPropagation();
+                this.closeSearch();
+            }
+        });
+
+        bar.querySelector('.chat-search-prev').addEventListener('click', () => this.stepSearch(-1));
+        bar.querySelector('.chat-search-next').addEventListener('click', () => this.stepSearch(1));
+        bar.querySelector('.chat-search-close').addEventListener('click', () => this.closeSearch());
+
+        // Ctrl/Cmd+F searches the conversation while focus is in the chat; F3 steps through matches
+        this.container.addEventListener('keydown', (e) => {
+            const key = e.key.toLowerCase();
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && key === 'f') {
+                e.preventDefault();
+                this.openSearch();
+            } else if (!bar.hidden && (e.key === 'F3' || ((e.ctrlKey || e.metaKey) && key === 'g'))) {
+                e.preventDefault();
+                this.stepSearch(e.shiftKey ? -1 : 1);
+            }
+        });
+    }
+
+    openSearch() {
+        const bar = this.container.querySelector('.chat-search');
+        const input = bar.querySelector('.chat-search-input');
+
+        bar.hidden = false;
+        this.container.querySelector('.search-conversation').setAttribute('aria-expanded', 'true');
+        input.focus();
+        input.select();
+    }
+
+    /**
+     * Hide the search bar and remove highlights; focus moves to the match that was shown, if any
+     */
+    closeSearch() {
+        const bar = this.container.querySelector('.chat-search');
+        if (bar.hidden) return;
+
+        const { matches, current } = this.search;
+        const shownMessage = current === -1 ? null : this.getMessageElement(matches[current]);
+
+        bar.hidden = true;
+        bar.querySelector('.chat-search-input').value = '';
+        this.container.querySelector('.search-conversation').setAttribute('aria-expanded', 'false');
+        this.runSearch('');
+
+        (shownMessage || this.container.querySelector('.search-conversation')).focus();
+    }
+
+    /**
+     * Find messages containing the query, starting from the most recent match
+     * @param {string} query - Text typed by the visitor
+     */
+    runSearch(query) {
+        const matches = findMessageMatches(this.messages, query);
+        this.search = { query: query.trim() ? query : '', matches, current: matches.length - 1 };
+        this.applySearchHighlights();
+
+        if (matches.length > 0) {
+            this.showSearchMatch(matches.length - 1);
+        } else {
+            this.updateSearchCount();
+        }
+    }
+
+    /**
+     * Move to the next (1) or previous (-1) match, wrapping around at either end
+     */
+    stepSearch(direction) {
+        const { matches, current } = this.search;
+        if (matches.length === 0) return;
+        this.showSearchMatch((current + direction + matches.length) % matches.length);
+    }
+
+    showSearchMatch(position) {
+        this.search.current = position;
+        this.applySearchHighlights();
+        this.scrollToMessage(this.search.matches[position]);
+        this.updateSearchCount();
+    }
+
+    /**
+     * Re-run the current search after the transcript changed, keeping the shown match where possible
+     */
+    refreshSearch() {
+        const { query, matches, current } = this.search;
+        if (!query) return;
+
+        const shownIndex = matches[current];
+        const updated = findMessageMatches(this.messages, query);
+        const position = updated.indexOf(shownIndex);
+        this.search = { query, matches: updated, current: position === -1 ? updated.length - 1 : position };
+        this.applySearchHighlights();
+        this.updateSearchCount();
+    }
+
+    updateSearchCount() {
+        const count = this.container.querySelector('.chat-search-count');
+        const { query, matches, current } = this.search;
+
+        if (!query) {
+            count.textContent = '';
+        } else if (matches.length === 0) {
+            count.textContent = 'No matches';
+        } else {
+            count.textContent = `${current + 1} of ${matches.length}`;
+        }
+
+        const hasMatches = matches.length > 0;
+        this.container.querySelector('.chat-search-prev').disabled = !hasMatches;
+        this.container.querySelector('.chat-search-next').disabled = !hasMatches;
+    }
+
+    /**
+     * Re-mark the rendered bubbles for the current search
+     */
+    applySearchHighlights() {
+        if (!this.messagesContainer) return;
+
+        this.messagesContainer.querySelectorAll('[data-message-index]').forEach((element) => {
+            clearHighlights(element);
+            this.decorateSearchMatch(element, Number(element.dataset.messageIndex));
+        });
+    }
+
+    /**
+     * Highlight the query inside one bubble and mark it as a match or the current match
+     */
+    decorateSearchMatch(element, index) {
+        const { query, matches, current } = this.search;
+        const isMatch = Boolean(query) && matches.includes(index);
+
+        element.classList.toggle('search-match', isMatch);
+        element.classList.toggle('search-current', isMatch && matches[current] === index);
+        if (isMatch) {
+            highlightMatches(element, query);
+        }
+    }
+
+    updateChatIcon() {
+        if (!this.chatIcon || !this.chatIcon.isConnected) {
+            this.chatIcon = document.querySelector('img[src*="glitch.gif"], img[src*="fire.gif"]');
+        }
+
+        if (!this.chatIcon) {
+            return;
+        }
+
+        const targetSrc = this.isVisible
+            ? 'https://www.geuse.io/media/fire.gif'
+            : 'https://www.geuse.io/media/glitch.gif';
+
+        if (this.chatIcon.src !== targetSrc) {
+            this.chatIcon.src = targetSrc;
+        }
+    }
+
+    setupFocusTrap() {
+        const focusableSelectors = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+        const container = this.container;
+        container.addEventListener('keydown', (e) => {
+            if (e.key !== 'Tab') return;
+            const focusables = Array.from(container.querySelectorAll(focusableSelectors))
+                .filter(el => !el.hasAttribute('disabled') && el.tabIndex !== -1);
+            if (focusables.length === 0) return;
+            const first = focusables[0];
+            const last = focusables[focusables.length - 1];
+            if (e.shiftKey) {
+                if (this.getActiveElement() === first) {
+                    e.preventDefault();
+                    last.focus();
+                }
+            } else {
+                if (this.getActiveElement() === last) {
+                    e.preventDefault();
+                    first.focus();
+                }
+            }
+        });
+    }
+
+    setupSuggestions() {
+        const bar = this.container.querySelector('.chat-suggestions');
+        if (!bar) return;
+
+        // Chips from a restored transcript stay available for swipe-right
+        const lastMessage = this.messages[this.messages.length - 1];
+        if (lastMessage && lastMessage.sender === 'bot' && Array.isArray(lastMessage.suggestions)) {
+            this.currentSuggestions = lastMessage.suggestions;
+        }
+
+        bar.addEventListener('click', (e) => {
+            const target = e.target;
+            if (!(target instanceof HTMLElement)) return;
+            if (target.classList.contains('chip')) {
+                this.triggerHaptic();
+                const text = target.dataset.value || target.textContent || '';
+                // Pass the suggestion text directly to sendMessage instead of relying on input field
+                this.sendMessage(text);
+                this.hideSuggestions();
+            }
+        });
+    }
+
+    /**
+     * Render chips into the suggestions bar and reveal it
+     * @param {Array<{label: string, value: string}>} [suggestions] - Chips to show; defaults to the latest set
+     */
+    showSuggestions(suggestions = this.currentSuggestions) {
+        const bar = this.container.querySelector('.chat-suggestions');
+        if (!bar || !suggestions || suggestions.length === 0) return;
+        if (!isEnabled(FEATURE_FLAGS.SUGGESTIONS)) return;
+
+        // Cancel a pending hide so fresh chips are not swept away by its timer
+        clearTimeout(this.suggestionsHideTimer);
+        bar.classList.remove('hiding');
+
+        this.currentSuggestions = suggestions;
+        bar.replaceChildren(...suggestions.map(({ label, value }) => {
+            const chip = document.createElement('button');
+            chip.className = 'chip';
+            chip.type = 'button';
+            chip.textContent = label;
+            chip.dataset.value = value;
+            return chip;
+        }));
+        bar.scrollLeft = 0;
+        bar.hidden = false;
+        this.container.classList.add('has-suggestions');
+    }
+
+    hideSuggestions() {
+        const bar = this.container.querySelector('.chat-suggestions');
+        if (!bar || bar.hidden) return;
+        
+        // Add hiding class for slide-down animation
+        bar.classList.add('hiding');
+        
+        // After animation completes, hide the element
+        clearTimeout(this.suggestionsHideTimer);
+        this.suggestionsHideTimer = setTimeout(() => {
+            bar.hidden = true;
+            bar.classList.remove('hiding');
+            this.container.classList.remove('has-suggestions');
+        }, 300); // Match CSS transition duration
+    }
+
+    triggerHaptic() {
+        if (!isEnabled(FEATURE_FLAGS.HAPTICS)) return;
+        try {
+            if (navigator && typeof navigator.vibrate === 'function') {
+                navigator.vibrate(12);
+            }
+        } catch (_) {}
+    }
+
+    setLoading(isLoading) {
+        this.isLoading = isLoading;
+        const sendButton = this.container.querySelector('.chat-send');
+        const input = this.container.querySelector('.chat-input');
+        const icon = sendButton.querySelector('.chat-send-icon');
+        const loader = sendButton.querySelector('.chat-send-loader');
+        if (sendButton) {
+            sendButton.disabled = isLoading;
+            if (isLoading) {
+                icon.style.display = 'none';
+                loader.style.display = 'inline-block';
+            } else {
+                icon.style.display = 'inline-block';
+                loader.style.display = 'none';
+            }
+        }
+        if (input) {
+            input.disabled = isLoading;
+        }
+    }
+
+    /**
+     * Switches the send button between its send and stop roles while a reply streams
+     */
+    setStreaming(isStreaming) {
+        this.isStreaming = isStreaming;
+        const sendButton = this.container.querySelector('.chat-send');
+        if (!sendButton) return;
+
+        sendButton.classList.toggle('streaming', isStreaming);
+        sendButton.setAttribute('aria-label', isStreaming ? 'Stop response' : 'Send message');
+        // Re-enable the button so the user can cancel; input stays locked until completion
+        sendButton.disabled = isStreaming ? false : this.isLoading;
+    }
+
+    /**
+     * Cancels the in-flight bot reply, keeping any text that already arrived
+     */
+    cancelResponse() {
+        if (this.streamController) {
+            this.streamController.abort();
+        }
+    }
+
+    async sendMessage(suggestionText = null) {
+        const input = this.container.querySelector('.chat-input');
+        // Use suggestion text if provided, otherwise get from input field
+        const message = suggestionText ? suggestionText.trim() : input.value.trim();
+        // Draft attachments travel with typed messages, not with suggestion chips
+        const attachments = suggestionText ? [] : this.draftAttachments;
+        if ((!message && attachments.length === 0) || this.isLoading) return;
+
+        // Add user message
+        const userIndex = this.addMessage(message, 'user', {
+            status: MESSAGE_STATUS.SENDING,
+            attachments: attachments.map(({ file, thumbnail }) => ({
+                name: file.name,
+                type: file.type,
+                size: file.size,
+                thumbnail
+            }))
+        });
         // Only clear input if we're using input field (not suggestion)
         if (!suggestionText) {
+            // Late recognition results must not refill the cleared input
+            this.dictation?.abort();
             input.value = '';
+            this.clearAttachments();
+        }
+
+        if (attachments.length > 0) {
+            this.attachmentFiles.set(this.messages[userIndex].id, attachments.map(({ file }) => file));
+        }
+        if (!await this.encodeMessageAttachments(userIndex)) return;
+
+        await this.deliverMessage(userIndex);
+    }
+
+    /**
+     * Encode the attached files of a message for the webhook, once
+     * @returns {Promise<boolean>} False when the files could not be read; the message is marked failed
+     */
+    async encodeMessageAttachments(index) {
+        const { id } = this.messages[index];
+        const files = this.attachmentFiles.get(id);
+        if (!files || this.attachmentPayloads.has(id)) return true;
+
+        try {
+            this.attachmentPayloads.set(id, await encodeAttachments(files));
+            return true;
+        } catch (_) {
+            this.setMessageStatus(index, MESSAGE_STATUS.FAILED, 'Couldn\'t read the attached files');
+            return false;
+        }
+    }
+
+    /**
+     * Whether a failed message can be sent again as it was written
+     * Attached files are only held in memory, so after a reload they must be attached again
+     */
+    canRetryMessage(message) {
+        return message.status === MESSAGE_STATUS.FAILED
+            && (!message.attachments?.length || this.attachmentFiles.has(message.id));
+    }
+
+    /**
+     * Re-send a failed user message in place, without adding a new bubble
+     */
+    async retryMessage(index) {
+        const message = this.messages[index];
+        if (!message || !this.canRetryMessage(message) || this.isLoading) return;
+
+        this.triggerHaptic();
+        this.setMessageStatus(index, MESSAGE_STATUS.SENDING);
+        if (!await this.encodeMessageAttachments(index)) return;
+
+        await this.deliverMessage(index);
+    }
+
+    /**
+     * Send an existing user message to the webhook and render the reply
+     * @param {number} userIndex - Index of the user message in this.messages
+     */
+    async deliverMessage(userIndex) {
+        const { id, text } = this.messages[userIndex];
+        const requestBody = {
+            action: 'sendMessage',
+            sessionId: this.sessionId,
+            chatInput: text
+        };
+        if (this.context) {
+            requestBody.metadata = this.context;
+        }
+        const attachments = this.attachmentPayloads.get(id);
+        if (attachments) {
+            requestBody.attachments = attachments;
         }
+
+        // Offline, or earlier messages still waiting: queue to preserve order
+        if (!navigator.onLine || this.hasQueuedMessages(userIndex)) {
+            if (await this.queueMessage(userIndex, requestBody)) {
+                return;
+            }
+        }
+
         this.setLoading(true);
 
+        const controller = new AbortController();
+        this.streamController = controller;
+        const requestSessionId = this.sessionId;
+        const generation = this.sessionGeneration;
+        const isOnScreen = () => generation === this.sessionGeneration;
+        let replyId = null;
+        this.inFlightMessageId = id;
+
         try {
-            const data = await makeApiCall(
-                WEBHOOK_URL,
+            // The outbox always stores JSON; multipart is only used on the wire
+            const body = attachments && ATTACHMENT_OPTIONS.encoding === 'multipart'
+                ? toMultipartBody(requestBody)
+                : requestBody;
+            const data = await makeStreamingApiCall(
+                this.webhookUrl,
+                body,
                 {
-                    action: 'sendMessage',
-                    sessionId: this.sessionId,
-                    chatInput: message
+                    ...this.getRequestPolicy(),
+                    signal: controller.signal,
+                    onChunk: (token, fullText) => {
+                        // After a thread switch the text is applied once the reply is complete
+                        if (!isOnScreen()) return;
+
+                        // First token creates the bubble, later tokens update it in place
+                        if (this.streamingMessageIndex === -1) {
+                            this.setMessageStatus(userIndex, MESSAGE_STATUS.SENT);
+                            this.streamingMessageIndex = this.addMessage(fullText, 'bot');
+                            replyId = this.messages[this.streamingMessageIndex].id;
+                            this.setStreaming(true);
+                        } else {
+                            this.updateMessage(this.streamingMessageIndex, fullText);
+                        }
+                    }
                 },
                 'sending message'
             );
 
-            const botResponse = data.output || data.text || '';
+            // The visitor switched threads while this reply was in flight
+            if (!isOnScreen()) {
+                this.deliverDetachedReply(requestSessionId, id, replyId, data);
+                return;
+            }
+
+            this.setMessageStatus(userIndex, MESSAGE_STATUS.SENT);
 
-            if (botResponse) {
-                this.addMessage(botResponse, 'bot');
+            const botResponse = this.extractBotResponse(data);
+            const suggestions = normalizeSuggestions(data);
+
+            let replyIndex;
+            if (this.streamingMessageIndex !== -1) {
+                replyIndex = this.streamingMessageIndex;
+                this.completeStreamingMessage(botResponse);
+                this.attachSuggestions(replyIndex, suggestions);
+            } else if (botResponse) {
+                replyIndex = this.addMessage(botResponse, 'bot', { suggestions });
             } else {
-                this.addMessage('🤷‍♀️ Brain went blank! Try again? 🧠💭', 'bot');
+                replyIndex = this.addMessage('🤷‍♀️ Brain went blank! Try again? 🧠💭', 'bot');
             }
+            this.showSuggestions(suggestions);
+            this.handleReplyReceived(replyIndex);
         } catch (error) {
-            // Use centralized error message generation for all error types
-            const errorMessage = getErrorMessage(error, 'sending message');
-            this.addMessage(errorMessage, 'bot');
+            const wasStreaming = this.streamingMessageIndex !== -1;
+            if (wasStreaming) {
+                // Keep the partial reply the user has already read
+                this.completeStreamingMessage();
+            }
+
+            if (!isOnScreen()) {
+                this.failDetachedReply(requestSessionId, id, replyId, error);
+                return;
+            }
+
+            // The message reached the webhook once a reply started arriving
+            if (wasStreaming) {
+                if (error.type !== API_ERROR_TYPES.ABORTED) {
+                    this.addMessage(getErrorMessage(error, 'sending message'), 'bot');
+                }
+                return;
+            }
+
+            // The connection dropped before anything arrived: keep the message for replay
+            if (this.isOfflineError(error) && await this.queueMessage(userIndex, requestBody)) {
+                return;
+            }
+
+            // Keep the user's message with a retry control instead of making them retype it
+            this.setMessageStatus(userIndex, MESSAGE_STATUS.FAILED, getErrorMessage(error, 'sending message'));
         } finally {
+            if (this.streamController === controller) {
+                this.streamController = null;
+            }
+            if (this.inFlightMessageId === id) {
+                this.inFlightMessageId = null;
+            }
             this.setLoading(false);
+            this.setStreaming(false);
+            this.applyPendingExternalSession();
+        }
+    }
+
+    /**
+     * Update the delivery state of a message and re-render its bubble
+     * @param {number} index - Message index
+     * @param {string} status - One of MESSAGE_STATUS
+     * @param {string} [error] - Reason shown next to failed messages
+     */
+    setMessageStatus(index, status, error = null) {
+        const message = this.messages[index];
+        if (!message || (message.status === status && !error)) return;
+
+        message.status = status;
+        if (status === MESSAGE_STATUS.SENT) {
+            this.attachmentFiles.delete(message.id);
+            this.attachmentPayloads.delete(message.id);
+        }
+        if (error) {
+            message.error = error;
+        } else {
+            delete message.error;
+        }
+        this.saveSession();
+        this.refreshMessageElement(index);
+
+        if (status === MESSAGE_STATUS.SENT && this.onMessageSent) {
+            this.onMessageSent({ ...message });
+        }
+    }
+
+    /**
+     * Read a finished reply aloud and tell the embedding page about it
+     */
+    handleReplyReceived(index) {
+        this.readAloudMessage(index);
+        if (this.onMessageReceived && this.messages[index]) {
+            this.onMessageReceived({ ...this.messages[index] });
+        }
+    }
+
+    /**
+     * Set metadata sent with every message, e.g. the page or plan the visitor is looking at
+     * @param {Object|null} context - JSON-serializable object, or null to clear it
+     */
+    setContext(context) {
+        this.context = context ? JSON.parse(JSON.stringify(context)) : null;
+    }
+
+    /**
+     * Put text in the input for the visitor to review and send
+     */
+    setDraft(text) {
+        const input = this.container.querySelector('.chat-input');
+        input.value = text;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        input.focus();
+    }
+
+    extractBotResponse(data) {
+        return (data && (data.output || data.text)) || '';
+    }
+
+    /**
+     * Wire up replay of the offline outbox via Background Sync or the online event
+     */
+    setupOfflineQueue() {
+        if (!this.offlineQueue.isAvailable()) return;
+
+        window.addEventListener('online', () => this.flushOfflineQueue());
+
+        // Replies delivered by the service worker's Background Sync replay
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                const { type, queueId, sessionId, data, status } = event.data || {};
+                if (type === OUTBOX_MESSAGE_TYPES.REPLAYED) {
+                    this.handleQueuedReply(queueId, data, sessionId);
+                } else if (type === OUTBOX_MESSAGE_TYPES.FAILED) {
+                    const error = new Error(`HTTP error! status: ${status}`);
+                    error.type = API_ERROR_TYPES.HTTP;
+                    error.status = status;
+                    this.handleQueuedFailure(queueId, error, sessionId);
+                }
+            });
+        }
+
+        // Messages queued in an earlier visit may already be deliverable
+        if (this.hasQueuedMessages()) {
+            this.reconcileQueuedMessages().then(() => {
+                if (navigator.onLine && this.hasQueuedMessages()) {
+                    this.flushOfflineQueue();
+                }
+            });
+        }
+    }
+
+    /**
+     * Clear the queued state of messages the service worker delivered while no page was open
+     */
+    async reconcileQueuedMessages() {
+        try {
+            const pendingIds = new Set((await this.offlineQueue.getAll()).map(entry => entry.id));
+            this.messages.forEach((msg, index) => {
+                if (msg.status === MESSAGE_STATUS.QUEUED && !pendingIds.has(msg.queueId)) {
+                    msg.status = MESSAGE_STATUS.SENT;
+                    delete msg.queueId;
+                    this.refreshMessageElement(index);
+                }
+            });
+            this.saveSession();
+        } catch (_) {
+            // Outbox unreadable; leave the queued markers untouched
+        }
+    }
+
+    /**
+     * Check whether any message (optionally before a given index) is still queued
+     */
+    hasQueuedMessages(beforeIndex = this.messages.length) {
+        return this.messages.slice(0, beforeIndex).some(msg => msg.status === MESSAGE_STATUS.QUEUED);
+    }
+
+    isOfflineError(error) {
+        return error.type === API_ERROR_TYPES.NETWORK || !navigator.onLine;
+    }
+
+    /**
+     * Whether queued messages may be handed to the service worker
+     * Signed requests are replayed by the page since the worker has no credentials
+     */
+    canUseBackgroundSync() {
+        return !this.requestAuth.enabled && isEnabled(FEATURE_FLAGS.BACKGROUND_SYNC);
+    }
+
+    /**
+     * Persist a user message to the outbox and mark its bubble as queued
+     * @returns {Promise<boolean>} False when the outbox is unavailable
+     */
+    async queueMessage(index, requestBody) {
+        if (!this.offlineQueue.isAvailable()) return false;
+
+        try {
+            const queueId = await this.offlineQueue.enqueue({ url: this.webhookUrl, body: requestBody, sessionId: this.sessionId });
+            this.messages[index].queueId = queueId;
+            this.setMessageStatus(index, MESSAGE_STATUS.QUEUED);
+
+            // Hand replay to the service worker where supported
+            if (navigator.onLine) {
+                this.flushOfflineQueue();
+            } else if (this.canUseBackgroundSync()) {
+                this.offlineQueue.requestSync();
+            }
+            return true;
+        } catch (_) {
+            return false;
+        }
+    }
+
+    /**
+     * Deliver queued messages in order once the network is back
+     */
+    async flushOfflineQueue() {
+        if (this.isReplayingQueue || !navigator.onLine) return;
+
+        // Background Sync replays from the service worker; avoid sending twice
+        if (this.canUseBackgroundSync() && supportsBackgroundSync() && await this.offlineQueue.requestSync()) {
+            return;
+        }
+
+        this.isReplayingQueue = true;
+        try {
+            const entries = await this.offlineQueue.getAll();
+            for (const entry of entries) {
+                try {
+                    const data = await makeApiCall(entry.url, entry.body, 'sending message', this.getRequestPolicy());
+                    await this.offlineQueue.remove(entry.id);
+                    this.handleQueuedReply(entry.id, data, entry.sessionId);
+                } catch (error) {
+                    // Still unreachable: keep this and later entries queued, in order
+                    if (this.isOfflineError(error) || error.type === API_ERROR_TYPES.TIMEOUT) {
+                        break;
+                    }
+                    await this.offlineQueue.remove(entry.id);
+                    this.handleQueuedFailure(entry.id, error, entry.sessionId);
+                }
+            }
+        } catch (_) {
+            // IndexedDB unavailable; queued bubbles stay marked until the next attempt
+        } finally {
+            this.isReplayingQueue = false;
+        }
+    }
+
+    /**
+     * Mark a replayed message as delivered and show the bot's reply
+     * Replies for a conversation the visitor switched away from are written to its stored thread
+     * @param {number} queueId - Outbox entry id
+     * @param {Object} data - Webhook reply
+     * @param {string} [sessionId] - Conversation the message was sent from; entries queued by older versions have none
+     */
+    handleQueuedReply(queueId, data, sessionId = this.sessionId) {
+        const botResponse = this.extractBotResponse(data);
+        const suggestions = normalizeSuggestions(data);
+
+        if (sessionId !== this.sessionId) {
+            this.updateStoredThread(sessionId, msg => msg.queueId === queueId, (messages, message) => {
+                delete message.queueId;
+                message.status = MESSAGE_STATUS.SENT;
+                messages.push(createMessage(botResponse || '🤷‍♀️ Brain went blank! Try again? 🧠💭', 'bot', { suggestions }));
+            });
+            return;
+        }
+
+        const index = this.messages.findIndex(msg => msg.queueId === queueId);
+        if (index === -1) return;
+
+        delete this.messages[index].queueId;
+        this.setMessageStatus(index, MESSAGE_STATUS.SENT);
+
+        const replyIndex = this.addMessage(botResponse || '🤷‍♀️ Brain went blank! Try again? 🧠💭', 'bot', { suggestions });
+        this.showSuggestions(suggestions);
+        this.handleReplyReceived(replyIndex);
+    }
+
+    /**
+     * Remember quick replies on the bot message they belong to
+     */
+    attachSuggestions(index, suggestions) {
+        if (!this.messages[index] || suggestions.length === 0) return;
+        this.messages[index].suggestions = suggestions;
+        this.saveSession();
+    }
+
+    handleQueuedFailure(queueId, error, sessionId = this.sessionId) {
+        if (sessionId !== this.sessionId) {
+            this.updateStoredThread(sessionId, msg => msg.queueId === queueId, (messages, message) => {
+                delete message.queueId;
+                message.status = MESSAGE_STATUS.FAILED;
+                message.error = getErrorMessage(error, 'sending message');
+            });
+            return;
+        }
+
+        const index = this.messages.findIndex(msg => msg.queueId === queueId);
+        if (index === -1) return;
+
+        delete this.messages[index].queueId;
+        this.setMessageStatus(index, MESSAGE_STATUS.FAILED, getErrorMessage(error, 'sending message'));
+    }
+
+    /**
+     * Apply a delivery result to a message of a thread that is not on screen
+     * @param {Function} isMessage - Finds the message in the stored transcript
+     * @param {Function} update - Called with (messages, message) to change the stored thread in place
+     */
+    updateStoredThread(sessionId, isMessage, update) {
+        const record = this.threadStore.get(sessionId);
+        const message = record?.messages.find(isMessage);
+        // The visitor deleted the thread in the meantime
+        if (!message) return;
+
+        update(record.messages, message);
+        this.threadStore.save({ ...record, lastActiveAt: Date.now() });
+        this.renderThreadList();
+    }
+
+    /**
+     * Apply the result of a reply whose thread the visitor left while it was in flight
+     * The thread is in the thread list, or on screen again if the visitor switched back
+     * @param {Function} update - Called with (messages, message) to change the transcript in place
+     */
+    updateDetachedThread(sessionId, messageId, update) {
+        this.attachmentFiles.delete(messageId);
+        this.attachmentPayloads.delete(messageId);
+
+        if (sessionId !== this.sessionId) {
+            this.updateStoredThread(sessionId, msg => msg.id === messageId, update);
+            return;
+        }
+
+        const message = this.messages.find(msg => msg.id === messageId);
+        if (!message) return;
+
+        update(this.messages, message);
+        this.saveSession();
+        this.renderAllMessages();
+    }
+
+    /**
+     * Write a reply into its thread after the visitor switched away while it was on its way
+     * @param {string|null} replyId - Bubble that streamed tokens before the switch, if any
+     */
+    deliverDetachedReply(sessionId, messageId, replyId, data) {
+        const text = this.extractBotResponse(data) || '🤷‍♀️ Brain went blank! Try again? 🧠💭';
+        const suggestions = normalizeSuggestions(data);
+
+        this.updateDetachedThread(sessionId, messageId, (messages, message) => {
+            message.status = MESSAGE_STATUS.SENT;
+            delete message.error;
+
+            const reply = replyId && messages.find(msg => msg.id === replyId);
+            if (reply) {
+                reply.text = text;
+                if (suggestions.length > 0) {
+                    reply.suggestions = suggestions;
+                }
+            } else {
+                messages.push(createMessage(text, 'bot', { suggestions }));
+            }
+        });
+    }
+
+    /**
+     * Record a failed reply in its thread after the visitor switched away, as deliverMessage would on screen
+     */
+    failDetachedReply(sessionId, messageId, replyId, error) {
+        if (error.type === API_ERROR_TYPES.ABORTED) return;
+
+        this.updateDetachedThread(sessionId, messageId, (messages, message) => {
+            // Once tokens arrived the webhook had the message; keep the partial reply
+            if (replyId) {
+                messages.push(createMessage(getErrorMessage(error, 'sending message'), 'bot'));
+                return;
+            }
+            message.status = MESSAGE_STATUS.FAILED;
+            message.error = getErrorMessage(error, 'sending message');
+        });
+    }
+
+    /**
+     * Marks the streaming bot message as complete, optionally replacing its final text
+     */
+    completeStreamingMessage(finalText = null) {
+        const index = this.streamingMessageIndex;
+        if (index === -1) return;
+
+        this.streamingMessageIndex = -1;
+        if (finalText) {
+            this.messages[index].text = finalText;
+        }
+        this.saveSession();
+
+        const element = this.getMessageElement(index);
+        if (element) {
+            this.setMessageContent(element, this.messages[index]);
+            element.classList.remove('streaming');
+            element.removeAttribute('aria-busy');
+        }
+        this.refreshSearch();
+    }
+
+    /**
+     * Updates the text of an already rendered message without re-rendering the list
+     */
+    updateMessage(index, text) {
+        const message = this.messages[index];
+        if (!message) return;
+
+        const wasScrolledToBottom = this.isScrolledToBottom();
+        message.text = text;
+
+        const element = this.getMessageElement(index);
+        if (element) {
+            this.setMessageContent(element, message);
+        } else {
+            this.messageWindow.invalidate(message);
+        }
+        this.refreshSearch();
+
+        if (wasScrolledToBottom) {
+            this.scrollToBottom();
         }
     }
 
-    addMessage(text, sender) {
+    /**
+     * Re-render a single message bubble in place after its state changed
+     */
+    refreshMessageElement(index) {
+        const element = this.getMessageElement(index);
+        if (!element) return;
+
+        const meta = this.messagesContainer.querySelector(`[data-meta-index="${index}"]`);
+        // Focus on the bubble or its retry control returns to the new bubble
+        const hadFocus = element === this.getActiveElement() || Boolean(meta?.contains(this.getActiveElement()));
+        element.replaceWith(this.createMessageElement(this.messages[index], index));
+        if (meta) {
+            meta.replaceWith(this.createMessageMeta(this.messages[index], index));
+        }
+        if (hadFocus) {
+            this.getMessageElement(index)?.focus();
+        }
+    }
+
+    /**
+     * Focused element inside the chat, also when the chat lives in a shadow root
+     */
+    getActiveElement() {
+        const root = this.container ? this.container.getRootNode() : document;
+        return root.activeElement || document.activeElement;
+    }
+
+    getMessageElement(index) {
+        if (!this.messagesContainer) return null;
+        return this.messagesContainer.querySelector(`[data-message-index="${index}"]`);
+    }
+
+    /**
+     * Append a message and render it incrementally
+     * @param {string} text - Message body
+     * @param {'user'|'bot'} sender - Message author
+     * @param {Object} [meta] - Extra message fields, e.g. { status, suggestions, attachments }
+     * @returns {number} Index of the new message
+     */
+    addMessage(text, sender, meta = {}) {
         // Preserve scroll position and focus state
         const wasScrolledToBottom = this.isScrolledToBottom();
-        const activeElement = document.activeElement;
+        const activeElement = this.getActiveElement();
 
-        this.messages.push({ text, sender });
+        const message = createMessage(text, sender);
+        if (meta.status) {
+            message.status = meta.status;
+        }
+        if (Array.isArray(meta.suggestions) && meta.suggestions.length > 0) {
+            message.suggestions = meta.suggestions;
+        }
+        if (Array.isArray(meta.attachments) && meta.attachments.length > 0) {
+            message.attachments = meta.attachments;
+        }
+        this.messages.push(message);
+        const index = this.messages.length - 1;
+        this.saveSession();
 
         // Use incremental rendering for single message addition
         this.renderNewMessages();
@@ -485,10 +2098,13 @@ class Chat {
         if (wasScrolledToBottom) {
             this.scrollToBottom();
         }
+
+        return index;
     }
 
     /**
      * Efficiently renders only new messages since last render
+     * New messages get DOM nodes only while the end of the transcript is rendered
      */
     renderNewMessages() {
         if (!this.messagesContainer) return;
@@ -496,19 +2112,236 @@ class Chat {
         const newMessagesCount = this.messages.length - this.renderedMessageCount;
         if (newMessagesCount <= 0) return;
 
+        this.refreshSearch();
+        if (this.renderedRange.end === this.renderedMessageCount) {
+            // Single DOM insert for the new bubbles
+            this.bottomSpacer.before(this.createMessageUnits(this.renderedMessageCount, this.messages.length));
+            this.renderedRange = { ...this.renderedRange, end: this.messages.length };
+        }
+
+        this.renderedMessageCount = this.messages.length;
+        this.updateSpacers();
+    }
+
+    /**
+     * Bubbles and meta lines for messages in [from, to)
+     * @returns {DocumentFragment}
+     */
+    createMessageUnits(from, to) {
         // Create document fragment for efficient batch DOM operations
         const fragment = document.createDocumentFragment();
+        for (let i = from; i < to; i++) {
+            fragment.appendChild(this.createMessageElement(this.messages[i], i));
+            fragment.appendChild(this.createMessageMeta(this.messages[i], i));
+        }
+        return fragment;
+    }
+
+    removeMessageUnits(from, to) {
+        for (let i = from; i < to; i++) {
+            const bubble = this.getMessageElement(i);
+            if (!bubble) continue;
+            const meta = bubble.nextElementSibling;
+            if (meta?.classList.contains('message-meta')) {
+                meta.remove();
+            }
+            bubble.remove();
+        }
+    }
+
+    createSpacer(position) {
+        const spacer = document.createElement('div');
+        spacer.className = `chat-messages-spacer ${position}`;
+        spacer.setAttribute('aria-hidden', 'true');
+        spacer.hidden = true;
+        return spacer;
+    }
+
+    /**
+     * Size the spacers that stand in for messages outside the rendered range
+     */
+    updateSpacers() {
+        if (!this.topSpacer) return;
+
+        const { start, end } = this.renderedRange;
+        // The list gap already separates each spacer from its neighbour
+        const gap = parseFloat(getComputedStyle(this.messagesContainer).rowGap) || 0;
+        const setHeight = (spacer, height) => {
+            spacer.hidden = height === 0;
+            spacer.style.height = `${Math.max(0, height - gap)}px`;
+        };
 
-        // Only create DOM elements for new messages
-        for (let i = this.renderedMessageCount; i < this.messages.length; i++) {
-            const msg = this.messages[i];
-            const messageElement = this.createMessageElement(msg, i);
-            fragment.appendChild(messageElement);
+        setHeight(this.topSpacer, this.messageWindow.sumHeights(this.messages, 0, start));
+        setHeight(this.bottomSpacer, this.messageWindow.sumHeights(this.messages, end, this.renderedMessageCount));
+    }
+
+    /**
+     * Record the rendered height of each message, including the gap that follows it
+     */
+    measureRenderedMessages() {
+        const gap = parseFloat(getComputedStyle(this.messagesContainer).rowGap) || 0;
+        for (let i = this.renderedRange.start; i < this.renderedRange.end; i++) {
+            const bubble = this.getMessageElement(i);
+            const meta = bubble?.nextElementSibling;
+            if (!meta) continue;
+            this.messageWindow.setHeight(this.messages[i], meta.offsetTop + meta.offsetHeight - bubble.offsetTop + gap);
         }
+    }
 
-        // Single DOM append operation
-        this.messagesContainer.appendChild(fragment);
-        this.renderedMessageCount = this.messages.length;
+    setupMessageWindow() {
+        this.topSpacer = this.createSpacer('top');
+        this.bottomSpacer = this.createSpacer('bottom');
+        this.messagesContainer.append(this.topSpacer, this.bottomSpacer);
+
+        this.messagesContainer.addEventListener('scroll', () => {
+            if (this.windowUpdateFrame) return;
+            this.windowUpdateFrame = requestAnimationFrame(() => {
+                this.windowUpdateFrame = null;
+                this.updateMessageWindow();
+            });
+        }, { passive: true });
+    }
+
+    /**
+     * Re-window the transcript around the current scroll position
+     * @param {boolean} [force] - Re-render even when the viewport is still well inside the rendered range
+     */
+    updateMessageWindow(force = false) {
+        if (!this.messagesContainer || !this.messageWindow.isWindowed(this.messages.length)) return;
+
+        this.measureRenderedMessages();
+        const paddingTop = parseFloat(getComputedStyle(this.messagesContainer).paddingTop) || 0;
+        const range = this.messageWindow.getRange(
+            this.messages,
+            Math.max(0, this.messagesContainer.scrollTop - paddingTop),
+            this.messagesContainer.clientHeight
+        );
+
+        // Only shift when the viewport nears an edge or the window grew well past the overscan
+        const { start, end } = this.renderedRange;
+        const { overscan } = this.messageWindow.options;
+        const needsShift = range.start < start || range.end > end
+            || start < range.start - overscan || end > range.end + overscan;
+        if (force || needsShift) {
+            this.setRenderedRange(range);
+        }
+    }
+
+    /**
+     * Render exactly the messages in a range, reusing nodes that stay and keeping the view anchored
+     */
+    setRenderedRange({ start, end }) {
+        const { start: oldStart, end: oldEnd } = this.renderedRange;
+        if (start === oldStart && end === oldEnd) return;
+
+        // Park focus on the list while its message is unmounted
+        const focus = this.captureMessageFocus();
+        if (focus && (focus.index < start || focus.index >= end)) {
+            this.detachedFocus = focus;
+            this.messagesContainer.focus({ preventScroll: true });
+        }
+
+        this.measureRenderedMessages();
+        const anchor = this.captureScrollAnchor();
+        // Re-mounted history is not new conversation; keep the log region from announcing it
+        this.messagesContainer.setAttribute('aria-busy', 'true');
+
+        if (start >= oldEnd || end <= oldStart) {
+            this.removeMessageUnits(oldStart, oldEnd);
+            this.bottomSpacer.before(this.createMessageUnits(start, end));
+        } else {
+            this.removeMessageUnits(oldStart, start);
+            this.removeMessageUnits(end, oldEnd);
+            this.topSpacer.after(this.createMessageUnits(start, oldStart));
+            this.bottomSpacer.before(this.createMessageUnits(oldEnd, end));
+        }
+
+        this.renderedRange = { start, end };
+        this.updateSpacers();
+        this.restoreScrollAnchor(anchor);
+
+        const { detachedFocus } = this;
+        if (detachedFocus && detachedFocus.index >= start && detachedFocus.index < end) {
+            this.detachedFocus = null;
+            if (this.getActiveElement() === this.messagesContainer) {
+                this.restoreMessageFocus(detachedFocus, { preventScroll: true });
+            }
+        }
+
+        requestAnimationFrame(() => this.messagesContainer.removeAttribute('aria-busy'));
+    }
+
+    /**
+     * Remember where the first visible message sits so re-windowing doesn't move the view
+     */
+    captureScrollAnchor() {
+        if (this.isScrolledToBottom()) {
+            return { atBottom: true };
+        }
+
+        const containerTop = this.messagesContainer.getBoundingClientRect().top;
+        for (let i = this.renderedRange.start; i < this.renderedRange.end; i++) {
+            const bubble = this.getMessageElement(i);
+            if (!bubble) continue;
+            const rect = bubble.getBoundingClientRect();
+            if (rect.bottom > containerTop) {
+                return { index: i, offset: rect.top - containerTop };
+            }
+        }
+        return null;
+    }
+
+    restoreScrollAnchor(anchor) {
+        if (!anchor) return;
+
+        if (anchor.atBottom) {
+            this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+            return;
+        }
+
+        const bubble = this.getMessageElement(anchor.index);
+        if (!bubble) return;
+        const offset = bubble.getBoundingClientRect().top - this.messagesContainer.getBoundingClientRect().top;
+        this.messagesContainer.scrollTop += offset - anchor.offset;
+    }
+
+    /**
+     * The message bubble or meta control holding focus, so it can be focused again once re-created
+     * @returns {{index: number, control: string|null}|null}
+     */
+    captureMessageFocus() {
+        const active = this.getActiveElement();
+        if (!active || active === this.messagesContainer || !this.messagesContainer?.contains(active)) return null;
+
+        const bubble = active.closest('[data-message-index]');
+        if (bubble) return { index: Number(bubble.dataset.messageIndex), control: null };
+        const meta = active.closest('.message-meta');
+        return meta ? { index: Number(meta.dataset.metaIndex), control: active.className } : null;
+    }
+
+    restoreMessageFocus({ index, control }, options) {
+        const bubble = this.getMessageElement(index);
+        const meta = bubble?.nextElementSibling;
+        const target = (control && meta?.querySelector(`[class="${control}"]`)) || bubble;
+        target?.focus(options);
+    }
+
+    /**
+     * Bring a message into view, rendering it first if it is outside the window
+     * @returns {HTMLElement|null} The message bubble
+     */
+    scrollToMessage(index, options = { block: 'center' }) {
+        if (!this.messagesContainer || !this.messages[index]) return null;
+
+        if (!this.getMessageElement(index)) {
+            const paddingTop = parseFloat(getComputedStyle(this.messagesContainer).paddingTop) || 0;
+            this.messagesContainer.scrollTop = paddingTop + this.messageWindow.sumHeights(this.messages, 0, index);
+            this.updateMessageWindow(true);
+        }
+
+        const bubble = this.getMessageElement(index);
+        bubble?.scrollIntoView(options);
+        return bubble;
     }
 
     /**
@@ -524,50 +2357,521 @@ class Chat {
         messageDiv.setAttribute('tabindex', '0');
         messageDiv.setAttribute('data-message-index', index);
 
-        // Safely set text content to prevent XSS
-        messageDiv.textContent = message.text;
+        messageDiv.setAttribute('aria-describedby', `message-meta-${message.id}`);
+
+        this.setMessageContent(messageDiv, message);
+
+        // Delivery state styles the bubble; the readable label lives in the meta line
+        if (message.status && message.status !== MESSAGE_STATUS.SENT) {
+            messageDiv.classList.add(message.status);
+        }
+
+        // Streaming replies are marked busy so live regions announce the finished text
+        if (index === this.streamingMessageIndex) {
+            messageDiv.classList.add('streaming');
+            messageDiv.setAttribute('aria-busy', 'true');
+        }
+
+        if (this.search.query) {
+            this.decorateSearchMatch(messageDiv, index);
+        }
 
         return messageDiv;
     }
 
     /**
-     * Full render for initial load or complete refresh scenarios
+     * Creates the time and delivery status line shown under a bubble
+     * Kept outside the bubble so the bubble's text stays the message alone
      */
-    renderAllMessages() {
+    createMessageMeta(message, index) {
+        const meta = document.createElement('div');
+        meta.className = `message-meta ${message.sender}`;
+        meta.id = `message-meta-${message.id}`;
+        meta.setAttribute('data-meta-index', index);
+        // Routine states are read with the bubble; only problems are announced
+        const isProblem = message.status === MESSAGE_STATUS.FAILED || message.status === MESSAGE_STATUS.QUEUED;
+        if (!isProblem) {
+            meta.setAttribute('aria-live', 'off');
+        }
+
+        const time = formatMessageTime(message.createdAt);
+        if (time) {
+            const timeElement = document.createElement('time');
+            timeElement.className = 'message-time';
+            timeElement.dateTime = message.createdAt;
+            timeElement.textContent = time;
+            meta.appendChild(timeElement);
+        }
+
+        if (message.sender === 'user' && STATUS_LABELS[message.status]) {
+            const status = document.createElement('span');
+            status.className = 'message-status';
+            const needsFiles = message.status === MESSAGE_STATUS.FAILED && !this.canRetryMessage(message);
+            const reason = needsFiles ? 'Attach the files again to resend' : message.error;
+            status.textContent = message.status === MESSAGE_STATUS.FAILED && reason
+                ? `${STATUS_LABELS[message.status]} · ${reason}`
+                : STATUS_LABELS[message.status];
+            meta.appendChild(status);
+        }
+
+        if (message.sender === 'bot' && this.speechReader) {
+            const speak = document.createElement('button');
+            speak.type = 'button';
+            speak.className = 'message-speak';
+            speak.dataset.messageId = message.id;
+            this.updateSpeakButton(speak);
+            meta.appendChild(speak);
+        }
+
+        if (message.sender === 'user' && this.canRetryMessage(message)) {
+            const retry = document.createElement('button');
+            retry.type = 'button';
+            retry.className = 'message-retry';
+            retry.textContent = 'Retry';
+            retry.setAttribute('aria-label', `Retry sending: ${message.text}`);
+            meta.appendChild(retry);
+        }
+
+        return meta;
+    }
+
+    /**
+     * Retry buttons on failed messages, handled by delegation like code copy
+     */
+    setupMessageRetry() {
+        this.messagesContainer.addEventListener('click', (e) => {
+            const button = e.target instanceof Element ? e.target.closest('.message-retry') : null;
+            if (!button) return;
+
+            const index = Number(button.closest('.message-meta').dataset.metaIndex);
+            this.retryMessage(index);
+        });
+    }
+
+    setupReadAloud() {
+        if (!this.speechReader) return;
+
+        const toggle = this.container.querySelector('.read-aloud');
+        toggle.addEventListener('click', () => {
+            this.triggerHaptic();
+            this.setReadAloud(!this.readAloud);
+        });
+
+        this.messagesContainer.addEventListener('click', (e) => {
+            const button = e.target instanceof Element ? e.target.closest('.message-speak') : null;
+            if (!button) return;
+            this.triggerHaptic();
+            this.toggleSpeech(button.dataset.messageId);
+        });
+
+        // Hold the reading while the user composes a reply
+        this.container.querySelector('.chat-input').addEventListener('input', () => {
+            this.speechReader.pause();
+        });
+    }
+
+    /**
+     * Turn automatic reading of new bot replies on or off and remember the choice
+     */
+    setReadAloud(enabled) {
+        this.readAloud = enabled;
+        saveReadAloudPreference(enabled);
+        this.container.querySelector('.read-aloud')?.setAttribute('aria-pressed', enabled ? 'true' : 'false');
+        if (!enabled) {
+            this.speechReader?.stop();
+        }
+    }
+
+    /**
+     * Play, pause-resume or stop reading a single message
+     */
+    toggleSpeech(messageId) {
+        const reader = this.speechReader;
+        if (!reader) return;
+
+        if (reader.currentId === messageId) {
+            if (reader.isPaused) {
+                reader.resume();
+            } else {
+                reader.stop();
+            }
+            return;
+        }
+
+        const message = this.messages.find(msg => msg.id === messageId);
+        if (message) {
+            reader.speak(message.id, toSpeechText(message.text));
+        }
+    }
+
+    /**
+     * Read a finished bot reply when read-aloud mode is on
+     */
+    readAloudMessage(index) {
+        const message = this.messages[index];
+        if (!this.readAloud || !message || message.sender !== 'bot') return;
+        this.speechReader.speak(message.id, toSpeechText(message.text));
+    }
+
+    /**
+     * Reflect the reader's state on every message's play control
+     */
+    syncSpeakButtons() {
         if (!this.messagesContainer) return;
+        this.messagesContainer.querySelectorAll('.message-speak')
+            .forEach(button => this.updateSpeakButton(button));
+    }
 
-        // Preserve scroll position and focus state
-        const wasScrolledToBottom = this.isScrolledToBottom();
-        const activeElement = document.activeElement;
+    updateSpeakButton(button) {
+        const reader = this.speechReader;
+        const isCurrent = reader.currentId === button.dataset.messageId;
+        const state = !isCurrent ? 'idle' : reader.isPaused ? 'paused' : 'speaking';
+        button.dataset.state = state;
+        button.textContent = { idle: 'Listen', speaking: 'Stop', paused: 'Resume' }[state];
+        button.setAttribute('aria-label', {
+            idle: 'Read message aloud',
+            speaking: 'Stop reading',
+            paused: 'Resume reading'
+        }[state]);
+    }
 
-        // Clear existing messages
-        this.messagesContainer.innerHTML = '';
-        this.renderedMessageCount = 0;
+    setupDictation() {
+        const micButton = this.container.querySelector('.chat-mic');
+        if (!micButton) return;
 
-        if (this.messages.length === 0) {
+        const chatInput = this.container.querySelector('.chat-input');
+
+        micButton.addEventListener('click', () => {
+            this.triggerHaptic();
+            if (this.dictation.isListening) {
+                this.dictation.stop();
+            } else {
+                this.showInputNotice([]);
+                this.dictation.start(chatInput.value);
+            }
+        });
+
+        // Typing takes over from dictation; programmatic updates don't fire input events
+        chatInput.addEventListener('input', () => {
+            if (this.dictation.isListening) {
+                this.dictation.abort();
+            }
+        });
+    }
+
+    /**
+     * Show recognized speech in the input so the user can review it before sending
+     */
+    handleDictationTranscript(text) {
+        const chatInput = this.container.querySelector('.chat-input');
+        chatInput.value = text;
+        // Keep the caret at the end of the growing transcript
+        chatInput.setSelectionRange(text.length, text.length);
+    }
+
+    handleDictationState(isListening) {
+        const micButton = this.container.querySelector('.chat-mic');
+        const chatInput = this.container.querySelector('.chat-input');
+        micButton.classList.toggle('listening', isListening);
+        micButton.setAttribute('aria-pressed', isListening ? 'true' : 'false');
+        micButton.setAttribute('aria-label', isListening ? 'Stop dictation' : 'Dictate message');
+        micButton.title = isListening ? 'Stop dictation' : 'Dictate message';
+        chatInput.placeholder = isListening ? 'Listening...' : 'Request a service...';
+
+        if (!isListening) {
+            this.triggerHaptic();
+            if (this.isVisible) {
+                chatInput.focus();
+            }
+        }
+    }
+
+    handleDictationError(code) {
+        const message = getDictationErrorMessage(code);
+        if (message) {
+            this.showInputNotice([message]);
+        }
+    }
+
+    /**
+     * Wire the attach button, file picker, drag-and-drop and clipboard paste
+     */
+    setupAttachments() {
+        const attachButton = this.container.querySelector('.chat-attach');
+        const fileInput = this.container.querySelector('.chat-file-input');
+        const chatInput = this.container.querySelector('.chat-input');
+        const tray = this.container.querySelector('.chat-attachments');
+
+        attachButton.addEventListener('click', () => {
+            this.triggerHaptic();
+            fileInput.click();
+        });
+
+        fileInput.addEventListener('change', () => {
+            this.addAttachments(Array.from(fileInput.files));
+            // Allow picking the same file again after removing it
+            fileInput.value = '';
+        });
+
+        chatInput.addEventListener('paste', (e) => {
+            const files = Array.from(e.clipboardData?.files || []);
+            if (files.length === 0) return;
+            // Pasted screenshots carry no text; keep normal text pastes untouched
+            if (!e.clipboardData.getData('text/plain')) {
+                e.preventDefault();
+            }
+            this.addAttachments(files);
+        });
+
+        const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+        this.container.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            this.container.classList.add('drag-over');
+        });
+
+        this.container.addEventListener('dragleave', (e) => {
+            if (!this.container.contains(e.relatedTarget)) {
+                this.container.classList.remove('drag-over');
+            }
+        });
+
+        this.container.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            this.container.classList.remove('drag-over');
+            this.addAttachments(Array.from(e.dataTransfer.files));
+        });
+
+        tray.addEventListener('click', (e) => {
+            const button = e.target instanceof Element ? e.target.closest('.chat-attachment-remove') : null;
+            if (!button) return;
+            this.triggerHaptic();
+            this.removeAttachment(button.dataset.attachmentId);
+            chatInput.focus();
+        });
+    }
+
+    /**
+     * Validate and add files to the draft, previewing images
+     * @param {File[]} files - Files from the picker, a drop or a paste
+     */
+    async addAttachments(files) {
+        const { accepted, errors } = validateFiles(files, this.draftAttachments.length, ATTACHMENT_OPTIONS);
+        this.showInputNotice(errors);
+        if (accepted.length === 0) return;
+
+        const added = await Promise.all(accepted.map(async (file) => ({
+            id: generateMessageId(),
+            file,
+            thumbnail: await createThumbnail(file, ATTACHMENT_OPTIONS.thumbnailSize)
+        })));
+        // Files may have been added concurrently while thumbnails rendered
+        this.draftAttachments = [...this.draftAttachments, ...added].slice(0, ATTACHMENT_OPTIONS.maxFiles);
+        this.renderAttachmentTray();
+    }
+
+    removeAttachment(id) {
+        this.draftAttachments = this.draftAttachments.filter(attachment => attachment.id !== id);
+        this.renderAttachmentTray();
+    }
+
+    clearAttachments() {
+        this.draftAttachments = [];
+        this.renderAttachmentTray();
+    }
+
+    /**
+     * Render previews of the draft attachments above the input
+     */
+    renderAttachmentTray() {
+        const tray = this.container.querySelector('.chat-attachments');
+        tray.replaceChildren(...this.draftAttachments.map(({ id, file, thumbnail }) => {
+            const item = document.createElement('div');
+            item.className = 'chat-attachment';
+            item.setAttribute('role', 'listitem');
+
+            if (thumbnail) {
+                const img = document.createElement('img');
+                img.className = 'chat-attachment-thumb';
+                img.src = thumbnail;
+                img.alt = '';
+                item.appendChild(img);
+            } else {
+                const icon = document.createElement('span');
+                icon.className = 'chat-attachment-icon';
+                icon.setAttribute('aria-hidden', 'true');
+                icon.textContent = isImageType(file.type) ? '🖼️' : '📄';
+                item.appendChild(icon);
+            }
+
+            const name = document.createElement('span');
+            name.className = 'chat-attachment-name';
+            name.textContent = file.name;
+            name.title = `${file.name} (${formatFileSize(file.size)})`;
+            item.appendChild(name);
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'chat-attachment-remove';
+            remove.dataset.attachmentId = id;
+            remove.setAttribute('aria-label', `Remove ${file.name}`);
+            remove.textContent = '×';
+            item.appendChild(remove);
+
+            return item;
+        }));
+
+        tray.hidden = this.draftAttachments.length === 0;
+        this.container.querySelector('.chat-input-container')
+            .classList.toggle('has-attachments', !tray.hidden);
+    }
+
+    /**
+     * Briefly explain a problem with the input, e.g. rejected files or a blocked microphone
+     * @param {string[]} notices - Readable messages; an empty list clears the notice
+     */
+    showInputNotice(notices) {
+        const noticeElement = this.container.querySelector('.chat-input-notice');
+        clearTimeout(this.inputNoticeTimer);
+
+        if (notices.length === 0) {
+            noticeElement.hidden = true;
+            noticeElement.textContent = '';
             return;
         }
 
-        // Use document fragment for efficient batch rendering
-        const fragment = document.createDocumentFragment();
+        noticeElement.textContent = notices.join('. ');
+        noticeElement.hidden = false;
+        this.inputNoticeTimer = setTimeout(() => {
+            noticeElement.hidden = true;
+        }, 5000);
+    }
 
-        for (let i = 0; i < this.messages.length; i++) {
-            const messageElement = this.createMessageElement(this.messages[i], i);
-            fragment.appendChild(messageElement);
+    /**
+     * Fills a bubble with the message body
+     * Bot replies are rendered as sanitized Markdown; user text is never interpreted
+     */
+    setMessageContent(element, message) {
+        if (message.sender === 'bot') {
+            element.classList.add('markdown');
+            element.replaceChildren(renderMarkdown(message.text));
+        } else {
+            // Safely set text content to prevent XSS
+            element.textContent = message.text;
+            if (Array.isArray(message.attachments) && message.attachments.length > 0) {
+                const list = this.createAttachmentList(message.attachments);
+                list.classList.toggle('with-text', Boolean(message.text));
+                element.appendChild(list);
+            }
         }
+    }
+
+    /**
+     * Thumbnails and file names shown inside a user bubble
+     */
+    createAttachmentList(attachments) {
+        const list = document.createElement('div');
+        list.className = 'message-attachments';
+
+        attachments.forEach((attachment) => {
+            // Only our own generated JPEG previews are used as image sources
+            if (typeof attachment.thumbnail === 'string' && attachment.thumbnail.startsWith('data:image/')) {
+                const img = document.createElement('img');
+                img.className = 'message-attachment-thumb';
+                img.src = attachment.thumbnail;
+                img.alt = attachment.name;
+                list.appendChild(img);
+            } else {
+                const file = document.createElement('span');
+                file.className = 'message-attachment-file';
+                file.textContent = attachment.name;
+                file.title = `${attachment.name} (${formatFileSize(attachment.size)})`;
+                list.appendChild(file);
+            }
+        });
+
+        return list;
+    }
+
+    /**
+     * Copy buttons on fenced code blocks, handled by delegation so re-rendered bubbles keep working
+     */
+    setupCodeCopy() {
+        this.messagesContainer.addEventListener('click', async (e) => {
+            const button = e.target instanceof Element ? e.target.closest('.code-copy') : null;
+            if (!button) return;
+
+            const code = button.parentElement?.querySelector('code');
+            if (!code) return;
+
+            try {
+                await navigator.clipboard.writeText(code.textContent);
+                button.textContent = 'Copied';
+            } catch (_) {
+                // Clipboard blocked: select the code so the user can copy manually
+                const range = document.createRange();
+                range.selectNodeContents(code);
+                const selection = window.getSelection();
+                selection.removeAllRanges();
+                selection.addRange(range);
+                button.textContent = 'Selected';
+            }
+
+            this.triggerHaptic();
+            setTimeout(() => {
+                button.textContent = 'Copy';
+            }, 1500);
+        });
+    }
 
-        // Single DOM append operation
-        this.messagesContainer.appendChild(fragment);
+    /**
+     * Full render for initial load or complete refresh scenarios
+     * Long transcripts start with only their most recent messages rendered
+     */
+    renderAllMessages() {
+        if (!this.messagesContainer) return;
+
+        // Preserve scroll position and focus state
+        const wasScrolledToBottom = this.isScrolledToBottom();
+        const activeElement = this.getActiveElement();
+        const focus = this.captureMessageFocus();
+        this.detachedFocus = null;
+
+        // Clear existing messages, keeping the window spacers
+        this.messagesContainer.replaceChildren(this.topSpacer, this.bottomSpacer);
+        this.renderedRange = { start: 0, end: 0 };
         this.renderedMessageCount = this.messages.length;
+        this.refreshSearch();
 
-        // Restore focus if it was on a chat element
-        if (activeElement && this.container.contains(activeElement)) {
+        if (this.messages.length === 0) {
+            this.updateSpacers();
+            return;
+        }
+
+        const { start, end } = this.messageWindow.getTailRange(this.messages, this.messagesContainer.clientHeight);
+        // Single DOM insert for the rendered slice
+        this.bottomSpacer.before(this.createMessageUnits(start, end));
+        this.renderedRange = { start, end };
+        this.updateSpacers();
+
+        // Restore focus to the re-created bubble or control, or to the element that still exists
+        if (focus && focus.index >= start && focus.index < end) {
+            this.restoreMessageFocus(focus);
+        } else if (focus) {
+            this.detachedFocus = focus;
+            this.messagesContainer.focus({ preventScroll: true });
+        } else if (activeElement && this.container.contains(activeElement)) {
             activeElement.focus();
         }
 
         // Maintain scroll position or scroll to bottom if user was at bottom
         if (wasScrolledToBottom || this.messages.length === 1) {
             this.scrollToBottom();
+        } else {
+            requestAnimationFrame(() => this.updateMessageWindow(true));
         }
     }
 
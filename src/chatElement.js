@@ -0,0 +1,181 @@
+/**
+ * <geuse-chat> custom element
+ * Standalone build of the chat for other sites: styles stay inside a shadow root and no Three.js scene is loaded
+ *
+ * Attributes:
+ * - webhook-url: n8n webhook that receives messages (defaults to config.webhookUrl)
+ * - theme: "light", "dark" or "auto" to follow the visitor's system setting (default)
+ * - greeting: first-open bot message
+ * - suggestions: JSON array or "|"-separated list of suggestion chips
+ * - token-endpoint: session endpoint for signed requests (turns on config.auth token mode)
+ */
+
+import { config } from '../config.js';
+import Chat from './chat.js';
+import { RequestAuth, AUTH_MODES } from './utils/requestAuth.js';
+import chatStyles from './styles/chat.css?inline';
+
+const CHAT_DEFAULTS = config.chat || {};
+const LAUNCHER_ICON = 'https://www.geuse.io/media/glitch.gif';
+
+// chat.css is written for the document; inside the shadow root the host element stands in for <html>
+const toShadowStyles = (css) => css
+    .replace(/:root\[([^\]]+)\]/g, ':host([$1])')
+    .replace(/:root/g, ':host');
+
+// Values the Geuse site defines in index.html, and a reset for the launcher button
+const ELEMENT_STYLES = `
+:host {
+    --safe-area-inset-top: env(safe-area-inset-top, 0px);
+    --safe-area-inset-right: env(safe-area-inset-right, 0px);
+    --safe-area-inset-bottom: env(safe-area-inset-bottom, 0px);
+    --safe-area-inset-left: env(safe-area-inset-left, 0px);
+    font-family: var(--font-primary);
+}
+
+#chat-icon {
+    padding: 0;
+    border: none;
+    background: none;
+}
+`;
+
+/**
+ * Reads the suggestions attribute
+ * @param {string|null} value - JSON array or "|"-separated list
+ * @returns {string[]|undefined} Suggestion texts, or undefined to keep the defaults
+ */
+export function parseSuggestions(value) {
+    if (!value) return undefined;
+
+    try {
+        const parsed = JSON.parse(value);
+        if (Array.isArray(parsed)) {
+            return parsed.filter(item => typeof item === 'string');
+        }
+    } catch (_) {
+        // Not JSON, fall through to the plain list format
+    }
+    return value.split('|').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Auth options for the token-endpoint attribute
+ * @param {string|null} tokenEndpoint - Attribute value
+ * @returns {Object} Options for RequestAuth
+ */
+function getAuthOptions(tokenEndpoint) {
+    return tokenEndpoint
+        ? { ...config.auth, mode: AUTH_MODES.TOKEN, tokenEndpoint }
+        : config.auth;
+}
+
+export class GeuseChatElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['webhook-url', 'theme', 'greeting', 'suggestions', 'token-endpoint'];
+    }
+
+    constructor() {
+        super();
+        this.chat = null;
+        this.attachShadow({ mode: 'open' });
+    }
+
+    connectedCallback() {
+        // Moving the element keeps the existing chat and conversation
+        if (this.chat) return;
+
+        const style = document.createElement('style');
+        style.textContent = toShadowStyles(chatStyles) + ELEMENT_STYLES;
+
+        const launcher = document.createElement('button');
+        launcher.id = 'chat-icon';
+        launcher.type = 'button';
+        launcher.setAttribute('aria-label', 'Open chat');
+        launcher.setAttribute('aria-expanded', 'false');
+        const icon = document.createElement('img');
+        icon.src = LAUNCHER_ICON;
+        icon.alt = '';
+        icon.draggable = false;
+        launcher.appendChild(icon);
+
+        this.shadowRoot.append(style, launcher);
+        this.applyTheme();
+
+        const options = {
+            root: this.shadowRoot,
+            themeRoot: this,
+            updatePageTagline: false,
+            chatIcon: icon,
+            auth: getAuthOptions(this.getAttribute('token-endpoint'))
+        };
+        const webhookUrl = this.getAttribute('webhook-url');
+        if (webhookUrl) options.webhookUrl = webhookUrl;
+        const greeting = this.getAttribute('greeting');
+        if (greeting) options.greeting = greeting;
+        const suggestions = parseSuggestions(this.getAttribute('suggestions'));
+        if (suggestions) options.suggestions = suggestions;
+
+        this.chat = new Chat(options);
+        this.chat.onVisibilityChange = (isOpen) => {
+            launcher.setAttribute('aria-label', isOpen ? 'Close chat' : 'Open chat');
+            launcher.setAttribute('aria-expanded', isOpen ? 'true' : 'false');
+            this.dispatchEvent(new CustomEvent('geuse-chat-visibility-change', { detail: { open: isOpen } }));
+        };
+
+        launcher.addEventListener('click', () => this.toggle());
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (name === 'theme') {
+            this.applyTheme();
+        }
+        if (!this.chat || oldValue === value) return;
+
+        if (name === 'webhook-url') {
+            this.chat.webhookUrl = value || config.webhookUrl;
+        } else if (name === 'greeting') {
+            this.chat.options.greeting = value || CHAT_DEFAULTS.greeting;
+        } else if (name === 'suggestions') {
+            this.chat.options.suggestions = parseSuggestions(value) || CHAT_DEFAULTS.suggestions;
+        } else if (name === 'token-endpoint') {
+            this.chat.requestAuth = new RequestAuth(getAuthOptions(value));
+        }
+    }
+
+    /**
+     * Mirror the theme attribute onto data-theme, which the shadow styles key off
+     */
+    applyTheme() {
+        const theme = this.getAttribute('theme');
+        if (theme === 'light' || theme === 'dark') {
+            this.setAttribute('data-theme', theme);
+        } else {
+            this.removeAttribute('data-theme');
+        }
+
+        const themeManager = this.chat?.themeManager;
+        if (themeManager) {
+            themeManager.setIcon(themeManager.getCurrentTheme());
+        }
+    }
+
+    open() {
+        if (this.chat && !this.chat.isVisible) this.chat.toggle();
+    }
+
+    close() {
+        if (this.chat?.isVisible) this.chat.toggle();
+    }
+
+    /**
+     * @returns {boolean} Whether the chat is now open
+     */
+    toggle() {
+        return this.chat ? this.chat.toggle() : false;
+    }
+}
+
+if (!customElements.get('geuse-chat')) {
+    customElements.define('geuse-chat', GeuseChatElement);
+}
@@ -9,6 +9,8 @@
  * - Haptic feedback integration
  */
 
+import { isEnabled, FEATURE_FLAGS } from '../utils/featureFlags.js';
+
 export class GestureHandler {
     constructor(options = {}) {
         this.options = {
@@ -376,7 +378,7 @@ export class GestureHandler {
      * Trigger haptic feedback
      */
     triggerHaptic(intensity = 'light') {
-        if (!this.options.hapticEnabled || !this.hasHaptics) return;
+        if (!this.options.hapticEnabled || !isEnabled(FEATURE_FLAGS.HAPTICS) || !this.hasHaptics) return;
 
         const patterns = {
             light: 10,
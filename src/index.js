@@ -2,12 +2,18 @@ import * as THREE from 'three';
 import { CSS3DRenderer, CSS3DSprite } from 'three/examples/jsm/renderers/CSS3DRenderer.js';
 import TWEEN from 'three/addons/libs/tween.module.js';
 import { initializeTheme, getCurrentTheme } from './utils/themeManager.js';
-import { generateAllScenes } from './utils/sceneGenerators.js';
+import { sceneRegistry } from './utils/sceneRegistry.js';
+import { loadImageGenerator } from './utils/sceneGenerators.js';
+import { createRandom, deriveSeed, resolveSeed, hasFixedSeed } from './utils/random.js';
+import { animationClock } from './utils/animationClock.js';
+import { config } from '../config.js';
 import { eventHandler } from './core/EventHandler.js';
 import GestureHandler from './core/GestureHandler.js';
 import CameraManager from './modules/cameraManager.js';
 import { CanvasEventHandlers, InteractionHandlers } from './modules/eventHandlers.js';
 import MobileOptimizer from './utils/mobile/mobileOptimizer.js';
+import { createEmbedApi, installEmbedApi } from './modules/embedApi.js';
+import { loadFeatureFlags, isEnabled, FEATURE_FLAGS } from './utils/featureFlags.js';
 import './styles/chat.css';
 
 let camera, scene, renderer;
@@ -18,9 +24,22 @@ let interactionHandlers;
 let mobileOptimizer;
 let chat = null;
 
+// Every random choice of the scene comes from this seed, so one seed renders the same frames
+const seed = resolveSeed({ configured: config.scene.seed });
+const scatterRandom = createRandom(deriveSeed(seed, 'scatter'));
+const transitionRandom = createRandom(deriveSeed(seed, 'transition'));
+const cycleRandom = createRandom(deriveSeed(seed, 'cycle'));
+
+// A chosen seed also fixes the clock: motion and tweens advance one step per frame, not with the wall clock
+if (hasFixedSeed({ configured: config.scene.seed })) {
+    animationClock.useFixedStep();
+}
+
 // Expose scene variables globally for testing and debugging
 if (typeof window !== 'undefined') {
     window.getThreeJSScene = () => ({
+        seed,
+        animationClock,
         camera,
         scene,
         renderer,
@@ -33,19 +52,35 @@ if (typeof window !== 'undefined') {
 }
 
 const particlesTotal = 512;
-const positions = [];
+const formations = new Map(); // Scene name -> generated { positions, colors }
 const objects = [];
-const sceneNames = ['plane', 'cube', 'sphere', 'random', 'spiral', 'fibonacci'];
-let currentScene = 'plane';
+let currentScene = sceneRegistry.getNames()[0];
 let isTransitioning = false;
+let settledScene = null; // Formation the particles have fully arrived in
+let settledAt = 0; // Animation time when they arrived
+let particlesReady = false;
+let pendingFormation; // Formation requested through the embed API before the particles loaded
+let autoCycle = true;
+let cycleTween = null; // Schedules the next automatic formation change
+
+// Pause between automatic formation changes
+const CYCLE_INTERVAL = 24000;
+
+// Buffer after the last particle arrives before the formation counts as settled
+const SETTLE_BUFFER = 200;
 
 // Simple time tracking for animation
 let animationTime = 0;
 
+// Flags load alongside the scene; features check them when used
+const featureFlagsReady = loadFeatureFlags();
+
 // Lazy load chat component
 async function loadChat() {
     if (!chat) {
-        const Chat = (await import('./chat.js')).default;
+        const [{ default: Chat }] = await Promise.all([import('./chat.js'), featureFlagsReady]);
+        // Another call may have created it while the flags loaded
+        if (chat) return chat;
         chat = new Chat();
         // Set up callback for camera adjustment via CameraManager
         chat.onVisibilityChange = (isChatActive) => {
@@ -61,10 +96,56 @@ async function loadChat() {
         if (chat.setGestureHandler && gestureHandler) {
             chat.setGestureHandler(gestureHandler);
         }
+        embed.connectChat(chat);
     }
     return chat;
 }
 
+// Public window.Geuse API for host pages
+const embed = createEmbedApi({
+    loadChat,
+    getChat: () => chat,
+    scene: {
+        getFormations: () => sceneRegistry.getNames(),
+        getFormation: () => (particlesReady ? currentScene : pendingFormation ?? currentScene),
+        setFormation(name) {
+            if (particlesReady) {
+                transition(name);
+            } else {
+                // Particles are still loading; they move into this formation first
+                pendingFormation = name;
+            }
+        },
+        setAutoCycle(enabled) {
+            autoCycle = enabled;
+            if (particlesReady) {
+                scheduleNextTransition();
+            }
+        },
+        async addImageFormation(name, image, { displayName, duration, ...sampling } = {}) {
+            const generate = await loadImageGenerator(image, sampling);
+            sceneRegistry.register(name, generate, { displayName, duration });
+        }
+    }
+});
+
+// Formations can be added or removed while the page runs
+sceneRegistry.onChange(({ type, name }) => {
+    formations.delete(name);
+    if (type !== 'unregister') return;
+
+    if (pendingFormation === name) {
+        pendingFormation = undefined;
+    }
+    if (currentScene === name) {
+        if (particlesReady) {
+            transition();
+        } else {
+            currentScene = sceneRegistry.getNames()[0];
+        }
+    }
+});
+
 // Function to update scene background based on current theme with smooth transitions
 // Note: CSS3DRenderer doesn't use traditional WebGL scene.background - we handle via CSS
 async function updateSceneBackground() {
@@ -120,7 +201,7 @@ async function updateSceneBackground() {
             const b = Math.round(currentRgb.b);
             body.style.backgroundColor = `rgb(${r}, ${g}, ${b})`;
         })
-        .start();
+        .start(animationClock.now());
 }
 
 // Setup theme change observer to automatically update scene background
@@ -204,22 +285,47 @@ function createChatIconSprite() {
     return div;
 }
 
-function generatePositions() {
-    positions.length = 0;
-    const allScenePositions = generateAllScenes(particlesTotal);
-    positions.push(...allScenePositions);
+function getFormation(sceneName) {
+    // Generated on first use, so formations registered later are picked up too
+    if (!formations.has(sceneName)) {
+        formations.set(sceneName, sceneRegistry.generateFormation(sceneName, particlesTotal, { seed: deriveSeed(seed, sceneName) }));
+    }
+    return formations.get(sceneName);
+}
+
+// Approximate an r,g,b color on the sprite image with CSS filters
+function getTintFilter(r, g, b) {
+    const max = Math.max(r, g, b) / 255;
+    const min = Math.min(r, g, b) / 255;
+    const lightness = (max + min) / 2;
+    const chroma = max - min;
+    const saturation = chroma === 0 ? 0 : chroma / (1 - Math.abs(2 * lightness - 1));
+
+    let hue = 0;
+    if (chroma !== 0) {
+        if (max === r / 255) hue = ((g - b) / 255 / chroma) % 6;
+        else if (max === g / 255) hue = (b - r) / 255 / chroma + 2;
+        else hue = (r - g) / 255 / chroma + 4;
+    }
+
+    // Sepia turns the sprite a warm orange (about 38deg) that hue-rotate moves to the target hue
+    return `sepia(1) saturate(${(saturation * 4).toFixed(2)}) hue-rotate(${Math.round(hue * 60 - 38)}deg) brightness(${Math.max(lightness * 2, 0.3).toFixed(2)})`;
 }
 
 function setScene(sceneName) {
+    const { positions, colors } = getFormation(sceneName);
     currentScene = sceneName;
+    // Keep tap and Space cycling in step with timed and API changes
+    interactionHandlers?.setScene(sceneName);
     // Set target positions for all objects
-    const offset = sceneNames.indexOf(sceneName) * particlesTotal * 3;
-    for (let i = 0, j = offset; i < particlesTotal; i++, j += 3) {
+    for (let i = 0, j = 0; i < particlesTotal; i++, j += 3) {
         objects[i].userData.target = {
             x: positions[j],
             y: positions[j + 1],
             z: positions[j + 2]
         };
+        // Image formations can color each sprite after its pixel
+        objects[i].element.style.filter = colors ? getTintFilter(colors[j], colors[j + 1], colors[j + 2]) : '';
     }
 
     // Objects will be transitioning to new positions
@@ -273,8 +379,6 @@ function init() {
             chatIcon.style.setProperty('position', 'fixed', 'important');
         }
         
-        generatePositions();
-        
         const image = document.createElement('img');
         image.loading = 'eager'; // Critical asset
         image.addEventListener('load', function () {
@@ -294,12 +398,12 @@ function init() {
                     clonedImage.setAttribute('aria-hidden', 'true');
                     
                     const object = new CSS3DSprite(clonedImage);
-                    object.position.x = Math.random() * 4000 - 2000;
-                    object.position.y = Math.random() * 4000 - 2000;
-                    object.position.z = Math.random() * 4000 - 2000;
+                    object.position.x = scatterRandom() * 4000 - 2000;
+                    object.position.y = scatterRandom() * 4000 - 2000;
+                    object.position.z = scatterRandom() * 4000 - 2000;
                     object.userData.target = { x: 0, y: 0, z: 0 };
                     // Store initial random offset for natural variation
-                    object.userData.randomOffset = Math.random() * Math.PI * 2;
+                    object.userData.randomOffset = scatterRandom() * Math.PI * 2;
                     scene.add(object);
                     objects.push(object);
                 }
@@ -309,7 +413,8 @@ function init() {
                     requestAnimationFrame(createChunk);
                 } else {
                     setScene(currentScene);
-                    transition();
+                    particlesReady = true;
+                    transition(pendingFormation);
                 }
             }
 
@@ -464,7 +569,6 @@ function init() {
         mobileOptimizer = new MobileOptimizer({
             targetFPS: 60,
             fpsThreshold: 45,
-            enableHaptics: true,
             autoReduceFilters: true
         });
         mobileOptimizer.init(eventHandler);
@@ -495,11 +599,8 @@ function init() {
         canvasEventHandlers.init();
 
         // Initialize InteractionHandlers for scene cycling and gestures
-        interactionHandlers = new InteractionHandlers({
-            sceneCyclingEnabled: true,
-            swipeEnabled: true,
-            longTapEnabled: true
-        });
+        // Scene cycling and swipe-to-close follow the feature flags
+        interactionHandlers = new InteractionHandlers();
         interactionHandlers.init(gestureHandler, canvasEventHandlers);
 
         // Setup interaction callbacks
@@ -521,8 +622,7 @@ function init() {
             if (chat && chat.isVisible) {
                 const suggestions = chat.container.querySelector('.chat-suggestions');
                 if (suggestions && suggestions.hidden) {
-                    suggestions.hidden = false;
-                    chat.container.classList.add('has-suggestions');
+                    chat.showSuggestions();
                 }
             }
         });
@@ -566,18 +666,24 @@ function onWindowResize(viewportData) {
     renderer.setSize(width, height);
 }
 
-function transition() {
-    isTransitioning = true;
+function transition(nextScene = sceneRegistry.getRandomName(currentScene, cycleRandom)) {
+    const previousScene = currentScene;
+    try {
+        setScene(nextScene);
+    } catch (error) {
+        // A formation that cannot be generated (e.g. text that draws nothing) is skipped
+        console.warn(`Skipping formation "${nextScene}":`, error.message);
+        scheduleNextTransition();
+        return;
+    }
 
-    // Pick a new scene
-    let nextIdx = sceneNames.indexOf(currentScene);
-    while (nextIdx === sceneNames.indexOf(currentScene)) {
-        nextIdx = Math.floor(Math.random() * sceneNames.length);
+    isTransitioning = true;
+    settledScene = null;
+    if (nextScene !== previousScene) {
+        embed.emit('formation-change', { formation: nextScene, previous: previousScene });
     }
-    const nextScene = sceneNames[nextIdx];
-    setScene(nextScene);
 
-    const duration = 4000;
+    const { duration } = sceneRegistry.get(nextScene);
     let tweensCompleted = 0;
 
     // Create smooth, sequential transitions with better timing
@@ -586,9 +692,11 @@ function transition() {
 
         // Add small sequential delay for more organic flow
         const delay = (i / particlesTotal) * 500; // 500ms spread across all particles
-        const individualDuration = duration + (Math.random() * 2000); // Varying duration for natural flow
+        const individualDuration = duration + (transitionRandom() * 2000); // Varying duration for natural flow
 
-        new TWEEN.Tween(object.position)
+        // A requested formation interrupts the one still in progress
+        object.userData.tween?.stop();
+        object.userData.tween = new TWEEN.Tween(object.position)
             .to({
                 x: object.userData.target.x,
                 y: object.userData.target.y,
@@ -600,31 +708,45 @@ function transition() {
                 tweensCompleted++;
                 if (tweensCompleted === particlesTotal) {
                     // Add small buffer before ending transition to ensure all animations settle
-                    setTimeout(() => {
-                        isTransitioning = false;
-                    }, 200);
+                    new TWEEN.Tween({})
+                        .to({}, SETTLE_BUFFER)
+                        .onComplete(() => {
+                            isTransitioning = false;
+                            settledScene = nextScene;
+                            settledAt = animationTime;
+                        })
+                        .start(animationClock.now());
                 }
             })
-            .start();
+            .start(animationClock.now());
     }
 
+    scheduleNextTransition();
+}
+
+function scheduleNextTransition() {
+    cycleTween?.stop();
+    cycleTween = null;
+    if (!autoCycle || !isEnabled(FEATURE_FLAGS.SCENE_CYCLING)) return;
+
     // Schedule next transition with consistent timing
-    new TWEEN.Tween({})
-        .to({}, duration * 6)
+    cycleTween = new TWEEN.Tween({})
+        .to({}, CYCLE_INTERVAL)
         .onComplete(() => {
             transition();
         })
-        .start();
+        .start(animationClock.now());
 }
 
 function animate() {
     requestAnimationFrame(animate);
 
     // Update animation time
-    animationTime = performance.now() * 0.001;
+    const now = animationClock.tick();
+    animationTime = now * 0.001;
 
-    // Update TWEEN animations
-    TWEEN.update();
+    // Update TWEEN animations on the same clock
+    TWEEN.update(now);
 
     // Update camera controls via CameraManager
     if (cameraManager) {
@@ -636,11 +758,20 @@ function animate() {
         mobileOptimizer.countFrame();
     }
 
+    // Formations like the wave grid keep moving once the particles have arrived
+    const sceneAnimation = settledScene === currentScene ? sceneRegistry.get(currentScene)?.animate : null;
+    const settledFor = animationTime - settledAt;
+
     // Simple, clean animation loop - based on Three.js CSS3D sprite reference pattern
     // Apply smooth scaling animation to all objects without complex optimizations
     for (let i = 0; i < objects.length; i++) {
         const object = objects[i];
         if (object && object.scale && object.position) {
+            if (sceneAnimation) {
+                const { x, y, z } = sceneAnimation(object.userData.target, settledFor);
+                object.position.set(x, y, z);
+            }
+
             // Reference implementation: position and time based scaling for organic movement
             // This creates the classic "breathing" effect seen in Three.js CSS3D examples
             const positionFactor = (object.position.x + object.position.z) * 0.001;
@@ -688,4 +819,5 @@ if (window.location.hostname === 'localhost' || window.location.hostname.include
 }
 
 // Initialize the scene
-init(); 
+init();
+installEmbedApi(embed.api); 
@@ -10,6 +10,7 @@
  */
 
 import TWEEN from 'three/addons/libs/tween.module.js';
+import { animationClock } from '../utils/animationClock.js';
 import { TrackballControls } from 'three/examples/jsm/controls/TrackballControls.js';
 
 export class CameraManager {
@@ -120,7 +121,7 @@ export class CameraManager {
                 .onComplete(() => {
                     this.state.isTransitioning = false;
                 })
-                .start();
+                .start(animationClock.now());
 
             // Adjust controls to allow closer/further zoom
             this.controls.minDistance = this.originalDistance.min * 0.8;
@@ -133,7 +134,7 @@ export class CameraManager {
                 .onComplete(() => {
                     this.state.isTransitioning = false;
                 })
-                .start();
+                .start(animationClock.now());
 
             // Restore original control settings
             this.controls.minDistance = this.originalDistance.min;
@@ -212,7 +213,7 @@ export class CameraManager {
         new TWEEN.Tween(this.camera.position)
             .to(this.originalPosition, 1000)
             .easing(TWEEN.Easing.Quadratic.Out)
-            .start();
+            .start(animationClock.now());
 
         if (this.controls) {
             this.controls.minDistance = this.originalDistance.min;
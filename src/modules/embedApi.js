@@ -0,0 +1,239 @@
+/**
+ * EmbedApi - Public `window.Geuse` controller for host pages
+ *
+ * Handles:
+ * - Opening, closing and toggling the chat, loading it on first use
+ * - Sending or prefilling messages and attaching page context to requests
+ * - Event subscriptions for the chat and the particle scene
+ * - Safe scene controls (reading and choosing the particle formation, adding picture formations)
+ */
+
+export const EMBED_EVENTS = [
+    'chat-ready',
+    'visibility-change',
+    'message-sent',
+    'message-received',
+    'formation-change'
+];
+
+/**
+ * Copy of a message with only the fields host pages may rely on
+ */
+const toPublicMessage = (message) => ({
+    id: message.id,
+    text: message.text,
+    sender: message.sender,
+    createdAt: message.createdAt
+});
+
+const isPlainObject = (value) => Object.prototype.toString.call(value) === '[object Object]';
+
+function assertText(text, method) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new TypeError(`Geuse.${method} expects a non-empty string`);
+    }
+}
+
+/**
+ * Create the embed controller
+ * @param {Object} options
+ * @param {Function} options.loadChat - Resolves the Chat instance, creating it on first call
+ * @param {Function} options.getChat - Returns the Chat instance if it has been created, else null
+ * @param {Object} options.scene - Scene hooks: getFormations(), getFormation(), setFormation(name), setAutoCycle(enabled),
+ *   addImageFormation(name, image, options)
+ * @returns {{api: Object, connectChat: Function, emit: Function}} The frozen public API plus hooks for the app
+ */
+export function createEmbedApi({ loadChat, getChat, scene }) {
+    const listeners = new Map(EMBED_EVENTS.map(event => [event, new Set()]));
+    let context = null;
+
+    const emit = (event, detail) => {
+        listeners.get(event).forEach((callback) => {
+            try {
+                callback(detail);
+            } catch (error) {
+                // A failing host listener must not break the chat
+                console.error(`Geuse "${event}" listener failed:`, error);
+            }
+        });
+    };
+
+    const assertEvent = (event, callback) => {
+        if (!listeners.has(event)) {
+            throw new Error(`Unknown Geuse event "${event}". Available events: ${EMBED_EVENTS.join(', ')}`);
+        }
+        if (typeof callback !== 'function') {
+            throw new TypeError('Geuse event listeners must be functions');
+        }
+    };
+
+    /**
+     * Wire a newly created Chat into the API's context and events
+     */
+    const connectChat = (chat) => {
+        chat.setContext(context);
+
+        const notifyVisibility = chat.onVisibilityChange;
+        chat.onVisibilityChange = (isOpen) => {
+            if (notifyVisibility) notifyVisibility(isOpen);
+            emit('visibility-change', { open: isOpen });
+        };
+        chat.onMessageSent = message => emit('message-sent', toPublicMessage(message));
+        chat.onMessageReceived = message => emit('message-received', toPublicMessage(message));
+
+        emit('chat-ready', {});
+    };
+
+    const open = async () => {
+        const chat = await loadChat();
+        if (!chat.isVisible) {
+            chat.toggle();
+        }
+    };
+
+    const api = {
+        /** Open the chat, loading it if needed */
+        open,
+
+        /** Close the chat; does nothing if it was never opened */
+        close() {
+            const chat = getChat();
+            if (chat && chat.isVisible) {
+                chat.toggle();
+            }
+        },
+
+        /**
+         * Open or close the chat
+         * @returns {Promise<boolean>} Whether the chat is now open
+         */
+        async toggle() {
+            const chat = await loadChat();
+            return chat.toggle();
+        },
+
+        isOpen() {
+            return Boolean(getChat()?.isVisible);
+        },
+
+        /**
+         * Send a message on the visitor's behalf, opening the chat first
+         * Ignored while a reply is still loading, like the send button
+         * @param {string} text - Message text
+         */
+        async send(text) {
+            assertText(text, 'send');
+            await open();
+            await getChat().sendMessage(text);
+        },
+
+        /**
+         * Open the chat with text in the input for the visitor to review and send
+         * @param {string} text - Draft text
+         */
+        async prefill(text) {
+            assertText(text, 'prefill');
+            await open();
+            getChat().setDraft(text);
+        },
+
+        /**
+         * Set metadata sent as `metadata` with every message, e.g. `{ page: 'pricing' }`
+         * @param {Object|null} value - JSON-serializable object, or null to clear it
+         */
+        setContext(value) {
+            if (value !== null && !isPlainObject(value)) {
+                throw new TypeError('Geuse.setContext expects a plain object or null');
+            }
+            context = value ? JSON.parse(JSON.stringify(value)) : null;
+            getChat()?.setContext(context);
+        },
+
+        getContext() {
+            return context ? JSON.parse(JSON.stringify(context)) : null;
+        },
+
+        /**
+         * Subscribe to an event
+         * @param {string} event - One of EMBED_EVENTS
+         * @param {Function} callback - Called with the event detail
+         * @returns {Function} Unsubscribe function
+         */
+        on(event, callback) {
+            assertEvent(event, callback);
+            listeners.get(event).add(callback);
+            return () => listeners.get(event).delete(callback);
+        },
+
+        off(event, callback) {
+            assertEvent(event, callback);
+            listeners.get(event).delete(callback);
+        },
+
+        events: Object.freeze([...EMBED_EVENTS]),
+
+        scene: Object.freeze({
+            /** Names of the available particle formations */
+            getFormations: () => [...scene.getFormations()],
+
+            getFormation: () => scene.getFormation(),
+
+            /**
+             * Move the particles into a formation; automatic cycling continues from there
+             * @param {string} name - One of getFormations()
+             */
+            setFormation(name) {
+                if (!scene.getFormations().includes(name)) {
+                    throw new Error(`Unknown formation "${name}". Available formations: ${scene.getFormations().join(', ')}`);
+                }
+                scene.setFormation(name);
+            },
+
+            /** Turn the automatic change of formation on or off */
+            setAutoCycle(enabled) {
+                scene.setAutoCycle(Boolean(enabled));
+            },
+
+            /**
+             * Add a formation that recreates a picture; it joins the automatic cycle
+             * @param {string} name - New formation name
+             * @param {string|Blob} image - Image URL (same origin or CORS-enabled) or a Blob, e.g. a File from an input
+             * @param {Object} [options] - weight ('luminance' or 'alpha'), invert, tint, width, depth, displayName, duration
+             * @returns {Promise<void>} Resolves once the formation can be chosen
+             */
+            async addImageFormation(name, image, options = {}) {
+                if (scene.getFormations().includes(name)) {
+                    throw new Error(`Formation "${name}" already exists`);
+                }
+                if (typeof image !== 'string' && !(image instanceof Blob)) {
+                    throw new Error('addImageFormation needs an image URL or a Blob');
+                }
+                await scene.addImageFormation(name, image, options);
+            }
+        })
+    };
+
+    return { api: Object.freeze(api), connectChat, emit };
+}
+
+/**
+ * Publish the API as `window.Geuse`
+ * Calls queued by a loader snippet (`window.Geuse = window.Geuse || []; Geuse.push(['open'])`) are replayed
+ * A `geuse:ready` event is dispatched on window once the API is available
+ */
+export function installEmbedApi(api) {
+    const queued = Array.isArray(window.Geuse) ? window.Geuse : [];
+    window.Geuse = api;
+
+    queued.forEach(([method, ...args] = []) => {
+        if (typeof api[method] !== 'function') {
+            console.warn(`Geuse: ignoring queued call to unknown method "${method}"`);
+            return;
+        }
+        Promise.resolve()
+            .then(() => api[method](...args))
+            .catch(error => console.error(`Geuse.${method} failed:`, error));
+    });
+
+    window.dispatchEvent(new CustomEvent('geuse:ready', { detail: api }));
+}
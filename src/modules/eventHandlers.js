@@ -8,6 +8,9 @@
  * - Focus management and accessibility
  */
 
+import { isEnabled, FEATURE_FLAGS } from '../utils/featureFlags.js';
+import { sceneRegistry } from '../utils/sceneRegistry.js';
+
 export class CanvasEventHandlers {
     constructor(canvas, options = {}) {
         if (!canvas) {
@@ -283,8 +286,7 @@ export class InteractionHandlers {
             ...options
         };
 
-        this.sceneNames = ['plane', 'cube', 'sphere', 'random', 'spiral', 'fibonacci'];
-        this.currentSceneIndex = 0;
+        this.currentScene = sceneRegistry.getNames()[0];
         this.callbacks = {
             onSceneChange: null,
             onSwipeLeft: null,
@@ -314,7 +316,7 @@ export class InteractionHandlers {
 
         this.gestureHandler.on('tap', (data) => {
             // Only cycle scenes if tapping on canvas
-            if (data.target === 'canvas') {
+            if (data.target === 'canvas' && isEnabled(FEATURE_FLAGS.SCENE_CYCLING)) {
                 this.cycleScene();
             }
         });
@@ -322,7 +324,7 @@ export class InteractionHandlers {
 
     /**
      * Setup swipe gestures
-     * - Swipe left over chat: hide dialog
+     * - Swipe left over chat: hide dialog (swipeToClose flag)
      * - Swipe right over chat: show suggestions
      * - Swipe over canvas: no action (canvas gestures handled by controls)
      */
@@ -330,7 +332,7 @@ export class InteractionHandlers {
         if (!this.options.swipeEnabled || !this.gestureHandler) return;
 
         this.gestureHandler.on('swipeleft', (data) => {
-            if (data.target === 'chat') {
+            if (data.target === 'chat' && isEnabled(FEATURE_FLAGS.SWIPE_TO_CLOSE)) {
                 const interactedWithSuggestions = data.element?.closest?.('.chat-suggestions');
                 if (interactedWithSuggestions) {
                     return;
@@ -380,7 +382,9 @@ export class InteractionHandlers {
         if (!this.canvasEventHandler) return;
 
         this.canvasEventHandler.on('cyclescenes', () => {
-            this.cycleScene();
+            if (isEnabled(FEATURE_FLAGS.SCENE_CYCLING)) {
+                this.cycleScene();
+            }
         });
     }
 
@@ -388,10 +392,10 @@ export class InteractionHandlers {
      * Cycle to next scene
      */
     cycleScene() {
-        this.currentSceneIndex = (this.currentSceneIndex + 1) % this.sceneNames.length;
-        const nextScene = this.sceneNames[this.currentSceneIndex];
+        const nextScene = sceneRegistry.getNextName(this.currentScene);
+        this.currentScene = nextScene;
 
-        this.emit('scenechange', { scene: nextScene, index: this.currentSceneIndex });
+        this.emit('scenechange', { scene: nextScene, index: sceneRegistry.getNames().indexOf(nextScene) });
 
         if (this.callbacks.onSceneChange) {
             this.callbacks.onSceneChange(nextScene);
@@ -402,9 +406,8 @@ export class InteractionHandlers {
      * Set current scene by name
      */
     setScene(sceneName) {
-        const index = this.sceneNames.indexOf(sceneName);
-        if (index !== -1) {
-            this.currentSceneIndex = index;
+        if (sceneRegistry.has(sceneName)) {
+            this.currentScene = sceneName;
         }
     }
 
@@ -448,7 +451,7 @@ export class InteractionHandlers {
      * Get current scene
      */
     getCurrentScene() {
-        return this.sceneNames[this.currentSceneIndex];
+        return this.currentScene;
     }
 }
 
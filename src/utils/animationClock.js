@@ -0,0 +1,56 @@
+/**
+ * Animation Clock
+ *
+ * Time source for the scene's per-frame motion and its tweens. It follows the wall clock by default.
+ * With a fixed step, each rendered frame advances it by the same amount, so a seeded scene moves
+ * the same way on every load whatever the frame rate. Tweens share one TWEEN group, so every tween
+ * starts with `animationClock.now()` and the render loop updates them with the same time.
+ */
+
+/**
+ * Milliseconds one frame advances a fixed-step clock (60fps)
+ */
+export const FRAME_STEP = 1000 / 60;
+
+class AnimationClock {
+    constructor() {
+        this.step = null; // Milliseconds per frame; null follows the wall clock
+        this.frame = 0;
+    }
+
+    /**
+     * Advance by the same step every frame instead of following the wall clock
+     * @param {number} [step] - Milliseconds per frame
+     */
+    useFixedStep(step = FRAME_STEP) {
+        this.step = step;
+        this.frame = 0;
+    }
+
+    /**
+     * Whether the clock advances per frame rather than with the wall clock
+     * @returns {boolean}
+     */
+    isFixed() {
+        return this.step !== null;
+    }
+
+    /**
+     * Count a rendered frame
+     * @returns {number} Animation time in ms for the new frame
+     */
+    tick() {
+        this.frame++;
+        return this.now();
+    }
+
+    /**
+     * Current animation time
+     * @returns {number} Milliseconds
+     */
+    now() {
+        return this.step === null ? performance.now() : this.frame * this.step;
+    }
+}
+
+export const animationClock = new AnimationClock();
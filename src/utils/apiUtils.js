@@ -11,24 +11,71 @@ export const API_ERROR_TYPES = {
     CORS: 'CORS_ERROR',
     HTTP: 'HTTP_ERROR',
     PARSE: 'PARSE_ERROR',
-    EMPTY_RESPONSE: 'EMPTY_RESPONSE'
+    EMPTY_RESPONSE: 'EMPTY_RESPONSE',
+    TIMEOUT: 'TIMEOUT_ERROR',
+    ABORTED: 'ABORTED_ERROR',
+    AUTH: 'AUTH_ERROR',
+    STREAM: 'STREAM_ERROR'
 };
 
+/**
+ * Statuses that mean the webhook rejected the request's credentials
+ */
+const AUTH_FAILURE_STATUSES = [401, 403];
+
+/**
+ * Default request policy applied by makeApiCall and makeStreamingApiCall
+ * - timeout: per-attempt limit in ms (0 disables)
+ * - retries: additional attempts after the first failure
+ * - backoffBase/backoffMax: exponential backoff bounds in ms
+ * - jitter: fraction of each delay that is randomised (0-1)
+ * - retryOn: retryable HTTP statuses, either exact codes or classes such as '5xx'
+ * - idleTimeout: longest wait in ms for the next chunk of a streamed body (0 disables)
+ */
+export const DEFAULT_REQUEST_POLICY = {
+    timeout: 30000,
+    retries: 2,
+    backoffBase: 500,
+    backoffMax: 8000,
+    jitter: 0.5,
+    retryOn: [408, 425, 429, '5xx'],
+    idleTimeout: 30000
+};
+
+/**
+ * Accept header sent when the caller can consume a streamed reply
+ */
+const STREAMING_ACCEPT = 'text/event-stream, application/x-ndjson;q=0.9, application/json;q=0.8';
+
 /**
  * Creates standardized fetch configuration for API requests
- * @param {Object} body - Request body to be JSON stringified
+ * @param {Object|FormData} body - Request body; objects are JSON stringified, FormData is sent as multipart
+ * @param {Object} [options] - Optional request settings
+ * @param {boolean} [options.stream] - Advertise streaming response support
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the request
  * @returns {Object} Fetch configuration object
  */
-export function createFetchConfig(body) {
-    return {
+export function createFetchConfig(body, options = {}) {
+    const isMultipart = typeof FormData !== 'undefined' && body instanceof FormData;
+    const config = {
         method: 'POST',
         mode: 'cors',
         headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json'
+            'Accept': options.stream ? STREAMING_ACCEPT : 'application/json'
         },
-        body: JSON.stringify(body)
+        body: isMultipart ? body : JSON.stringify(body)
     };
+
+    // Multipart bodies set their own Content-Type with the boundary
+    if (!isMultipart) {
+        config.headers['Content-Type'] = 'application/json';
+    }
+
+    if (options.signal) {
+        config.signal = options.signal;
+    }
+
+    return config;
 }
 
 /**
@@ -40,15 +87,274 @@ export function createFetchConfig(body) {
 export async function handleApiResponse(response) {
     // Check HTTP status
     if (!response.ok) {
-        const error = new Error(`HTTP error! status: ${response.status}`);
-        error.type = API_ERROR_TYPES.HTTP;
-        error.status = response.status;
-        throw error;
+        throw createHttpError(response);
     }
 
     // Get response text first to handle empty responses
     const responseText = await response.text();
 
+    return parseResponseText(responseText);
+}
+
+/**
+ * Creates a typed HTTP error from a non-ok response
+ * @param {Response} response - Fetch response object
+ * @returns {Error} Error tagged with API_ERROR_TYPES.HTTP
+ */
+function createHttpError(response) {
+    const error = new Error(`HTTP error! status: ${response.status}`);
+    error.type = API_ERROR_TYPES.HTTP;
+    error.status = response.status;
+    error.retryAfter = parseRetryAfter(response.headers?.get('Retry-After'));
+    return error;
+}
+
+/**
+ * Parses a Retry-After header given either as delay-seconds or an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null when absent/invalid
+ */
+export function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (Number.isNaN(date)) return null;
+    return Math.max(0, date - Date.now());
+}
+
+/**
+ * Checks whether an HTTP status matches the policy's retryable codes or classes
+ * @param {number} status - HTTP status code
+ * @param {Array<number|string>} retryOn - Codes (429) or classes ('5xx')
+ * @returns {boolean} True when the status should be retried
+ */
+function isRetryableStatus(status, retryOn) {
+    return retryOn.some((rule) => {
+        if (typeof rule === 'number') return rule === status;
+        const match = /^([1-5])xx$/i.exec(rule);
+        return Boolean(match) && Math.floor(status / 100) === Number(match[1]);
+    });
+}
+
+/**
+ * Decides whether a failed attempt may be retried under the given policy
+ * @param {Error} error - Error thrown by the attempt
+ * @param {Object} policy - Resolved request policy
+ * @returns {boolean} True for transient failures
+ */
+export function isRetryableError(error, policy = DEFAULT_REQUEST_POLICY) {
+    switch (error.type) {
+        case API_ERROR_TYPES.TIMEOUT:
+        case API_ERROR_TYPES.NETWORK:
+            return true;
+        case API_ERROR_TYPES.HTTP:
+            return isRetryableStatus(error.status, policy.retryOn);
+        case API_ERROR_TYPES.ABORTED:
+        case API_ERROR_TYPES.AUTH:
+        // The workflow already ran; repeating the message would run it again
+        case API_ERROR_TYPES.STREAM:
+        case API_ERROR_TYPES.PARSE:
+        case API_ERROR_TYPES.EMPTY_RESPONSE:
+        case API_ERROR_TYPES.CORS:
+        // Untyped errors are bugs in the request or response handling, not transient failures
+        default:
+            return false;
+    }
+}
+
+/**
+ * Computes the wait before the next attempt using exponential backoff with jitter
+ * A server-provided Retry-After takes precedence, capped at backoffMax
+ * @param {number} attempt - Zero-based index of the attempt that just failed
+ * @param {Object} policy - Resolved request policy
+ * @param {number|null} retryAfter - Server-requested delay in ms
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoffDelay(attempt, policy = DEFAULT_REQUEST_POLICY, retryAfter = null) {
+    if (retryAfter !== null && retryAfter !== undefined) {
+        return Math.min(retryAfter, policy.backoffMax);
+    }
+
+    const exponential = Math.min(policy.backoffBase * 2 ** attempt, policy.backoffMax);
+    const jitter = Math.min(Math.max(policy.jitter, 0), 1);
+    return Math.round(exponential * (1 - jitter + Math.random() * jitter));
+}
+
+/**
+ * Waits for the given delay unless the signal aborts first
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(createAbortedError());
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortedError());
+        };
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Error thrown when the caller cancels a request
+ * @returns {Error} ABORTED error named AbortError, like fetch's own
+ */
+export function createAbortedError() {
+    const error = new Error('Request was cancelled');
+    error.type = API_ERROR_TYPES.ABORTED;
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Error thrown when a request outlives its timeout
+ * @param {number} timeout - Timeout that elapsed, in ms
+ * @returns {Error} TIMEOUT error carrying the timeout
+ */
+export function createTimeoutError(timeout) {
+    const error = new Error(`Request timed out after ${timeout}ms`);
+    error.type = API_ERROR_TYPES.TIMEOUT;
+    error.timeout = timeout;
+    return error;
+}
+
+/**
+ * Tags a rejection of fetch() itself as a network failure (offline, DNS, CORS)
+ * Aborts keep their own handling; errors thrown while reading the response stay untyped
+ * @param {Error} error - Error fetch rejected with
+ */
+export function markNetworkError(error) {
+    if (error && error.name !== 'AbortError' && !error.type) {
+        error.type = API_ERROR_TYPES.NETWORK;
+    }
+}
+
+/**
+ * Runs a single attempt with its own AbortController so the per-attempt
+ * timeout and the caller's signal can both cancel it
+ * @param {string} url - API endpoint URL
+ * @param {Object} fetchConfig - Fetch configuration without a signal
+ * @param {Function} handle - Consumes the Response and resolves the result
+ * @param {Object} policy - Resolved request policy
+ * @param {AbortSignal} [signal] - Caller cancellation signal
+ * @param {boolean} timeoutCoversBody - Keep the timer running while the body is read
+ */
+async function runAttempt(url, fetchConfig, handle, policy, signal, timeoutCoversBody) {
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer = null;
+
+    const onAbort = () => controller.abort();
+    if (signal?.aborted) {
+        throw createAbortedError();
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    if (policy.timeout > 0) {
+        timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, policy.timeout);
+    }
+
+    try {
+        const response = await fetch(url, { ...fetchConfig, signal: controller.signal })
+            .catch((error) => {
+                markNetworkError(error);
+                throw error;
+            });
+        if (!timeoutCoversBody) {
+            clearTimeout(timer);
+        }
+        return await handle(response);
+    } catch (error) {
+        if (timedOut) throw createTimeoutError(policy.timeout);
+        if (error.name === 'AbortError' || signal?.aborted) throw createAbortedError();
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * Adds the auth headers for one attempt to the fetch configuration
+ * @param {Object} fetchConfig - Fetch configuration
+ * @param {Object|null} auth - RequestAuth instance, or null for unsigned requests
+ * @param {Object} policy - Resolved request policy; its timeout also bounds a token fetch
+ * @param {AbortSignal} [signal] - Caller cancellation signal
+ * @returns {Promise<Object>} Configuration to send
+ */
+async function withAuthHeaders(fetchConfig, auth, policy, signal) {
+    if (!auth) return fetchConfig;
+
+    const headers = await auth.getHeaders(fetchConfig.body, { signal, timeout: policy.timeout });
+    return { ...fetchConfig, headers: { ...fetchConfig.headers, ...headers } };
+}
+
+/**
+ * Executes a request under the retry policy
+ * A 401/403 with auth enabled refreshes the credentials and repeats the attempt once,
+ * outside the retry budget; a second rejection surfaces as an AUTH error
+ * @param {string} url - API endpoint URL
+ * @param {Object} fetchConfig - Fetch configuration
+ * @param {Function} handle - Consumes the Response and resolves the result
+ * @param {Object} options - Policy overrides plus signal, canRetry, timeoutCoversBody and auth
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+async function requestWithPolicy(url, fetchConfig, handle, options = {}) {
+    const { signal, canRetry = () => true, timeoutCoversBody = true, auth = null, ...overrides } = options;
+    const policy = { ...DEFAULT_REQUEST_POLICY, ...overrides };
+    let authRefreshed = false;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const attemptConfig = await withAuthHeaders(fetchConfig, auth?.enabled ? auth : null, policy, signal);
+            return await runAttempt(url, attemptConfig, handle, policy, signal, timeoutCoversBody);
+        } catch (error) {
+            error.attempts = attempt + 1;
+
+            if (auth?.enabled && AUTH_FAILURE_STATUSES.includes(error.status) && error.type === API_ERROR_TYPES.HTTP) {
+                if (!authRefreshed && canRetry()) {
+                    authRefreshed = true;
+                    auth.invalidate();
+                    attempt--;
+                    continue;
+                }
+                error.type = API_ERROR_TYPES.AUTH;
+                throw error;
+            }
+
+            const retriesLeft = attempt < policy.retries;
+            if (!retriesLeft || !canRetry() || !isRetryableError(error, policy)) {
+                throw error;
+            }
+            await wait(computeBackoffDelay(attempt, policy, error.retryAfter ?? null), signal);
+        }
+    }
+}
+
+/**
+ * Validates and parses a complete response body
+ * @param {string} responseText - Raw response body
+ * @returns {Object} Parsed response data
+ * @throws {Error} EMPTY_RESPONSE or PARSE error
+ */
+function parseResponseText(responseText) {
     // Handle empty response
     if (!responseText.trim()) {
         const error = new Error('Empty response from server');
@@ -72,6 +378,225 @@ export async function handleApiResponse(response) {
     return data;
 }
 
+/**
+ * Content types that are treated as newline-delimited JSON streams
+ */
+const NDJSON_CONTENT_TYPES = ['application/x-ndjson', 'application/jsonl', 'application/json-seq'];
+
+/**
+ * Non-text fields a streamed chunk may carry through to the final result
+ */
+const STREAM_METADATA_KEYS = ['suggestions', 'quickReplies'];
+
+/**
+ * Chunk types emitted by n8n streaming responses
+ */
+const STREAM_CHUNK_TYPES = ['begin', 'item', 'end', 'error'];
+
+/**
+ * Extracts the text token carried by a single streamed payload
+ * Understands n8n chunks ({ type: 'item', content }) as well as common
+ * delta/token shapes used by other streaming backends
+ * @param {*} payload - Parsed chunk (object) or raw string token
+ * @returns {string} Text token, or empty string for control chunks
+ */
+export function extractChunkText(payload) {
+    if (typeof payload === 'string') return payload;
+    if (!payload || typeof payload !== 'object') return '';
+
+    if (payload.type === 'error') {
+        const error = new Error(payload.content || 'Stream error from server');
+        error.type = API_ERROR_TYPES.STREAM;
+        error.status = payload.status ?? null;
+        throw error;
+    }
+
+    if (payload.type && STREAM_CHUNK_TYPES.includes(payload.type) && payload.type !== 'item') {
+        return '';
+    }
+
+    const token = payload.content ?? payload.delta ?? payload.token ?? payload.text ?? payload.output ?? '';
+    return typeof token === 'string' ? token : '';
+}
+
+/**
+ * Parses a single Server-Sent Events block into its data payload
+ * @param {string} block - Raw event block (lines up to a blank line)
+ * @returns {string|null} Joined data lines, or null if the block carries no data
+ */
+function parseSseBlock(block) {
+    const dataLines = block
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).replace(/^ /, ''));
+
+    return dataLines.length > 0 ? dataLines.join('\n') : null;
+}
+
+/**
+ * Decodes an SSE data payload, accepting JSON chunks or raw text tokens
+ * @param {string} data - Event data
+ * @returns {*} Parsed JSON payload or the raw string
+ */
+function decodeSseData(data) {
+    try {
+        return JSON.parse(data);
+    } catch (_) {
+        return data;
+    }
+}
+
+/**
+ * Detects whether a complete line is an n8n-style streaming chunk
+ * @param {string} line - Single line of the response body
+ * @returns {boolean} True when the line is a JSON chunk with a stream type
+ */
+function isStreamChunkLine(line) {
+    try {
+        const payload = JSON.parse(line);
+        return Boolean(payload && STREAM_CHUNK_TYPES.includes(payload.type));
+    } catch (_) {
+        return false;
+    }
+}
+
+/**
+ * Reads a streaming response body, emitting text tokens as they arrive.
+ * Falls back to single-shot JSON parsing when the body is not a stream.
+ * @param {Response} response - Fetch response object
+ * @param {Function} onChunk - Called with (token, fullText) for every text token
+ * @param {Object} [options]
+ * @param {number} [options.idleTimeout] - Fail with a TIMEOUT error when no chunk arrives for this many ms (0 disables)
+ * @returns {Promise<Object>} Final data; streamed bodies resolve to { output, streamed: true } plus any suggestions
+ * @throws {Error} Various error types based on failure mode
+ */
+export async function handleStreamingResponse(response, onChunk = () => {}, options = {}) {
+    const { idleTimeout = 0 } = options;
+
+    if (!response.ok) {
+        throw createHttpError(response);
+    }
+
+    const contentType = (response.headers.get('Content-Type') || '').toLowerCase();
+
+    // Browsers without readable streams get the single-shot path
+    if (!response.body || typeof response.body.getReader !== 'function') {
+        return handleApiResponse(response);
+    }
+
+    let mode = null;
+    if (contentType.includes('text/event-stream')) {
+        mode = 'sse';
+    } else if (NDJSON_CONTENT_TYPES.some(type => contentType.includes(type))) {
+        mode = 'ndjson';
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let fullText = '';
+    let done = false;
+    const metadata = {};
+
+    const emit = (payload) => {
+        if (payload && typeof payload === 'object') {
+            STREAM_METADATA_KEYS.forEach((key) => {
+                if (payload[key] !== undefined) metadata[key] = payload[key];
+            });
+        }
+        const token = extractChunkText(payload);
+        if (token) {
+            fullText += token;
+            onChunk(token, fullText);
+        }
+    };
+
+    const drainBuffer = (isFinal) => {
+        if (mode === 'sse') {
+            const blocks = buffer.split(/\r?\n\r?\n/);
+            buffer = isFinal ? '' : blocks.pop();
+            for (const block of blocks) {
+                const data = parseSseBlock(block);
+                if (data === null || done) continue;
+                // Events that arrived in the same chunk before [DONE] still belong to the reply
+                if (data.trim() === '[DONE]') {
+                    done = true;
+                    continue;
+                }
+                emit(decodeSseData(data));
+            }
+            return;
+        }
+
+        if (mode === 'ndjson') {
+            const lines = buffer.split(/\r?\n/);
+            buffer = isFinal ? '' : lines.pop();
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    emit(JSON.parse(line));
+                } catch (parseError) {
+                    if (parseError.type) throw parseError;
+                    // Skip malformed lines rather than abandoning the whole stream
+                }
+            }
+        }
+    };
+
+    // The timer restarts with every chunk, so only a stalled body times out
+    const readChunk = () => {
+        if (!(idleTimeout > 0)) return reader.read();
+        let timer = null;
+        const stalled = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                reject(createTimeoutError(idleTimeout));
+                reader.cancel().catch(() => {});
+            }, idleTimeout);
+        });
+        return Promise.race([reader.read(), stalled]).finally(() => clearTimeout(timer));
+    };
+
+    while (!done) {
+        const { value, done: readerDone } = await readChunk();
+        if (readerDone) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        if (mode === null) {
+            // Sniff n8n chunked JSON once the first full line has arrived
+            const newlineIndex = buffer.indexOf('\n');
+            if (newlineIndex === -1) continue;
+            mode = isStreamChunkLine(buffer.slice(0, newlineIndex).trim()) ? 'ndjson' : 'single';
+        }
+
+        if (mode !== 'single') {
+            drainBuffer(false);
+        }
+    }
+
+    if (done) {
+        reader.cancel().catch(() => {});
+    }
+
+    buffer += decoder.decode();
+
+    // Not a stream after all: parse the buffered body as one JSON document
+    if (mode === null || mode === 'single') {
+        return parseResponseText(buffer);
+    }
+
+    drainBuffer(true);
+
+    if (!fullText.trim()) {
+        const error = new Error('Empty response from server');
+        error.type = API_ERROR_TYPES.EMPTY_RESPONSE;
+        error.responseText = fullText;
+        throw error;
+    }
+
+    return { ...metadata, output: fullText, streamed: true };
+}
+
 /**
  * Generates user-friendly error messages based on error type
  * @param {Error} error - The error object from API operations
@@ -109,6 +634,23 @@ export function getErrorMessage(error, context = 'operation') {
         case API_ERROR_TYPES.CORS:
             return '🌈 Wobbly bridge! Check internet connection! 🌉';
 
+        case API_ERROR_TYPES.TIMEOUT:
+            if (context === 'sending message') {
+                return '🐢 Server is taking forever! Try again? ⏳';
+            }
+            return '⌛ Timed out waiting! Try again later? 🕰️';
+
+        case API_ERROR_TYPES.ABORTED:
+            return '✋ Request cancelled.';
+
+        case API_ERROR_TYPES.STREAM:
+            return '🤖 Robot tripped mid-reply! Try again? 🔧';
+
+        case API_ERROR_TYPES.AUTH:
+            return error.status
+                ? `🔐 Access denied (${error.status})! Refresh the page and try again? 🔑`
+                : '🔐 Couldn\'t verify this chat! Refresh the page and try again? 🔑';
+
         default:
             if (context === 'sending message') {
                 return '😅 Oopsie! Message sending failed! Try again? 💌';
@@ -122,17 +664,60 @@ export function getErrorMessage(error, context = 'operation') {
  * @param {string} url - API endpoint URL
  * @param {Object} requestBody - Request payload
  * @param {string} context - Context for error messages
+ * @param {Object} [options] - Request policy overrides (see DEFAULT_REQUEST_POLICY), an optional AbortSignal
+ *   and an optional `auth` (RequestAuth) that signs every attempt
  * @returns {Promise<Object>} API response data
  */
-export async function makeApiCall(url, requestBody, context = 'operation') {
+export async function makeApiCall(url, requestBody, context = 'operation', options = {}) {
     try {
         const config = createFetchConfig(requestBody);
-        const response = await fetch(url, config);
-        const data = await handleApiResponse(response);
+        const data = await requestWithPolicy(url, config, handleApiResponse, options);
         return data;
     } catch (error) {
         // Re-throw with context for caller to handle
         error.context = context;
         throw error;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Streaming variant of makeApiCall that reports tokens as they arrive
+ * Webhooks that reply with a single JSON body resolve exactly like makeApiCall
+ * The timeout covers the wait for response headers and idleTimeout each wait for the next chunk;
+ * retries stop once a token has been shown
+ * @param {string} url - API endpoint URL
+ * @param {Object} requestBody - Request payload
+ * @param {Object} [options] - Streaming options and request policy overrides
+ * @param {Function} [options.onChunk] - Called with (token, fullText) for every streamed token
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the request mid-stream
+ * @param {Object} [options.auth] - RequestAuth that signs every attempt
+ * @param {string} context - Context for error messages
+ * @returns {Promise<Object>} API response data; streamed replies carry `streamed: true`
+ */
+export async function makeStreamingApiCall(url, requestBody, options = {}, context = 'operation') {
+    const { onChunk = () => {}, ...policy } = options;
+    const idleTimeout = policy.idleTimeout ?? DEFAULT_REQUEST_POLICY.idleTimeout;
+    let hasStreamed = false;
+
+    try {
+        const config = createFetchConfig(requestBody, { stream: true });
+        const data = await requestWithPolicy(
+            url,
+            config,
+            (response) => handleStreamingResponse(response, (token, fullText) => {
+                hasStreamed = true;
+                onChunk(token, fullText);
+            }, { idleTimeout }),
+            {
+                ...policy,
+                timeoutCoversBody: false,
+                canRetry: () => !hasStreamed
+            }
+        );
+        return data;
+    } catch (error) {
+        // Re-throw with context for caller to handle
+        error.context = context;
+        throw error;
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * Chat Attachment Utilities
+ * Validates, previews and encodes files shared in the chat input
+ */
+
+export const DEFAULT_ATTACHMENT_OPTIONS = {
+    maxFiles: 4,
+    maxFileSize: 5 * 1024 * 1024,
+    accept: ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf'],
+    encoding: 'base64',
+    thumbnailSize: 160
+};
+
+/**
+ * Formats a byte count for display, e.g. "1.2 MB"
+ */
+export function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export const isImageType = (type) => typeof type === 'string' && type.startsWith('image/');
+
+/**
+ * Checks files against the type, size and count limits
+ * @param {File[]} files - Candidate files
+ * @param {number} existingCount - Files already attached to the draft
+ * @param {Object} options - Attachment options
+ * @returns {{accepted: File[], errors: string[]}} Files to keep and readable rejection reasons
+ */
+export function validateFiles(files, existingCount = 0, options = DEFAULT_ATTACHMENT_OPTIONS) {
+    const accepted = [];
+    const errors = [];
+
+    for (const file of files) {
+        if (!options.accept.includes(file.type)) {
+            errors.push(`${file.name} isn't a supported file type`);
+        } else if (file.size > options.maxFileSize) {
+            errors.push(`${file.name} is larger than ${formatFileSize(options.maxFileSize)}`);
+        } else if (existingCount + accepted.length >= options.maxFiles) {
+            errors.push(`You can attach up to ${options.maxFiles} files`);
+            break;
+        } else {
+            accepted.push(file);
+        }
+    }
+
+    return { accepted, errors };
+}
+
+/**
+ * Reads a file as a base64 string without the data URL prefix
+ * @param {Blob} file - File to read
+ * @returns {Promise<string>} Base64 encoded contents
+ */
+export function readFileAsBase64(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const result = String(reader.result);
+            resolve(result.slice(result.indexOf(',') + 1));
+        };
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Renders a small JPEG preview of an image, small enough to persist with the transcript
+ * @param {File} file - Image file
+ * @param {number} size - Longest edge in pixels
+ * @returns {Promise<string|null>} Data URL, or null when the image can't be decoded
+ */
+export async function createThumbnail(file, size = DEFAULT_ATTACHMENT_OPTIONS.thumbnailSize) {
+    if (!isImageType(file.type)) return null;
+
+    const url = URL.createObjectURL(file);
+    try {
+        const image = await new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = reject;
+            img.src = url;
+        });
+
+        const scale = Math.min(1, size / Math.max(image.naturalWidth, image.naturalHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', 0.7);
+    } catch (_) {
+        return null;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Encodes files for the JSON webhook payload
+ * @param {File[]} files - Attached files
+ * @returns {Promise<Array<{name: string, type: string, size: number, data: string}>>}
+ */
+export async function encodeAttachments(files) {
+    return Promise.all(files.map(async (file) => ({
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        data: await readFileAsBase64(file)
+    })));
+}
+
+/**
+ * Converts a JSON request body with base64 attachments into multipart form data
+ * Other fields are sent as plain form fields next to `chatInput`
+ * @param {Object} requestBody - Webhook payload
+ * @returns {FormData} Multipart body with one `attachments` part per file
+ */
+export function toMultipartBody(requestBody) {
+    const formData = new FormData();
+    const { attachments = [], ...fields } = requestBody;
+
+    Object.entries(fields).forEach(([key, value]) => {
+        formData.append(key, typeof value === 'string' ? value : JSON.stringify(value));
+    });
+
+    attachments.forEach((attachment) => {
+        const bytes = Uint8Array.from(atob(attachment.data), char => char.charCodeAt(0));
+        formData.append('attachments', new Blob([bytes], { type: attachment.type }), attachment.name);
+    });
+
+    return formData;
+}
@@ -0,0 +1,131 @@
+/**
+ * Feature Flags
+ * Runtime on/off switches read from /flags.json, so features can be turned off without a code change
+ *
+ * QA can override the manifest for one page load with `?flags=suggestions:off,haptics:on`
+ * Flags are consulted when a feature is used, so a manifest that arrives after startup still applies
+ */
+
+export const FEATURE_FLAGS = {
+    SUGGESTIONS: 'suggestions',
+    HAPTICS: 'haptics',
+    SCENE_CYCLING: 'sceneCycling',
+    SWIPE_TO_CLOSE: 'swipeToClose',
+    BACKGROUND_SYNC: 'backgroundSync'
+};
+
+/**
+ * @typedef {'suggestions'|'haptics'|'sceneCycling'|'swipeToClose'|'backgroundSync'} FeatureFlag
+ */
+
+/**
+ * Values used before the manifest loads, when it cannot be fetched, and for flags it leaves out
+ */
+export const FLAG_DEFAULTS = Object.freeze({
+    // Suggestion chips under bot replies
+    suggestions: true,
+    // Vibration on chip taps and gestures
+    haptics: true,
+    // Timed formation changes plus tap and Space key cycling
+    sceneCycling: true,
+    // Swipe left over the chat to close it
+    swipeToClose: true,
+    // Replay of offline messages by the service worker
+    backgroundSync: true
+});
+
+const FLAGS_URL = '/flags.json';
+const FLAGS_PARAM = 'flags';
+const LOAD_TIMEOUT = 3000;
+
+const flags = { ...FLAG_DEFAULTS };
+let loading = null;
+
+const isKnownFlag = (name) => Object.prototype.hasOwnProperty.call(FLAG_DEFAULTS, name);
+
+function applyFlags(values, source) {
+    Object.entries(values || {}).forEach(([name, value]) => {
+        if (!isKnownFlag(name)) {
+            console.warn(`Ignoring unknown feature flag "${name}" from ${source}`);
+            return;
+        }
+        if (typeof value !== 'boolean') {
+            console.warn(`Ignoring feature flag "${name}" from ${source}: expected true or false`);
+            return;
+        }
+        flags[name] = value;
+    });
+}
+
+/**
+ * Reads QA overrides from the query string
+ * @param {string} search - e.g. "?flags=suggestions:off,haptics"; a flag without a state is turned on
+ * @returns {Object<string, boolean>} Overrides by flag name
+ */
+export function parseFlagOverrides(search) {
+    const param = new URLSearchParams(search).get(FLAGS_PARAM);
+    const overrides = {};
+    if (!param) return overrides;
+
+    param.split(',').forEach((entry) => {
+        const [name, state = 'on'] = entry.split(':').map(part => part.trim());
+        if (name) {
+            overrides[name] = !/^(off|false|0|no)$/i.test(state);
+        }
+    });
+    return overrides;
+}
+
+/**
+ * Fetch the manifest once and apply URL overrides on top
+ * Resolves with the defaults when the manifest is missing, slow or invalid
+ * @param {Object} [options]
+ * @param {string} [options.url] - Manifest location
+ * @param {string} [options.search] - Query string holding overrides
+ * @returns {Promise<Object<string, boolean>>} Resolved flags
+ */
+export function loadFeatureFlags({ url = FLAGS_URL, search = window.location.search } = {}) {
+    if (loading) return loading;
+
+    const overrides = parseFlagOverrides(search);
+    // Overrides hold while the manifest is loading too
+    applyFlags(overrides, 'the URL');
+
+    loading = (async () => {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), LOAD_TIMEOUT);
+        try {
+            // The service worker keeps a cached copy for offline visits
+            const response = await fetch(url, { headers: { 'Accept': 'application/json' }, signal: controller.signal });
+            if (response.ok) {
+                applyFlags(await response.json(), url);
+            }
+        } catch (_) {
+            // No manifest reachable: keep the defaults
+        } finally {
+            clearTimeout(timer);
+        }
+
+        applyFlags(overrides, 'the URL');
+        return getFlags();
+    })();
+    return loading;
+}
+
+/**
+ * @param {FeatureFlag} name - One of FEATURE_FLAGS
+ * @returns {boolean} Whether the feature is on
+ */
+export function isEnabled(name) {
+    if (!isKnownFlag(name)) {
+        throw new Error(`Unknown feature flag "${name}". Known flags: ${Object.keys(FLAG_DEFAULTS).join(', ')}`);
+    }
+    return flags[name];
+}
+
+/**
+ * @returns {Object<string, boolean>} Copy of the current flags
+ */
+export function getFlags() {
+    return { ...flags };
+}
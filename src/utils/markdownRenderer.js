@@ -0,0 +1,305 @@
+/**
+ * Markdown Renderer Utility
+ *
+ * Converts the small Markdown subset produced by the n8n agent into DOM nodes.
+ * Nodes are built with createElement/textContent only - raw HTML in the source
+ * is never parsed, so bot replies keep the same XSS guarantees as plain text.
+ *
+ * Supported: headings, unordered/ordered lists, **bold**, *italic*, `inline code`,
+ * fenced code blocks (with copy button), [links](url) and autolinked URLs.
+ */
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+const FENCE_PATTERN = /^\s*(```|~~~)\s*([\w+#.-]*)\s*$/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const UNORDERED_ITEM_PATTERN = /^\s*[-*+]\s+(.*)$/;
+const ORDERED_ITEM_PATTERN = /^\s*(\d{1,9})[.)]\s+(.*)$/;
+
+/**
+ * Inline rules in priority order; when two rules match at the same index the earlier wins
+ */
+const INLINE_RULES = [
+    { type: 'code', pattern: /`([^`\n]+)`/g },
+    { type: 'link', pattern: /\[([^\]\n]+)\]\(([^()\s]+)\)/g },
+    { type: 'url', pattern: /\bhttps?:\/\/[^\s<>"]*[^\s<>".,:;!?'")\]]/g },
+    { type: 'strong', pattern: /(\*\*|__)(?=\S)([^\n]*?\S)\1/g },
+    { type: 'em', pattern: /(\*|_)(?=[^\s*_])([^\n*_]*?[^\s*_])\1/g }
+];
+
+/**
+ * Returns a normalised URL when it uses an allowed protocol, otherwise null
+ * @param {string} url - Candidate link target
+ * @returns {string|null} Safe absolute URL
+ */
+export function sanitizeUrl(url) {
+    try {
+        const parsed = new URL(url, window.location.href);
+        return SAFE_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Underscore emphasis must not split words such as snake_case identifiers
+ */
+function hasWordBoundaries(text, match) {
+    if (match[1] !== '_' && match[1] !== '__') return true;
+    const before = text[match.index - 1] || '';
+    const after = text[match.index + match[0].length] || '';
+    return !/\w/.test(before) && !/\w/.test(after);
+}
+
+/**
+ * Finds the earliest valid inline token at or after `from`
+ */
+function findNextToken(text, from, allowLinks) {
+    let best = null;
+
+    for (const rule of INLINE_RULES) {
+        if (!allowLinks && (rule.type === 'link' || rule.type === 'url')) continue;
+
+        rule.pattern.lastIndex = from;
+        let match;
+        while ((match = rule.pattern.exec(text)) !== null) {
+            if ((rule.type !== 'strong' && rule.type !== 'em') || hasWordBoundaries(text, match)) {
+                break;
+            }
+            rule.pattern.lastIndex = match.index + 1;
+        }
+
+        if (match && (!best || match.index < best.match.index)) {
+            best = { type: rule.type, match };
+        }
+    }
+
+    return best;
+}
+
+function createLink(href, label, parent) {
+    const safeHref = sanitizeUrl(href);
+    if (!safeHref) {
+        parent.appendChild(document.createTextNode(label));
+        return;
+    }
+
+    const link = document.createElement('a');
+    link.href = safeHref;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.textContent = label;
+    parent.appendChild(link);
+}
+
+/**
+ * Appends inline Markdown (emphasis, code, links) to a parent node
+ * @param {Node} parent - Node receiving the rendered content
+ * @param {string} text - Inline Markdown source
+ * @param {boolean} allowLinks - False inside link labels to avoid nested anchors
+ */
+function appendInline(parent, text, allowLinks = true) {
+    let position = 0;
+
+    while (position < text.length) {
+        const token = findNextToken(text, position, allowLinks);
+        if (!token) break;
+
+        const { type, match } = token;
+        if (match.index > position) {
+            parent.appendChild(document.createTextNode(text.slice(position, match.index)));
+        }
+
+        switch (type) {
+            case 'code': {
+                const code = document.createElement('code');
+                code.textContent = match[1];
+                parent.appendChild(code);
+                break;
+            }
+            case 'link':
+                createLink(match[2], match[1], parent);
+                break;
+            case 'url':
+                createLink(match[0], match[0], parent);
+                break;
+            case 'strong':
+            case 'em': {
+                const element = document.createElement(type);
+                appendInline(element, match[2], allowLinks);
+                parent.appendChild(element);
+                break;
+            }
+        }
+
+        position = match.index + match[0].length;
+    }
+
+    if (position < text.length) {
+        parent.appendChild(document.createTextNode(text.slice(position)));
+    }
+}
+
+/**
+ * Text that appendInline would show for inline Markdown, without its markers
+ * Unpaired `*` and `_` and intraword underscores (snake_case) are kept, as on screen
+ * @param {string} text - Inline Markdown source
+ * @returns {string} Plain text
+ */
+export function stripInlineMarkdown(text) {
+    let plain = '';
+    let position = 0;
+
+    while (position < text.length) {
+        const token = findNextToken(text, position, true);
+        if (!token) break;
+
+        const { type, match } = token;
+        plain += text.slice(position, match.index);
+
+        switch (type) {
+            case 'code':
+            case 'link':
+                plain += match[1];
+                break;
+            case 'url':
+                plain += match[0];
+                break;
+            case 'strong':
+            case 'em':
+                plain += stripInlineMarkdown(match[2]);
+                break;
+        }
+
+        position = match.index + match[0].length;
+    }
+
+    return plain + text.slice(position);
+}
+
+function createCodeBlock(code, language) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'code-block';
+
+    const copyButton = document.createElement('button');
+    copyButton.type = 'button';
+    copyButton.className = 'code-copy';
+    copyButton.textContent = 'Copy';
+    copyButton.setAttribute('aria-label', 'Copy code to clipboard');
+
+    const pre = document.createElement('pre');
+    const codeElement = document.createElement('code');
+    if (language) {
+        codeElement.className = `language-${language}`;
+        codeElement.setAttribute('data-language', language);
+    }
+    codeElement.textContent = code;
+    pre.appendChild(codeElement);
+
+    wrapper.appendChild(copyButton);
+    wrapper.appendChild(pre);
+    return wrapper;
+}
+
+function createList(items, ordered, start) {
+    const list = document.createElement(ordered ? 'ol' : 'ul');
+    if (ordered && start !== 1) {
+        list.start = start;
+    }
+    items.forEach((item) => {
+        const li = document.createElement('li');
+        appendInline(li, item);
+        list.appendChild(li);
+    });
+    return list;
+}
+
+function isBlockStart(line) {
+    return FENCE_PATTERN.test(line)
+        || HEADING_PATTERN.test(line)
+        || UNORDERED_ITEM_PATTERN.test(line)
+        || ORDERED_ITEM_PATTERN.test(line);
+}
+
+/**
+ * Renders Markdown source into a DocumentFragment of safe DOM nodes
+ * @param {string} source - Markdown text from the bot
+ * @returns {DocumentFragment} Rendered content
+ */
+export function renderMarkdown(source) {
+    const fragment = document.createDocumentFragment();
+    const lines = String(source ?? '').replace(/\r\n?/g, '\n').split('\n');
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        // Fenced code block - an unterminated fence (e.g. mid-stream) runs to the end
+        const fence = FENCE_PATTERN.exec(line);
+        if (fence) {
+            const codeLines = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                codeLines.push(lines[i]);
+                i++;
+            }
+            i++; // Skip the closing fence
+            fragment.appendChild(createCodeBlock(codeLines.join('\n'), fence[2]));
+            continue;
+        }
+
+        // Headings are shifted down so bubbles never outrank the page outline
+        const heading = HEADING_PATTERN.exec(line);
+        if (heading) {
+            const level = Math.min(heading[1].length + 2, 6);
+            const element = document.createElement(`h${level}`);
+            appendInline(element, heading[2]);
+            fragment.appendChild(element);
+            i++;
+            continue;
+        }
+
+        if (UNORDERED_ITEM_PATTERN.test(line)) {
+            const items = [];
+            while (i < lines.length && UNORDERED_ITEM_PATTERN.test(lines[i])) {
+                items.push(UNORDERED_ITEM_PATTERN.exec(lines[i])[1]);
+                i++;
+            }
+            fragment.appendChild(createList(items, false));
+            continue;
+        }
+
+        const ordered = ORDERED_ITEM_PATTERN.exec(line);
+        if (ordered) {
+            const items = [];
+            while (i < lines.length && ORDERED_ITEM_PATTERN.test(lines[i])) {
+                items.push(ORDERED_ITEM_PATTERN.exec(lines[i])[2]);
+                i++;
+            }
+            fragment.appendChild(createList(items, true, Number(ordered[1])));
+            continue;
+        }
+
+        // Paragraph: consecutive plain lines joined with line breaks
+        const paragraph = document.createElement('p');
+        let first = true;
+        while (i < lines.length && lines[i].trim() && (first || !isBlockStart(lines[i]))) {
+            if (!first) {
+                paragraph.appendChild(document.createElement('br'));
+            }
+            appendInline(paragraph, lines[i]);
+            first = false;
+            i++;
+        }
+        fragment.appendChild(paragraph);
+    }
+
+    return fragment;
+}
+
+export default renderMarkdown;
@@ -0,0 +1,159 @@
+/**
+ * Message Search Utility
+ * Finds messages containing a query and highlights the matching text in rendered bubbles
+ */
+
+import { stripInlineMarkdown } from './markdownRenderer.js';
+
+const MARK_CLASS = 'chat-search-mark';
+
+/**
+ * Readable text of a message as it appears on screen, without Markdown syntax
+ * Attachment names are included so shared files can be found by name
+ * @param {{text?: string, attachments?: Array}} message - Chat message
+ * @returns {string} Searchable text
+ */
+export function getSearchText(message) {
+    const text = stripInlineMarkdown((message.text || '')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, ''));
+    const names = Array.isArray(message.attachments)
+        ? message.attachments.map(attachment => attachment.name).filter(Boolean)
+        : [];
+    return [text, ...names].join('\n');
+}
+
+/**
+ * Query as it would read on screen, so `**bold**` finds bold text and snake_case keeps its underscore
+ */
+export const normalizeQuery = (query) => stripInlineMarkdown(query || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * Indexes of messages containing the query, in transcript order
+ * @param {Array} messages - Full transcript
+ * @param {string} query - Text typed by the visitor
+ * @returns {number[]} Matching message indexes
+ */
+export function findMessageMatches(messages, query) {
+    const needle = normalizeQuery(query);
+    if (!needle) return [];
+
+    return messages.reduce((matches, message, index) => {
+        if (getSearchText(message).replace(/\s+/g, ' ').toLowerCase().includes(needle)) {
+            matches.push(index);
+        }
+        return matches;
+    }, []);
+}
+
+/**
+ * Elements whose text reads as a separate line, so a query can span the break between them
+ */
+const BLOCK_SELECTOR = 'p, li, pre, blockquote, h1, h2, h3, h4, h5, h6, td, th, div';
+
+/**
+ * Wrap each occurrence of the query in a rendered bubble with a <mark>
+ * The bubble's text is matched with whitespace collapsed and line breaks read as spaces, as in
+ * findMessageMatches; an occurrence spanning several text nodes is marked piece by piece
+ * @param {HTMLElement} root - Message bubble
+ * @param {string} query - Text typed by the visitor
+ * @returns {number} Number of marked occurrences
+ */
+export function highlightMatches(root, query) {
+    const needle = normalizeQuery(query);
+    if (!needle) return 0;
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT, {
+        acceptNode: (node) => {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                return node.nodeName === 'BR' ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+            }
+            // Control labels such as "Copy" are not part of the message
+            return node.parentElement?.closest('button') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT;
+        }
+    });
+
+    // Lowercased text with whitespace collapsed, and the text node offset behind each of its characters
+    let text = '';
+    const positions = [];
+    const appendSpace = (position = null) => {
+        if (text.endsWith(' ')) return;
+        text += ' ';
+        positions.push(position);
+    };
+
+    let previousBlock;
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        if (node.nodeName === 'BR') {
+            appendSpace();
+            continue;
+        }
+
+        const block = node.parentElement?.closest(BLOCK_SELECTOR);
+        if (previousBlock !== undefined && block !== previousBlock) {
+            appendSpace();
+        }
+        previousBlock = block;
+
+        for (let offset = 0; offset < node.nodeValue.length; offset++) {
+            const char = node.nodeValue[offset];
+            if (/\s/.test(char)) {
+                appendSpace({ node, offset });
+                continue;
+            }
+            // Some characters lowercase to two, so map each of them back to the same offset
+            for (const lowered of char.toLowerCase()) {
+                text += lowered;
+                positions.push({ node, offset });
+            }
+        }
+    }
+
+    // Offset ranges to mark in each text node, in document order
+    const ranges = new Map();
+    let count = 0;
+    for (let index = text.indexOf(needle); index !== -1; index = text.indexOf(needle, index + needle.length)) {
+        count++;
+        positions.slice(index, index + needle.length).forEach((position) => {
+            if (!position) return;
+            const nodeRanges = ranges.get(position.node) || [];
+            const last = nodeRanges[nodeRanges.length - 1];
+            if (last?.occurrence === count) {
+                last.end = position.offset + 1;
+            } else {
+                nodeRanges.push({ occurrence: count, start: position.offset, end: position.offset + 1 });
+            }
+            ranges.set(position.node, nodeRanges);
+        });
+    }
+
+    ranges.forEach((nodeRanges, node) => {
+        const value = node.nodeValue;
+        const fragment = document.createDocumentFragment();
+        let last = 0;
+        nodeRanges.forEach(({ start, end }) => {
+            fragment.append(value.slice(last, start));
+            const mark = document.createElement('mark');
+            mark.className = MARK_CLASS;
+            mark.textContent = value.slice(start, end);
+            fragment.append(mark);
+            last = end;
+        });
+        fragment.append(value.slice(last));
+        node.replaceWith(fragment);
+    });
+
+    return count;
+}
+
+/**
+ * Remove highlights added by highlightMatches, restoring the original text nodes
+ */
+export function clearHighlights(root) {
+    root.querySelectorAll(`mark.${MARK_CLASS}`).forEach((mark) => {
+        const parent = mark.parentNode;
+        mark.replaceWith(mark.textContent);
+        parent.normalize();
+    });
+}
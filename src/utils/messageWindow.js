@@ -0,0 +1,117 @@
+/**
+ * Message Window Utility
+ * Tracks measured message heights and works out which slice of a long transcript needs DOM nodes
+ */
+
+const DEFAULT_OPTIONS = {
+    // Transcripts up to this length are rendered in full
+    threshold: 60,
+    // Extra messages kept rendered above and below the viewport
+    overscan: 8,
+    // Height assumed for messages that have not been measured yet, in pixels
+    estimatedHeight: 90
+};
+
+export class MessageWindow {
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULT_OPTIONS,
+            ...options
+        };
+        this.heights = new Map();
+    }
+
+    /**
+     * Whether a transcript is long enough to be windowed
+     */
+    isWindowed(count) {
+        return count > this.options.threshold;
+    }
+
+    getHeight(message) {
+        return this.heights.get(message.id) ?? this.options.estimatedHeight;
+    }
+
+    setHeight(message, height) {
+        if (height > 0) {
+            this.heights.set(message.id, height);
+        }
+    }
+
+    /**
+     * Forget a measurement, e.g. after a message's text changed
+     */
+    invalidate(message) {
+        this.heights.delete(message.id);
+    }
+
+    /**
+     * Combined height of messages in [from, to)
+     */
+    sumHeights(messages, from, to) {
+        let total = 0;
+        for (let i = from; i < to; i++) {
+            total += this.getHeight(messages[i]);
+        }
+        return total;
+    }
+
+    /**
+     * Work out which messages to render for a scroll position
+     * @param {Array} messages - Full transcript
+     * @param {number} scrollTop - Scroll offset of the list content, excluding padding
+     * @param {number} viewportHeight - Visible height of the list
+     * @returns {{start: number, end: number}} Half-open index range
+     */
+    getRange(messages, scrollTop, viewportHeight) {
+        const count = messages.length;
+        if (!this.isWindowed(count)) {
+            return { start: 0, end: count };
+        }
+
+        let offset = 0;
+        let first = 0;
+        while (first < count - 1 && offset + this.getHeight(messages[first]) <= scrollTop) {
+            offset += this.getHeight(messages[first]);
+            first++;
+        }
+
+        let last = first;
+        const viewportEnd = scrollTop + viewportHeight;
+        offset += this.getHeight(messages[last]);
+        while (last < count - 1 && offset < viewportEnd) {
+            last++;
+            offset += this.getHeight(messages[last]);
+        }
+
+        const { overscan } = this.options;
+        return {
+            start: Math.max(0, first - overscan),
+            end: Math.min(count, last + overscan + 1)
+        };
+    }
+
+    /**
+     * Range showing the end of the transcript, used on first render and when following new messages
+     */
+    getTailRange(messages, viewportHeight) {
+        const count = messages.length;
+        if (!this.isWindowed(count)) {
+            return { start: 0, end: count };
+        }
+
+        let start = count;
+        let height = 0;
+        while (start > 0 && height < viewportHeight) {
+            start--;
+            height += this.getHeight(messages[start]);
+        }
+
+        return {
+            start: Math.max(0, start - this.options.overscan),
+            end: count
+        };
+    }
+}
+
+export default MessageWindow;
@@ -10,6 +10,8 @@
  * - CSS custom property management for mobile
  */
 
+import { isEnabled, FEATURE_FLAGS } from '../featureFlags.js';
+
 export class MobileOptimizer {
     constructor(options = {}) {
         this.options = {
@@ -273,7 +275,7 @@ export class MobileOptimizer {
      * Trigger haptic feedback
      */
     haptic(intensity = 'light') {
-        if (!this.options.enableHaptics || !navigator.vibrate) return;
+        if (!this.options.enableHaptics || !isEnabled(FEATURE_FLAGS.HAPTICS) || !navigator.vibrate) return;
 
         const patterns = {
             light: 10,
@@ -0,0 +1,137 @@
+/**
+ * Offline Message Queue
+ * Persists outgoing chat messages in IndexedDB while the device is offline and
+ * coordinates their replay, either through Background Sync in public/sw.js or
+ * through an `online` event fallback in the page.
+ *
+ * NOTE: public/sw.js opens the same database directly; keep the names below in sync.
+ */
+
+export const OUTBOX_DB_NAME = 'geuse-chat';
+export const OUTBOX_DB_VERSION = 1;
+export const OUTBOX_STORE = 'outbox';
+export const OUTBOX_SYNC_TAG = 'geuse-outbox';
+
+/**
+ * Message types posted by the service worker after a Background Sync replay
+ */
+export const OUTBOX_MESSAGE_TYPES = {
+    REPLAYED: 'geuse-outbox-replayed',
+    FAILED: 'geuse-outbox-failed'
+};
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Check whether the browser can hand replay over to the service worker
+ */
+export function supportsBackgroundSync() {
+    return typeof navigator !== 'undefined'
+        && 'serviceWorker' in navigator
+        && typeof window !== 'undefined'
+        && 'SyncManager' in window;
+}
+
+export class OfflineQueue {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check whether IndexedDB is available in this browser context
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and upgrade if needed) the outbox database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+                        // Auto-increment keys preserve the order messages were queued in
+                        db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Allow a later retry if opening failed (e.g. private browsing)
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async withStore(mode, callback) {
+        const db = await this.open();
+        const transaction = db.transaction(OUTBOX_STORE, mode);
+        const result = await callback(transaction.objectStore(OUTBOX_STORE));
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        return result;
+    }
+
+    /**
+     * Queue a webhook request for later delivery
+     * @param {{url: string, body: Object, sessionId: string}} entry - Target URL, JSON payload and the
+     *   conversation the message belongs to, so its reply reaches that thread even after a switch
+     * @returns {Promise<number>} Queue id assigned to the entry
+     */
+    enqueue({ url, body, sessionId }) {
+        return this.withStore('readwrite', (store) => promisifyRequest(
+            store.add({ url, body, sessionId, queuedAt: Date.now() })
+        ));
+    }
+
+    /**
+     * All queued entries in the order they were added
+     */
+    getAll() {
+        return this.withStore('readonly', (store) => promisifyRequest(store.getAll()));
+    }
+
+    /**
+     * Remove a delivered entry
+     */
+    remove(id) {
+        return this.withStore('readwrite', (store) => promisifyRequest(store.delete(id)));
+    }
+
+    /**
+     * Ask the service worker to replay the outbox when connectivity returns
+     * @returns {Promise<boolean>} True when Background Sync accepted the registration
+     */
+    async requestSync() {
+        if (!supportsBackgroundSync()) return false;
+
+        try {
+            // serviceWorker.ready never settles without a registration, so bound the wait
+            const registration = await Promise.race([
+                navigator.serviceWorker.ready,
+                new Promise((_, reject) => setTimeout(() => reject(new Error('Service worker not ready')), 3000))
+            ]);
+            await registration.sync.register(OUTBOX_SYNC_TAG);
+            return true;
+        } catch (_) {
+            return false;
+        }
+    }
+}
+
+export default OfflineQueue;
@@ -0,0 +1,88 @@
+/**
+ * Seeded Random
+ *
+ * Small deterministic PRNG (mulberry32) so generated formations come out the same for a given seed.
+ * The scene draws every random choice from streams derived from one page-wide seed, so `?seed=42`
+ * (or config.scene.seed) replays the same scatter, formations, timings and formation order.
+ */
+
+export const DEFAULT_SEED = 1;
+export const SEED_PARAM = 'seed';
+
+/**
+ * Turn a number or string into a 32-bit seed
+ * @param {number|string} seed
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function hashSeed(seed) {
+    // "42" from a URL seeds the same as 42 from code
+    if (typeof seed === 'string' && /^\d+$/.test(seed)) {
+        seed = Number(seed);
+    }
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return Math.floor(seed) >>> 0;
+    }
+
+    // FNV-1a over the string form
+    let hash = 0x811c9dc5;
+    for (const char of String(seed)) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a random number generator
+ * @param {number|string} [seed] - Same seed, same sequence
+ * @returns {Function} Returns floats in [0, 1) like Math.random
+ */
+export function createRandom(seed = DEFAULT_SEED) {
+    let state = hashSeed(seed);
+
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Seed for one named use of randomness, so the streams do not shift each other
+ * @param {number|string} seed - Page-wide seed
+ * @param {string} stream - e.g. 'scatter' or a scene name
+ * @returns {string}
+ */
+export function deriveSeed(seed, stream) {
+    return `${seed}:${stream}`;
+}
+
+/**
+ * Seed for this page load: `?seed=` wins over the configured seed
+ * Without either, every visit gets a fresh seed
+ * @param {Object} [options]
+ * @param {string} [options.search] - Query string that may hold the seed
+ * @param {number|string} [options.configured] - config.scene.seed; empty for none
+ * @returns {number|string}
+ */
+export function resolveSeed({ search = window.location.search, configured = '' } = {}) {
+    const fromUrl = new URLSearchParams(search).get(SEED_PARAM);
+    if (fromUrl) return fromUrl;
+    if (isConfiguredSeed(configured)) return configured;
+    return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Whether this page load has a seed from the URL or the config rather than a fresh one
+ * @param {Object} [options] - Same options as resolveSeed
+ * @returns {boolean}
+ */
+export function hasFixedSeed({ search = window.location.search, configured = '' } = {}) {
+    return Boolean(new URLSearchParams(search).get(SEED_PARAM)) || isConfiguredSeed(configured);
+}
+
+function isConfiguredSeed(configured) {
+    return configured !== '' && configured !== null && configured !== undefined;
+}
@@ -0,0 +1,253 @@
+/**
+ * Request Auth
+ * Optional signing of webhook requests so the n8n workflow can reject calls that did not come from the chat
+ *
+ * Modes:
+ * - 'none': requests are sent unsigned (default)
+ * - 'token': a short-lived token from the session endpoint is sent as `Authorization: Bearer <token>`
+ * - 'hmac': an HMAC-SHA256 of `<timestamp>.<body>` is sent as X-Geuse-Signature with X-Geuse-Timestamp;
+ *   multipart bodies are not covered and are marked with X-Geuse-Unsigned-Body
+ */
+
+import {
+    createFetchConfig,
+    handleApiResponse,
+    createAbortedError,
+    createTimeoutError,
+    markNetworkError,
+    API_ERROR_TYPES,
+    DEFAULT_REQUEST_POLICY
+} from './apiUtils.js';
+import { generateSessionId } from './sessionStore.js';
+
+export const AUTH_MODES = {
+    NONE: 'none',
+    TOKEN: 'token',
+    HMAC: 'hmac'
+};
+
+export const AUTH_HEADERS = {
+    SIGNATURE: 'X-Geuse-Signature',
+    TIMESTAMP: 'X-Geuse-Timestamp',
+    // Sent with multipart requests, whose body the signature does not cover
+    UNSIGNED_BODY: 'X-Geuse-Unsigned-Body'
+};
+
+const DEFAULT_OPTIONS = {
+    mode: AUTH_MODES.NONE,
+    // Session endpoint answering `{ client_secret, expires_at }` (token mode)
+    tokenEndpoint: '',
+    // Extra headers for the session endpoint, e.g. the workflow's shared secret header
+    tokenHeaders: {},
+    // Token lifetime assumed when the endpoint sends no expiry (ms)
+    defaultTokenTtl: 5 * 60 * 1000,
+    // Fetch a new token this long before the current one expires (ms)
+    refreshMargin: 30 * 1000,
+    // Key for HMAC signatures (hmac mode)
+    hmacSecret: '',
+    // Persisted id sent to the session endpoint as `deviceId`
+    deviceIdKey: 'geuse-device-id'
+};
+
+/**
+ * Reads or creates the id that identifies this browser to the session endpoint
+ */
+function getDeviceId(storageKey) {
+    try {
+        const stored = localStorage.getItem(storageKey);
+        if (stored) return stored;
+
+        const deviceId = generateSessionId();
+        localStorage.setItem(storageKey, deviceId);
+        return deviceId;
+    } catch (_) {
+        // Storage blocked: a per-page id still lets the endpoint issue a token
+        return generateSessionId();
+    }
+}
+
+function createAuthError(message) {
+    const error = new Error(message);
+    error.type = API_ERROR_TYPES.AUTH;
+    return error;
+}
+
+/**
+ * Settles like the promise, or rejects as cancelled once the signal aborts
+ * The promise itself keeps running, since other requests may share it
+ */
+function untilAborted(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(createAbortedError());
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(createAbortedError());
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * Computes the hex HMAC-SHA256 signature of `<timestamp>.<body>`
+ * @param {string} secret - Shared signing key
+ * @param {string} timestamp - Milliseconds since the epoch, as sent in X-Geuse-Timestamp
+ * @param {string} body - Exact request body; multipart requests sign an empty body
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+export async function signPayload(secret, timestamp, body) {
+    if (!globalThis.crypto?.subtle) {
+        throw createAuthError('Request signing needs a secure context (HTTPS)');
+    }
+
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+    return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Reads the expiry of a session endpoint reply as a timestamp in ms
+ * Accepts `expires_at` in seconds (OpenAI style) or ms, or `expires_in` in seconds
+ */
+function parseExpiry(data, defaultTtl) {
+    const expiresAt = Number(data.expires_at ?? data.expiresAt);
+    if (Number.isFinite(expiresAt) && expiresAt > 0) {
+        // Seconds since the epoch are below 1e12 until the year 33658
+        return expiresAt < 1e12 ? expiresAt * 1000 : expiresAt;
+    }
+
+    const expiresIn = Number(data.expires_in ?? data.expiresIn);
+    if (Number.isFinite(expiresIn) && expiresIn > 0) {
+        return Date.now() + expiresIn * 1000;
+    }
+
+    return Date.now() + defaultTtl;
+}
+
+export class RequestAuth {
+    /**
+     * @param {Object} [options] - See DEFAULT_OPTIONS; usually config.auth
+     */
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULT_OPTIONS,
+            ...options
+        };
+        this.token = null;
+        this.expiresAt = 0;
+        // Shared by concurrent requests so only one token fetch is in flight
+        this.pendingToken = null;
+    }
+
+    /**
+     * @returns {boolean} Whether requests carry auth headers
+     */
+    get enabled() {
+        return this.options.mode === AUTH_MODES.TOKEN || this.options.mode === AUTH_MODES.HMAC;
+    }
+
+    /**
+     * Headers to add to one attempt of a request
+     * Called per attempt so HMAC timestamps stay fresh across retries
+     * @param {string|FormData} body - Request body as sent by fetch
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops waiting for a token when the request is cancelled
+     * @param {number} [options.timeout] - Longest wait in ms for the session endpoint
+     * @returns {Promise<Object>} Header map, empty when auth is off
+     */
+    async getHeaders(body, options = {}) {
+        if (this.options.mode === AUTH_MODES.TOKEN) {
+            const token = await this.getToken(options);
+            return { 'Authorization': `Bearer ${token}` };
+        }
+
+        if (this.options.mode === AUTH_MODES.HMAC) {
+            const timestamp = String(Date.now());
+            const isSigned = typeof body === 'string';
+            const signature = await signPayload(this.options.hmacSecret, timestamp, isSigned ? body : '');
+            return {
+                [AUTH_HEADERS.TIMESTAMP]: timestamp,
+                [AUTH_HEADERS.SIGNATURE]: signature,
+                ...(isSigned ? {} : { [AUTH_HEADERS.UNSIGNED_BODY]: 'multipart' })
+            };
+        }
+
+        return {};
+    }
+
+    /**
+     * Resolves a valid token, fetching one when there is none or it is about to expire
+     * @param {Object} [options] - signal and timeout, see getHeaders
+     * @returns {Promise<string>} Token
+     */
+    async getToken({ signal, timeout = DEFAULT_REQUEST_POLICY.timeout } = {}) {
+        if (this.token && Date.now() < this.expiresAt - this.options.refreshMargin) {
+            return this.token;
+        }
+
+        // The shared fetch has its own timeout; one request cancelling only stops its own wait
+        if (!this.pendingToken) {
+            this.pendingToken = this.fetchToken(timeout).finally(() => {
+                this.pendingToken = null;
+            });
+        }
+        return untilAborted(this.pendingToken, signal);
+    }
+
+    /**
+     * Request a token from the session endpoint
+     * The current token is sent along so the endpoint can refresh rather than start a new session
+     * @param {number} [timeout] - Give up after this many ms; 0 waits indefinitely
+     */
+    async fetchToken(timeout = DEFAULT_REQUEST_POLICY.timeout) {
+        if (!this.options.tokenEndpoint) {
+            throw createAuthError('Token auth needs config.auth.tokenEndpoint');
+        }
+
+        const previousToken = this.token;
+        const controller = new AbortController();
+        const fetchConfig = createFetchConfig({
+            deviceId: getDeviceId(this.options.deviceIdKey),
+            ...(previousToken ? { client_secret: previousToken } : {})
+        }, { signal: controller.signal });
+        fetchConfig.headers = { ...fetchConfig.headers, ...this.options.tokenHeaders };
+
+        const timer = timeout > 0 ? setTimeout(() => controller.abort(), timeout) : null;
+        let data;
+        try {
+            const response = await fetch(this.options.tokenEndpoint, fetchConfig).catch((error) => {
+                markNetworkError(error);
+                throw error;
+            });
+            data = await handleApiResponse(response);
+        } catch (error) {
+            if (controller.signal.aborted) throw createTimeoutError(timeout);
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const token = data.client_secret ?? data.token;
+        if (typeof token !== 'string' || !token) {
+            throw createAuthError('Session endpoint returned no token');
+        }
+
+        this.token = token;
+        this.expiresAt = parseExpiry(data, this.options.defaultTokenTtl);
+        return token;
+    }
+
+    /**
+     * Forget the current token after the webhook rejected it; the next request fetches a new one
+     * HMAC signatures have nothing cached, so a rejected signature is retried as is
+     */
+    invalidate() {
+        this.expiresAt = 0;
+    }
+}
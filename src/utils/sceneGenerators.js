@@ -3,8 +3,11 @@
  *
  * Modular Three.js scene position generators for particle system visualizations.
  * Each generator creates position arrays for different geometric patterns.
+ * Generators that scatter particles take a seed, so the same seed gives the same formation.
  */
 
+import { createRandom } from './random.js';
+
 /**
  * Generates positions for a plane scene with sinusoidal wave patterns
  * @param {number} particlesTotal - Total number of particles to position
@@ -74,16 +77,19 @@ export function generateSpherePositions(particlesTotal) {
 /**
  * Generates random positions within a 4000x4000x4000 unit cube
  * @param {number} particlesTotal - Total number of particles to position
+ * @param {Object} [options]
+ * @param {number|string} [options.seed] - Seed for the positions
  * @returns {number[]} Array of x,y,z positions [x1,y1,z1,x2,y2,z2,...]
  */
-export function generateRandomPositions(particlesTotal) {
+export function generateRandomPositions(particlesTotal, { seed } = {}) {
     const positions = [];
+    const random = createRandom(seed);
 
     for (let i = 0; i < particlesTotal; i++) {
         positions.push(
-            Math.random() * 4000 - 2000,
-            Math.random() * 4000 - 2000,
-            Math.random() * 4000 - 2000
+            random() * 4000 - 2000,
+            random() * 4000 - 2000,
+            random() * 4000 - 2000
         );
     }
 
@@ -138,32 +144,438 @@ export function generateFibonacciPositions(particlesTotal) {
 }
 
 /**
- * Generates all scene positions by calling all individual generators
+ * Generates positions for a (2,3) torus knot wrapped in a thin tube of particles
+ * @param {number} particlesTotal - Total number of particles to position
+ * @returns {number[]} Array of x,y,z positions [x1,y1,z1,x2,y2,z2,...]
+ */
+export function generateTorusKnotPositions(particlesTotal) {
+    const positions = [];
+    const p = 2;
+    const q = 3;
+    const knotScale = 450;
+    const tubeRadius = 120;
+    const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+
+    const pointOnKnot = (t) => {
+        const r = Math.cos(q * t) + 2;
+        return [r * Math.cos(p * t) * knotScale, r * Math.sin(p * t) * knotScale, -Math.sin(q * t) * knotScale];
+    };
+
+    for (let i = 0; i < particlesTotal; i++) {
+        const t = (i / particlesTotal) * Math.PI * 2;
+        const center = pointOnKnot(t);
+        const ahead = pointOnKnot(t + 0.001);
+        const behind = pointOnKnot(t - 0.001);
+
+        // Tube frame: tangent along the knot, normal towards its curvature, binormal across both
+        const tangent = normalize(ahead.map((value, axis) => value - behind[axis]));
+        const normal = normalize(ahead.map((value, axis) => value + behind[axis] - 2 * center[axis]));
+        const binormal = cross(tangent, normal);
+
+        const angle = i * goldenAngle;
+        positions.push(...center.map((value, axis) =>
+            value + tubeRadius * (Math.cos(angle) * normal[axis] + Math.sin(angle) * binormal[axis])
+        ));
+    }
+
+    return positions;
+}
+
+/**
+ * Generates positions for a single vertical helix
+ * @param {number} particlesTotal - Total number of particles to position
+ * @returns {number[]} Array of x,y,z positions [x1,y1,z1,x2,y2,z2,...]
+ */
+export function generateHelixPositions(particlesTotal) {
+    const positions = [];
+    const helixRadius = 700;
+    const helixHeight = 3000;
+    const helixTurns = 6;
+
+    for (let i = 0; i < particlesTotal; i++) {
+        const fraction = i / Math.max(particlesTotal - 1, 1);
+        const angle = fraction * helixTurns * Math.PI * 2;
+        positions.push(
+            helixRadius * Math.cos(angle),
+            fraction * helixHeight - helixHeight / 2,
+            helixRadius * Math.sin(angle)
+        );
+    }
+
+    return positions;
+}
+
+/**
+ * Generates positions for a DNA double helix: two strands joined by base-pair rungs
+ * About 70% of the particles form the strands, the rest the rungs
  * @param {number} particlesTotal - Total number of particles to position
- * @returns {number[]} Combined array of all scene positions in order: plane, cube, sphere, random, spiral, fibonacci
+ * @returns {number[]} Array of x,y,z positions [x1,y1,z1,x2,y2,z2,...]
+ */
+export function generateDnaPositions(particlesTotal) {
+    const positions = [];
+    const helixRadius = 500;
+    const helixHeight = 3200;
+    const helixTurns = 3;
+    const rungCount = 24;
+
+    const strandPoint = (fraction, strand) => {
+        const angle = fraction * helixTurns * Math.PI * 2 + strand * Math.PI;
+        return [helixRadius * Math.cos(angle), fraction * helixHeight - helixHeight / 2, helixRadius * Math.sin(angle)];
+    };
+
+    const strandTotal = Math.max(Math.round(particlesTotal * 0.7), Math.min(particlesTotal, 2));
+    const perStrand = Math.ceil(strandTotal / 2);
+    for (let i = 0; i < strandTotal; i++) {
+        const fraction = Math.floor(i / 2) / Math.max(perStrand - 1, 1);
+        positions.push(...strandPoint(fraction, i % 2));
+    }
+
+    // Remaining particles are spread over the rungs, rung by rung
+    const rungTotal = particlesTotal - strandTotal;
+    const perRung = Math.ceil(rungTotal / rungCount);
+    for (let i = 0; i < rungTotal; i++) {
+        const rung = i % rungCount;
+        const fraction = (rung + 0.5) / rungCount;
+        const along = (Math.floor(i / rungCount) + 1) / (perRung + 1);
+        const start = strandPoint(fraction, 0);
+        const end = strandPoint(fraction, 1);
+        positions.push(...start.map((value, axis) => value + (end[axis] - value) * along));
+    }
+
+    return positions;
+}
+
+const WAVE_AMPLITUDE = 220;
+const WAVE_FREQUENCY = 0.0025;
+const WAVE_SPEED = 1.2;
+
+/**
+ * Generates positions for a square grid rippled by a radial wave
+ * animateWaveGrid keeps the wave moving once the particles arrive
+ * @param {number} particlesTotal - Total number of particles to position
+ * @returns {number[]} Array of x,y,z positions [x1,y1,z1,x2,y2,z2,...]
+ */
+export function generateWaveGridPositions(particlesTotal) {
+    const positions = [];
+    const gridSize = 3200;
+    const columns = Math.ceil(Math.sqrt(particlesTotal));
+    const rows = Math.ceil(particlesTotal / columns);
+    const separationX = gridSize / Math.max(columns - 1, 1);
+    const separationZ = gridSize / Math.max(rows - 1, 1);
+
+    for (let i = 0; i < particlesTotal; i++) {
+        const x = (i % columns - (columns - 1) / 2) * separationX;
+        const z = (Math.floor(i / columns) - (rows - 1) / 2) * separationZ;
+        positions.push(x, waveHeight(x, z, 0), z);
+    }
+
+    return positions;
+}
+
+/**
+ * Moves a wave grid particle along the wave
+ * @param {{x: number, y: number, z: number}} target - Position from generateWaveGridPositions
+ * @param {number} elapsed - Seconds since the particles settled into the grid
+ * @returns {{x: number, y: number, z: number}} Position for this frame
+ */
+export function animateWaveGrid(target, elapsed) {
+    return { x: target.x, y: waveHeight(target.x, target.z, elapsed), z: target.z };
+}
+
+function waveHeight(x, z, time) {
+    const distance = Math.sqrt(x * x + z * z);
+    return Math.sin(distance * WAVE_FREQUENCY - time * WAVE_SPEED) * WAVE_AMPLITUDE;
+}
+
+/**
+ * Generates positions for a spiral galaxy: a dense core and trailing arms
+ * @param {number} particlesTotal - Total number of particles to position
+ * @param {Object} [options]
+ * @param {number|string} [options.seed] - Seed for the scatter around the arms
+ * @returns {number[]} Array of x,y,z positions [x1,y1,z1,x2,y2,z2,...]
+ */
+export function generateGalaxyPositions(particlesTotal, { seed } = {}) {
+    const positions = [];
+    const random = createRandom(seed);
+    const galaxyRadius = 1900;
+    const coreRadius = 300;
+    const armCount = 3;
+    const armTwist = Math.PI * 2.5;
+    const coreTotal = Math.round(particlesTotal * 0.15);
+
+    // Symmetric scatter that stays close to zero more often than not
+    const spread = () => (random() - random()) * (random() + random()) / 2;
+
+    for (let i = 0; i < particlesTotal; i++) {
+        if (i < coreTotal) {
+            const phi = Math.acos(2 * random() - 1);
+            const theta = random() * Math.PI * 2;
+            const radius = coreRadius * Math.cbrt(random());
+            positions.push(
+                radius * Math.sin(phi) * Math.cos(theta),
+                radius * Math.cos(phi) * 0.6,
+                radius * Math.sin(phi) * Math.sin(theta)
+            );
+            continue;
+        }
+
+        const arm = i % armCount;
+        const fraction = Math.sqrt(random());
+        const radius = coreRadius + fraction * (galaxyRadius - coreRadius);
+        const angle = (arm / armCount) * Math.PI * 2 + fraction * armTwist;
+        // Arms fan out towards the rim
+        const scatter = 120 + fraction * 260;
+        positions.push(
+            radius * Math.cos(angle) + spread() * scatter,
+            spread() * (160 - fraction * 100),
+            radius * Math.sin(angle) + spread() * scatter
+        );
+    }
+
+    return positions;
+}
+
+const SHAPE_WIDTH = 3000;
+const SHAPE_DEPTH = 240;
+const PATH_RESOLUTION = 512;
+const TEXT_PADDING = 8;
+
+/**
+ * Creates a generator that spells a string with a CSS font
+ * @param {Object} options
+ * @param {string} options.text - Text to draw on a single line
+ * @param {string} [options.font] - CSS font shorthand, e.g. '900 160px Arial'; larger fonts sample finer detail
+ * @param {number} [options.width] - Width of the formation in scene units
+ * @param {number} [options.depth] - Depth of the random z jitter in scene units
+ * @returns {Function} Generator (particlesTotal, { seed }) => number[]
+ */
+export function createTextGenerator({ text, font = '900 160px sans-serif', width = SHAPE_WIDTH, depth = SHAPE_DEPTH }) {
+    if (!text || !String(text).trim()) {
+        throw new Error('Text formations need some text to draw');
+    }
+
+    return (particlesTotal, { seed } = {}) => {
+        const context = createCanvas(1, 1).getContext('2d');
+        context.font = font;
+        const metrics = context.measureText(text);
+        const ascent = Math.ceil(metrics.actualBoundingBoxAscent);
+        const descent = Math.ceil(metrics.actualBoundingBoxDescent);
+
+        const canvas = createCanvas(
+            Math.ceil(metrics.width) + TEXT_PADDING * 2,
+            ascent + descent + TEXT_PADDING * 2
+        );
+        const drawing = canvas.getContext('2d', { willReadFrequently: true });
+        drawing.font = font;
+        drawing.textBaseline = 'alphabetic';
+        drawing.fillText(text, TEXT_PADDING, TEXT_PADDING + ascent);
+
+        return sampleFilledPixels(drawing, particlesTotal, { width, depth, seed });
+    };
+}
+
+/**
+ * Creates a generator that fills an SVG path, such as a client logo
+ * @param {Object} options
+ * @param {string} options.path - SVG path data (the `d` attribute)
+ * @param {number[]} options.viewBox - [minX, minY, width, height] of the path's coordinate system
+ * @param {string} [options.fillRule] - 'nonzero' or 'evenodd', as in the SVG
+ * @param {number} [options.width] - Width of the formation in scene units
+ * @param {number} [options.depth] - Depth of the random z jitter in scene units
+ * @returns {Function} Generator (particlesTotal, { seed }) => number[]
  */
-export function generateAllScenes(particlesTotal) {
-    const allPositions = [];
+export function createSvgPathGenerator({ path, viewBox, fillRule = 'nonzero', width = SHAPE_WIDTH, depth = SHAPE_DEPTH }) {
+    const [minX, minY, boxWidth, boxHeight] = viewBox || [];
+    if (!path || !(boxWidth > 0) || !(boxHeight > 0)) {
+        throw new Error('SVG path formations need path data and a [minX, minY, width, height] viewBox');
+    }
 
-    // Generate positions for all scenes in the correct order
-    allPositions.push(...generatePlanePositions(particlesTotal));
-    allPositions.push(...generateCubePositions(particlesTotal));
-    allPositions.push(...generateSpherePositions(particlesTotal));
-    allPositions.push(...generateRandomPositions(particlesTotal));
-    allPositions.push(...generateSpiralPositions(particlesTotal));
-    allPositions.push(...generateFibonacciPositions(particlesTotal));
+    return (particlesTotal, { seed } = {}) => {
+        const scale = PATH_RESOLUTION / Math.max(boxWidth, boxHeight);
+        const canvas = createCanvas(Math.ceil(boxWidth * scale), Math.ceil(boxHeight * scale));
+        const drawing = canvas.getContext('2d', { willReadFrequently: true });
+        drawing.scale(scale, scale);
+        drawing.translate(-minX, -minY);
+        drawing.fill(new Path2D(path), fillRule);
 
-    return allPositions;
+        return sampleFilledPixels(drawing, particlesTotal, { width, depth, seed });
+    };
 }
 
+const IMAGE_RESOLUTION = 200;
+const IMAGE_DEPTH = 600;
+
 /**
- * Scene generator function mapping for dynamic access
+ * Loads a picture and creates a generator that recreates it, see createImageGenerator
+ * @param {string|Blob} source - Image URL (same origin or CORS-enabled) or a Blob such as an uploaded File
+ * @param {Object} [options] - createImageGenerator options
+ * @returns {Promise<Function>} Generator (particlesTotal, { seed }) => number[] or { positions, colors }
  */
-export const sceneGenerators = {
-    plane: generatePlanePositions,
-    cube: generateCubePositions,
-    sphere: generateSpherePositions,
-    random: generateRandomPositions,
-    spiral: generateSpiralPositions,
-    fibonacci: generateFibonacciPositions
-};
\ No newline at end of file
+export async function loadImageGenerator(source, options = {}) {
+    let blob = source;
+    if (typeof source === 'string') {
+        const response = await fetch(source, { mode: 'cors' });
+        if (!response.ok) {
+            throw new Error(`Could not load image ${source} (${response.status})`);
+        }
+        blob = await response.blob();
+    }
+
+    const bitmap = await createImageBitmap(blob);
+    // Sample a downscaled copy; a few hundred pixels across is plenty for 512 particles
+    const scale = Math.min(1, IMAGE_RESOLUTION / Math.max(bitmap.width, bitmap.height));
+    const canvas = createCanvas(Math.max(Math.round(bitmap.width * scale), 1), Math.max(Math.round(bitmap.height * scale), 1));
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close?.();
+
+    return createImageGenerator(context.getImageData(0, 0, canvas.width, canvas.height), options);
+}
+
+/**
+ * Creates a generator that recreates a picture from its pixels
+ * Particles land on pixels in proportion to their weight, brighter pixels sit closer to the camera
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA pixels, e.g. from getImageData
+ * @param {Object} [options]
+ * @param {string} [options.weight] - 'luminance' (bright areas get more particles) or 'alpha' (any opaque pixel)
+ * @param {boolean} [options.invert] - Favour dark areas instead, for dark artwork on a light background
+ * @param {boolean} [options.tint] - Also return each particle's pixel color as flat r,g,b values (0-255)
+ * @param {number} [options.width] - Width of the formation in scene units
+ * @param {number} [options.depth] - Distance in scene units between the darkest and brightest pixels
+ * @returns {Function} Generator (particlesTotal, { seed }) => number[], or { positions, colors } with tint
+ */
+export function createImageGenerator({ data, width: pixelWidth, height: pixelHeight }, {
+    weight = 'luminance',
+    invert = false,
+    tint = false,
+    width = SHAPE_WIDTH,
+    depth = IMAGE_DEPTH
+} = {}) {
+    if (weight !== 'luminance' && weight !== 'alpha') {
+        throw new Error(`Unknown image weighting "${weight}"; use 'luminance' or 'alpha'`);
+    }
+
+    const pixelTotal = pixelWidth * pixelHeight;
+    const brightness = new Float64Array(pixelTotal);
+    // Running total of the pixel weights, searched to pick pixels in proportion to their weight
+    const cumulative = new Float64Array(pixelTotal);
+    let totalWeight = 0;
+    for (let i = 0; i < pixelTotal; i++) {
+        const alpha = data[i * 4 + 3] / 255;
+        brightness[i] = (0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2]) / 255;
+        const tone = invert ? 1 - brightness[i] : brightness[i];
+        totalWeight += weight === 'alpha' ? alpha : tone * alpha;
+        cumulative[i] = totalWeight;
+    }
+    if (totalWeight === 0) {
+        throw new Error('The image has no pixels to place particles on (fully transparent or black)');
+    }
+
+    const scale = width / pixelWidth;
+
+    return (particlesTotal, { seed } = {}) => {
+        const random = createRandom(seed);
+        const positions = [];
+        const colors = [];
+
+        for (let i = 0; i < particlesTotal; i++) {
+            // One pick per equal slice of the total weight keeps the particles evenly spread
+            const pixel = findPixel(cumulative, ((i + random()) / particlesTotal) * totalWeight);
+            const x = (pixel % pixelWidth) + random();
+            const y = Math.floor(pixel / pixelWidth) + random();
+            positions.push(
+                (x - pixelWidth / 2) * scale,
+                (pixelHeight / 2 - y) * scale,
+                (brightness[pixel] - 0.5) * depth
+            );
+            if (tint) {
+                colors.push(data[pixel * 4], data[pixel * 4 + 1], data[pixel * 4 + 2]);
+            }
+        }
+
+        return tint ? { positions, colors } : positions;
+    };
+}
+
+// First pixel whose running weight passes `target`, which skips pixels without weight
+function findPixel(cumulative, target) {
+    let low = 0;
+    let high = cumulative.length - 1;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (cumulative[middle] <= target) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    if (typeof document !== 'undefined') {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+    throw new Error('Text, logo and image formations need a canvas (OffscreenCanvas or a document)');
+}
+
+/**
+ * Places particles on an even grid over the drawn pixels, centred on the origin
+ * The grid tightens until it has enough points; small shapes reuse points, told apart by the depth jitter
+ */
+function sampleFilledPixels(context, particlesTotal, { width, depth, seed }) {
+    const { width: canvasWidth, height: canvasHeight } = context.canvas;
+    const { data } = context.getImageData(0, 0, canvasWidth, canvasHeight);
+    const isFilled = (x, y) => data[(Math.floor(y) * canvasWidth + Math.floor(x)) * 4 + 3] >= 128;
+
+    let filledTotal = 0;
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] >= 128) filledTotal++;
+    }
+    if (filledTotal === 0) {
+        throw new Error('The text or path did not draw any pixels to place particles on');
+    }
+
+    let step = Math.max(Math.sqrt(filledTotal / particlesTotal), 1);
+    let points;
+    for (;;) {
+        points = [];
+        for (let y = step / 2; y < canvasHeight; y += step) {
+            for (let x = step / 2; x < canvasWidth; x += step) {
+                if (isFilled(x, y)) points.push([x, y]);
+            }
+        }
+        if (points.length >= particlesTotal || step === 1) break;
+        step = Math.max(step * 0.9, 1);
+    }
+
+    const random = createRandom(seed);
+    const scale = width / canvasWidth;
+    const positions = [];
+    for (let i = 0; i < particlesTotal; i++) {
+        // Spread the picks evenly over the grid points, in reading order
+        const [x, y] = points[Math.floor((i * points.length) / particlesTotal)];
+        positions.push(
+            (x - canvasWidth / 2) * scale,
+            (canvasHeight / 2 - y) * scale,
+            (random() - 0.5) * depth
+        );
+    }
+
+    return positions;
+}
+
+function normalize(vector) {
+    const length = Math.hypot(...vector) || 1;
+    return vector.map(value => value / length);
+}
+
+function cross([ax, ay, az], [bx, by, bz]) {
+    return [ay * bz - az * by, az * bx - ax * bz, ax * by - ay * bx];
+}
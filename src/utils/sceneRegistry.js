@@ -0,0 +1,213 @@
+/**
+ * Scene Registry
+ *
+ * Single list of the particle formations the scene can show. Registration order is cycling order.
+ * Adding a formation only needs a generator that returns particlesTotal x,y,z triples:
+ *
+ *   sceneRegistry.register('ring', generateRingPositions, { displayName: 'Ring', duration: 5000 });
+ */
+
+import {
+    generatePlanePositions,
+    generateCubePositions,
+    generateSpherePositions,
+    generateRandomPositions,
+    generateSpiralPositions,
+    generateFibonacciPositions,
+    generateTorusKnotPositions,
+    generateHelixPositions,
+    generateDnaPositions,
+    generateWaveGridPositions,
+    animateWaveGrid,
+    generateGalaxyPositions,
+    createTextGenerator
+} from './sceneGenerators.js';
+import { config } from '../../config.js';
+
+/**
+ * Transition length in ms for formations registered without a duration
+ */
+export const DEFAULT_SCENE_DURATION = 4000;
+
+export class SceneRegistry {
+    constructor() {
+        this.scenes = new Map();
+        this.listeners = new Set();
+    }
+
+    /**
+     * Add a formation
+     * @param {string} name - Unique id used by setScene, the embed API and cycling
+     * @param {Function} generate - (particlesTotal, { seed }) => number[] of particlesTotal x,y,z triples,
+     *   or { positions, colors } with r,g,b values (0-255) per particle to tint the sprites
+     * @param {Object} [metadata]
+     * @param {string} [metadata.displayName] - Human-readable name, defaults to the id
+     * @param {number} [metadata.duration] - Transition length in ms when moving into this formation
+     * @param {Function} [metadata.animate] - (target, elapsedSeconds) => {x, y, z}, moves particles once they arrive
+     * @param {boolean} [metadata.cycle] - Whether the automatic rotation picks it, default true;
+     *   formations left out are still reached by name or the Space key
+     * @returns {Object} The registered scene
+     */
+    register(name, generate, metadata = {}) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new TypeError('Scene names must be non-empty strings');
+        }
+        if (typeof generate !== 'function') {
+            throw new TypeError(`Scene "${name}" needs a generator function`);
+        }
+        if (this.scenes.has(name)) {
+            throw new Error(`Scene "${name}" is already registered; unregister it first to replace it`);
+        }
+
+        const duration = metadata.duration ?? DEFAULT_SCENE_DURATION;
+        if (!Number.isFinite(duration) || duration < 0) {
+            throw new RangeError(`Scene "${name}" has an invalid duration: ${duration}`);
+        }
+        if (metadata.animate !== undefined && typeof metadata.animate !== 'function') {
+            throw new TypeError(`Scene "${name}" animate must be a function`);
+        }
+
+        const scene = Object.freeze({
+            ...metadata,
+            name,
+            displayName: metadata.displayName || name,
+            duration,
+            cycle: metadata.cycle ?? true,
+            generate
+        });
+        this.scenes.set(name, scene);
+        this.notify('register', name);
+        return scene;
+    }
+
+    /**
+     * Remove a formation; the last one cannot be removed
+     * @returns {boolean} Whether the scene was registered
+     */
+    unregister(name) {
+        if (!this.scenes.has(name)) return false;
+        if (this.scenes.size === 1) {
+            throw new Error(`Scene "${name}" is the only formation left and cannot be removed`);
+        }
+
+        this.scenes.delete(name);
+        this.notify('unregister', name);
+        return true;
+    }
+
+    has(name) {
+        return this.scenes.has(name);
+    }
+
+    /**
+     * @returns {Object|undefined} Scene with name, displayName, duration and generate
+     */
+    get(name) {
+        return this.scenes.get(name);
+    }
+
+    /**
+     * @returns {string[]} Scene names in cycling order
+     */
+    getNames() {
+        return [...this.scenes.keys()];
+    }
+
+    /**
+     * Scene that follows `name` in cycling order, wrapping around
+     * Unknown names start the cycle from the beginning
+     */
+    getNextName(name) {
+        const names = this.getNames();
+        return names[(names.indexOf(name) + 1) % names.length];
+    }
+
+    /**
+     * Random scene for the automatic rotation, other than `exclude` (unless nothing else is left)
+     * @param {string} exclude - Usually the current scene
+     * @param {Function} [random] - Source of [0, 1) floats, e.g. a seeded createRandom()
+     */
+    getRandomName(exclude, random = Math.random) {
+        const candidates = this.getNames().filter(name => name !== exclude && this.scenes.get(name).cycle);
+        if (candidates.length === 0) return exclude;
+        return candidates[Math.floor(random() * candidates.length)];
+    }
+
+    /**
+     * Run a scene's generator and check its output
+     * @param {string} name - Registered scene
+     * @param {number} particlesTotal - Number of particles to place
+     * @param {Object} [options] - Passed to the generator, e.g. { seed }
+     * @returns {{positions: number[], colors: number[]|null}} x,y,z and, for tinted scenes, r,g,b per particle
+     */
+    generateFormation(name, particlesTotal, options = {}) {
+        const scene = this.scenes.get(name);
+        if (!scene) {
+            throw new Error(`Unknown scene "${name}". Registered scenes: ${this.getNames().join(', ')}`);
+        }
+
+        const result = scene.generate(particlesTotal, options);
+        const { positions, colors = null } = Array.isArray(result) ? { positions: result } : (result || {});
+        if (!isTripleList(positions, particlesTotal)) {
+            throw new Error(`Scene "${name}" must return ${particlesTotal * 3} finite numbers (x,y,z for each particle)`);
+        }
+        if (colors !== null && !isTripleList(colors, particlesTotal)) {
+            throw new Error(`Scene "${name}" must return ${particlesTotal * 3} color values (r,g,b for each particle)`);
+        }
+        return { positions, colors };
+    }
+
+    /**
+     * Positions only, see generateFormation
+     * @returns {number[]} particlesTotal x,y,z triples
+     */
+    generatePositions(name, particlesTotal, options = {}) {
+        return this.generateFormation(name, particlesTotal, options).positions;
+    }
+
+    /**
+     * Listen for registrations and removals
+     * @param {Function} callback - Called with ({ type: 'register'|'unregister', name })
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    notify(type, name) {
+        this.listeners.forEach(callback => callback({ type, name }));
+    }
+}
+
+function isTripleList(values, particlesTotal) {
+    return Array.isArray(values)
+        && values.length === particlesTotal * 3
+        && values.every(Number.isFinite);
+}
+
+/**
+ * Shared registry used by the scene, cycling and the embed API, with the built-in formations
+ */
+export const sceneRegistry = new SceneRegistry();
+
+sceneRegistry.register('plane', generatePlanePositions, { displayName: 'Wave plane' });
+sceneRegistry.register('cube', generateCubePositions, { displayName: 'Cube grid' });
+sceneRegistry.register('sphere', generateSpherePositions, { displayName: 'Sphere' });
+sceneRegistry.register('random', generateRandomPositions, { displayName: 'Scatter' });
+sceneRegistry.register('spiral', generateSpiralPositions, { displayName: 'Spiral' });
+sceneRegistry.register('fibonacci', generateFibonacciPositions, { displayName: 'Fibonacci sphere' });
+sceneRegistry.register('torusKnot', generateTorusKnotPositions, { displayName: 'Torus knot' });
+sceneRegistry.register('helix', generateHelixPositions, { displayName: 'Helix' });
+sceneRegistry.register('dna', generateDnaPositions, { displayName: 'DNA double helix' });
+sceneRegistry.register('waveGrid', generateWaveGridPositions, { displayName: 'Wave grid', animate: animateWaveGrid });
+sceneRegistry.register('galaxy', generateGalaxyPositions, { displayName: 'Spiral galaxy', duration: 5000 });
+// Blank text has nothing to draw, so the formation is left out rather than failing the whole scene
+if (config.scene.text.content?.trim()) {
+    sceneRegistry.register('text', createTextGenerator({
+        text: config.scene.text.content,
+        font: config.scene.text.font
+    }), { displayName: `Text: ${config.scene.text.content}`, cycle: config.scene.text.cycle });
+}
+
+export default sceneRegistry;
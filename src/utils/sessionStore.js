@@ -0,0 +1,206 @@
+/**
+ * Chat Session Store
+ * Persists the n8n session id and a local copy of the transcript across reloads and tabs
+ */
+
+const DEFAULT_OPTIONS = {
+    storageKey: 'geuse-chat-session',
+    idleTimeoutMinutes: 60 * 24,
+    maxMessages: 200,
+    // Receives records that passed the idle timeout before they are discarded
+    onExpire: null
+};
+
+/**
+ * Safely read/write/remove JSON in localStorage with fallback
+ */
+export const safeStorage = {
+    read: (key) => {
+        try {
+            const raw = localStorage.getItem(key);
+            return raw ? JSON.parse(raw) : null;
+        } catch (_) {
+            return null;
+        }
+    },
+    write: (key, value) => {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (_) {
+            return false;
+        }
+    },
+    remove: (key) => {
+        try {
+            localStorage.removeItem(key);
+        } catch (_) {}
+    }
+};
+
+/**
+ * Generates an RFC 4122 version 4 session id
+ * @returns {string} UUID string
+ */
+export function generateSessionId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+        const r = Math.random() * 16 | 0;
+        const v = c === 'x' ? r : (r & 0x3 | 0x8);
+        return v.toString(16);
+    });
+}
+
+/**
+ * Generates a unique id for a single chat message
+ * @returns {string} UUID string
+ */
+export function generateMessageId() {
+    return generateSessionId();
+}
+
+export class SessionStore {
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULT_OPTIONS,
+            ...options
+        };
+        this.session = null;
+    }
+
+    /**
+     * Idle period after which a stored session is discarded, in milliseconds
+     */
+    get idleTimeout() {
+        return this.options.idleTimeoutMinutes * 60 * 1000;
+    }
+
+    /**
+     * Check whether a stored session record has passed the idle timeout
+     */
+    isExpired(record) {
+        if (!record || !record.lastActiveAt) return true;
+        return Date.now() - record.lastActiveAt > this.idleTimeout;
+    }
+
+    /**
+     * Read the stored session, discarding malformed or expired records
+     * @returns {{sessionId: string, messages: Array, createdAt: number, lastActiveAt: number}|null}
+     */
+    load() {
+        const record = safeStorage.read(this.options.storageKey);
+        if (!record || typeof record.sessionId !== 'string') {
+            return null;
+        }
+
+        if (this.isExpired(record)) {
+            safeStorage.remove(this.options.storageKey);
+            if (typeof this.options.onExpire === 'function') {
+                this.options.onExpire(record);
+            }
+            return null;
+        }
+
+        return {
+            ...record,
+            messages: Array.isArray(record.messages) ? record.messages : []
+        };
+    }
+
+    /**
+     * Restore the stored session or create a fresh one
+     */
+    getOrCreateSession() {
+        this.session = this.load() || this.createRecord();
+        this.persist();
+        return this.session;
+    }
+
+    /**
+     * Discard the current conversation and begin a new session
+     */
+    startNew() {
+        this.session = this.createRecord();
+        this.persist();
+        return this.session;
+    }
+
+    /**
+     * Make an existing record, e.g. a thread switched back to, the current session
+     * @param {Object} record - Session record with sessionId and messages
+     */
+    activate(record) {
+        this.session = { ...record, messages: [...record.messages] };
+        this.persist();
+        return this.session;
+    }
+
+    /**
+     * Give the current session a visitor-chosen title
+     */
+    setTitle(title) {
+        if (!this.session) return;
+        this.session.title = title;
+        this.persist();
+    }
+
+    /**
+     * Save the local transcript copy and mark the session as active
+     * @param {Array<{text: string, sender: string}>} messages - Current transcript
+     */
+    saveMessages(messages) {
+        if (!this.session) return;
+
+        this.session.messages = messages
+            .slice(-this.options.maxMessages)
+            .map(message => ({ ...message }));
+        this.persist();
+    }
+
+    /**
+     * Remove the stored session entirely
+     */
+    clear() {
+        this.session = null;
+        safeStorage.remove(this.options.storageKey);
+    }
+
+    /**
+     * Listen for session changes made in other tabs
+     * @param {Function} callback - Receives the new session record, or null when cleared/expired
+     * @returns {Function} Unsubscribe function
+     */
+    onExternalChange(callback) {
+        const handler = (e) => {
+            if (e.key !== this.options.storageKey) return;
+
+            const record = this.load();
+            this.session = record;
+            callback(record);
+        };
+
+        window.addEventListener('storage', handler);
+        return () => window.removeEventListener('storage', handler);
+    }
+
+    createRecord() {
+        const now = Date.now();
+        return {
+            sessionId: generateSessionId(),
+            messages: [],
+            createdAt: now,
+            lastActiveAt: now
+        };
+    }
+
+    persist() {
+        if (!this.session) return;
+        this.session.lastActiveAt = Date.now();
+        safeStorage.write(this.options.storageKey, this.session);
+    }
+}
+
+export default SessionStore;
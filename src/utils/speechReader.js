@@ -0,0 +1,160 @@
+/**
+ * Speech Reader Utility
+ * Reads bot replies aloud with the Speech Synthesis API and remembers the read-aloud preference
+ */
+
+import { renderMarkdown } from './markdownRenderer.js';
+
+const READ_ALOUD_KEY = 'geuse-read-aloud';
+
+const DEFAULT_OPTIONS = {
+    lang: null,
+    rate: 1,
+    // Some engines stop long utterances early, so text is spoken in sentence-sized pieces
+    maxChunkLength: 200,
+    onStateChange: () => {}
+};
+
+/**
+ * Safely get/set localStorage with fallback
+ */
+const safeStorage = {
+    getItem: (key) => {
+        try {
+            return localStorage.getItem(key);
+        } catch (_) {
+            return null;
+        }
+    },
+    setItem: (key, value) => {
+        try {
+            localStorage.setItem(key, value);
+            return true;
+        } catch (_) {
+            return false;
+        }
+    }
+};
+
+export const isSpeechSynthesisSupported = () => typeof window !== 'undefined'
+    && 'speechSynthesis' in window
+    && typeof window.SpeechSynthesisUtterance === 'function';
+
+export const loadReadAloudPreference = () => safeStorage.getItem(READ_ALOUD_KEY) === 'on';
+
+export const saveReadAloudPreference = (enabled) => safeStorage.setItem(READ_ALOUD_KEY, enabled ? 'on' : 'off');
+
+/**
+ * Converts a Markdown reply into the plain text that should be spoken
+ * @param {string} markdown - Bot message source
+ * @returns {string} Text without formatting or control labels
+ */
+export function toSpeechText(markdown) {
+    const container = document.createElement('div');
+    container.appendChild(renderMarkdown(markdown));
+    container.querySelectorAll('.code-copy').forEach(button => button.remove());
+    // Keep block boundaries as pauses instead of running words together
+    container.querySelectorAll('p, li, pre, h3, h4, h5, h6, br').forEach(element => element.after(' '));
+    // Emoji are read out by name, which is noisy
+    return container.textContent
+        .replace(/\p{Extended_Pictographic}️?/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Splits text at sentence boundaries into pieces no longer than maxLength where possible
+ * @returns {string[]} Non-empty chunks in reading order
+ */
+export function splitForSpeech(text, maxLength = DEFAULT_OPTIONS.maxChunkLength) {
+    const sentences = text.match(/[^.!?]+[.!?]*\s*/g) || [];
+    const chunks = [];
+    let current = '';
+
+    sentences.forEach((sentence) => {
+        if (current && (current + sentence).length > maxLength) {
+            chunks.push(current.trim());
+            current = '';
+        }
+        current += sentence;
+    });
+    if (current.trim()) {
+        chunks.push(current.trim());
+    }
+
+    return chunks;
+}
+
+export class SpeechReader {
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULT_OPTIONS,
+            ...options
+        };
+        this.currentId = null;
+        this.isPaused = false;
+        // Distinguishes callbacks of cancelled utterances from the current reading
+        this.readingToken = 0;
+    }
+
+    /**
+     * Read a text aloud, replacing anything currently being read
+     * @param {string} id - Identifier of what is being read, e.g. a message id
+     * @param {string} text - Plain text to speak
+     */
+    speak(id, text) {
+        this.stop();
+
+        const chunks = splitForSpeech(text, this.options.maxChunkLength);
+        if (chunks.length === 0) return;
+
+        const token = ++this.readingToken;
+        this.currentId = id;
+        this.isPaused = false;
+
+        chunks.forEach((chunk, index) => {
+            const utterance = new SpeechSynthesisUtterance(chunk);
+            utterance.lang = this.options.lang || navigator.language || document.documentElement.lang;
+            utterance.rate = this.options.rate;
+            if (index === chunks.length - 1) {
+                utterance.onend = () => this.finish(token);
+            }
+            utterance.onerror = () => this.finish(token);
+            window.speechSynthesis.speak(utterance);
+        });
+
+        this.options.onStateChange();
+    }
+
+    pause() {
+        if (!this.currentId || this.isPaused) return;
+        window.speechSynthesis.pause();
+        this.isPaused = true;
+        this.options.onStateChange();
+    }
+
+    resume() {
+        if (!this.currentId || !this.isPaused) return;
+        window.speechSynthesis.resume();
+        this.isPaused = false;
+        this.options.onStateChange();
+    }
+
+    stop() {
+        if (!this.currentId) return;
+        this.readingToken++;
+        this.currentId = null;
+        this.isPaused = false;
+        window.speechSynthesis.cancel();
+        this.options.onStateChange();
+    }
+
+    finish(token) {
+        if (token !== this.readingToken || !this.currentId) return;
+        this.currentId = null;
+        this.isPaused = false;
+        this.options.onStateChange();
+    }
+}
+
+export default SpeechReader;
@@ -79,8 +79,8 @@ const applyTheme = (theme, persist = true) => {
 /**
  * Get current theme from document or determine from system preference
  */
-const getCurrentTheme = () => {
-    const attr = document.documentElement.getAttribute('data-theme');
+const getCurrentTheme = (root = document.documentElement) => {
+    const attr = root.getAttribute('data-theme');
     if (attr === 'light' || attr === 'dark') return attr;
     const prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
     return prefersDark ? 'dark' : 'light';
@@ -121,8 +121,11 @@ export const initializeTheme = () => {
 /**
  * Setup theme toggle functionality for chat interface
  * Returns object with methods for managing theme toggle button
+ * With a themeRoot (e.g. a custom element host) only that element's data-theme changes, without persisting
  */
-export const setupThemeToggle = (themeButton) => {
+export const setupThemeToggle = (themeButton, themeRoot = null) => {
+    const readTheme = () => getCurrentTheme(themeRoot || document.documentElement);
+
     const setIcon = (theme) => {
         themeButton.innerHTML = theme === 'dark'
             ? '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="#f5f5f8" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"/></svg>'
@@ -131,21 +134,25 @@ export const setupThemeToggle = (themeButton) => {
     };
 
     const toggle = () => {
-        const current = getCurrentTheme();
+        const current = readTheme();
         const next = current === 'dark' ? 'light' : 'dark';
-        applyTheme(next);
+        if (themeRoot) {
+            themeRoot.setAttribute('data-theme', next);
+        } else {
+            applyTheme(next);
+        }
         setIcon(next);
         return next;
     };
 
     // Initialize icon based on current theme
-    const currentTheme = getCurrentTheme();
+    const currentTheme = readTheme();
     setIcon(currentTheme);
 
     return {
         setIcon,
         toggle,
-        getCurrentTheme: getCurrentTheme
+        getCurrentTheme: readTheme
     };
 };
 
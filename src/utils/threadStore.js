@@ -0,0 +1,128 @@
+/**
+ * Chat Thread Store
+ * Keeps conversations the visitor switched away from, each with its own n8n session id
+ * The active conversation stays in SessionStore, so a single-thread visitor's storage is unchanged
+ */
+
+import { safeStorage } from './sessionStore.js';
+
+const DEFAULT_OPTIONS = {
+    storageKey: 'geuse-chat-session',
+    maxThreads: 20
+};
+
+const UNTITLED_THREAD = 'New conversation';
+const TITLE_LENGTH = 40;
+
+/**
+ * Title shown for a thread: the visitor's own name for it, else its first request
+ * @param {{title?: string, messages?: Array}} record - Session record
+ * @returns {string} Display title
+ */
+export function getThreadTitle(record) {
+    if (record.title) return record.title;
+
+    const firstRequest = (record.messages || []).find(msg => msg.sender === 'user' && msg.text);
+    if (!firstRequest) return UNTITLED_THREAD;
+
+    const text = firstRequest.text.replace(/\s+/g, ' ').trim();
+    return text.length > TITLE_LENGTH ? `${text.slice(0, TITLE_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Whether a conversation is worth keeping in the thread list
+ */
+export const hasUserMessages = (record) => Boolean(record)
+    && Array.isArray(record.messages)
+    && record.messages.some(msg => msg.sender === 'user');
+
+export class ThreadStore {
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULT_OPTIONS,
+            ...options
+        };
+    }
+
+    get storageKey() {
+        return `${this.options.storageKey}-threads`;
+    }
+
+    /**
+     * Stored inactive threads, most recently active first
+     * @returns {Array<{sessionId: string, title?: string, messages: Array, createdAt: number, lastActiveAt: number}>}
+     */
+    list() {
+        const stored = safeStorage.read(this.storageKey);
+        const threads = stored && Array.isArray(stored.threads) ? stored.threads : [];
+        return threads
+            .filter(thread => thread && typeof thread.sessionId === 'string')
+            .map(thread => ({ ...thread, messages: Array.isArray(thread.messages) ? thread.messages : [] }))
+            .sort((a, b) => (b.lastActiveAt || 0) - (a.lastActiveAt || 0));
+    }
+
+    /**
+     * A stored thread by session id
+     * @returns {Object|null} The stored record
+     */
+    get(sessionId) {
+        return this.list().find(thread => thread.sessionId === sessionId) || null;
+    }
+
+    /**
+     * Add or update a thread, dropping the least recently active beyond maxThreads
+     */
+    save(record) {
+        const threads = this.list().filter(thread => thread.sessionId !== record.sessionId);
+        threads.unshift({ ...record, messages: record.messages.map(message => ({ ...message })) });
+        threads.sort((a, b) => (b.lastActiveAt || 0) - (a.lastActiveAt || 0));
+        this.write(threads.slice(0, this.options.maxThreads));
+    }
+
+    /**
+     * Remove a thread from the list and return it, e.g. to make it the active one
+     * @returns {Object|null} The stored record
+     */
+    take(sessionId) {
+        const threads = this.list();
+        const record = threads.find(thread => thread.sessionId === sessionId) || null;
+        if (record) {
+            this.write(threads.filter(thread => thread.sessionId !== sessionId));
+        }
+        return record;
+    }
+
+    remove(sessionId) {
+        this.take(sessionId);
+    }
+
+    rename(sessionId, title) {
+        const threads = this.list();
+        const record = threads.find(thread => thread.sessionId === sessionId);
+        if (!record) return;
+
+        record.title = title;
+        this.write(threads);
+    }
+
+    /**
+     * Listen for thread list changes made in other tabs
+     * @returns {Function} Unsubscribe function
+     */
+    onExternalChange(callback) {
+        const handler = (e) => {
+            if (e.key === this.storageKey) {
+                callback(this.list());
+            }
+        };
+
+        window.addEventListener('storage', handler);
+        return () => window.removeEventListener('storage', handler);
+    }
+
+    write(threads) {
+        safeStorage.write(this.storageKey, { threads });
+    }
+}
+
+export default ThreadStore;
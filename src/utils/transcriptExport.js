@@ -0,0 +1,129 @@
+/**
+ * Transcript Export Utility
+ * Serializes a chat conversation to Markdown, JSON or plain text and triggers downloads
+ */
+
+export const TRANSCRIPT_FORMATS = {
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+    json: { extension: 'json', mimeType: 'application/json' },
+    text: { extension: 'txt', mimeType: 'text/plain' }
+};
+
+const SENDER_LABELS = {
+    user: 'You',
+    bot: 'Geuse'
+};
+
+const formatTimestamp = (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? '' : date.toISOString();
+};
+
+const normalizeMessages = (messages) => messages.map((msg) => {
+    const normalized = {
+        sender: msg.sender,
+        text: msg.text,
+        createdAt: formatTimestamp(msg.createdAt) || null
+    };
+    // File contents stay out of transcripts; only names and sizes are listed
+    if (Array.isArray(msg.attachments) && msg.attachments.length > 0) {
+        normalized.attachments = msg.attachments.map(({ name, type, size }) => ({ name, type, size }));
+    }
+    return normalized;
+});
+
+const attachmentNames = (msg) => (msg.attachments || []).map(attachment => attachment.name).join(', ');
+
+function toMarkdown({ sessionId, exportedAt, messages }) {
+    const lines = [
+        '# Geuse conversation',
+        '',
+        `- Session: \`${sessionId}\``,
+        `- Exported: ${exportedAt}`,
+        '',
+        '---'
+    ];
+
+    messages.forEach((msg) => {
+        const time = msg.createdAt ? ` · ${msg.createdAt}` : '';
+        lines.push('', `**${SENDER_LABELS[msg.sender] || msg.sender}**${time}`, '', msg.text);
+        if (msg.attachments) {
+            lines.push('', `_Attachments: ${attachmentNames(msg)}_`);
+        }
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+function toText({ sessionId, exportedAt, messages }) {
+    const lines = [
+        'Geuse conversation',
+        `Session: ${sessionId}`,
+        `Exported: ${exportedAt}`,
+        ''
+    ];
+
+    messages.forEach((msg) => {
+        const time = msg.createdAt ? `[${msg.createdAt}] ` : '';
+        lines.push(`${time}${SENDER_LABELS[msg.sender] || msg.sender}: ${msg.text}`);
+        if (msg.attachments) {
+            lines.push(`  Attachments: ${attachmentNames(msg)}`);
+        }
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Serializes a conversation
+ * @param {Object} conversation - { sessionId, messages }
+ * @param {'markdown'|'json'|'text'} format - Output format
+ * @returns {string} Serialized transcript
+ */
+export function serializeTranscript({ sessionId, messages }, format = 'json') {
+    const transcript = {
+        sessionId,
+        exportedAt: new Date().toISOString(),
+        messages: normalizeMessages(messages)
+    };
+
+    switch (format) {
+        case 'markdown':
+            return toMarkdown(transcript);
+        case 'text':
+            return toText(transcript);
+        case 'json':
+            return JSON.stringify(transcript, null, 2);
+        default:
+            throw new Error(`Unknown transcript format: ${format}`);
+    }
+}
+
+/**
+ * Builds the download filename for a transcript
+ */
+export function getTranscriptFilename(format, date = new Date()) {
+    const { extension } = TRANSCRIPT_FORMATS[format];
+    return `geuse-conversation-${date.toISOString().slice(0, 10)}.${extension}`;
+}
+
+/**
+ * Downloads serialized content as a file
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested filename
+ * @param {string} mimeType - MIME type of the file
+ */
+export function downloadTranscript(content, filename, mimeType) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoke on the next tick so the download has started
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,145 @@
+/**
+ * Voice Dictation Utility
+ * Wraps the Web Speech API recognition interface for dictating into the chat input
+ */
+
+const DEFAULT_OPTIONS = {
+    lang: null,
+    onTranscript: () => {},
+    onStateChange: () => {},
+    onError: () => {}
+};
+
+const ERROR_MESSAGES = {
+    'not-allowed': 'Microphone access is blocked',
+    'service-not-allowed': 'Microphone access is blocked',
+    'audio-capture': 'No microphone found',
+    'no-speech': 'Didn\'t catch that, try again',
+    'network': 'Voice input needs an internet connection',
+    'language-not-supported': 'Voice input isn\'t available in your language'
+};
+
+export function getSpeechRecognition() {
+    if (typeof window === 'undefined') return null;
+    return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+}
+
+export const isDictationSupported = () => Boolean(getSpeechRecognition());
+
+/**
+ * Picks the recognition language from the visitor's browser, falling back to the page language
+ * @returns {string} BCP 47 language tag
+ */
+export function getDictationLocale() {
+    const preferred = (navigator.languages && navigator.languages[0]) || navigator.language;
+    return preferred || document.documentElement.lang || 'en-US';
+}
+
+/**
+ * Maps a SpeechRecognition error code to a readable message
+ * @returns {string|null} Message, or null when the error needs no explanation
+ */
+export function getDictationErrorMessage(code) {
+    if (code === 'aborted') return null;
+    return ERROR_MESSAGES[code] || 'Voice input stopped unexpectedly';
+}
+
+export class VoiceDictation {
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULT_OPTIONS,
+            ...options
+        };
+        this.recognition = null;
+        this.isListening = false;
+        this.baseText = '';
+        this.finalText = '';
+    }
+
+    /**
+     * Start listening, appending dictated text to what is already typed
+     * @param {string} baseText - Current input text
+     * @returns {boolean} Whether recognition started
+     */
+    start(baseText = '') {
+        const Recognition = getSpeechRecognition();
+        if (!Recognition || this.isListening) return false;
+
+        const recognition = new Recognition();
+        recognition.lang = this.options.lang || getDictationLocale();
+        recognition.interimResults = true;
+        recognition.continuous = true;
+        recognition.maxAlternatives = 1;
+
+        this.baseText = baseText.trim();
+        this.finalText = '';
+
+        recognition.onresult = (event) => {
+            let interimText = '';
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                const result = event.results[i];
+                if (result.isFinal) {
+                    this.finalText += result[0].transcript;
+                } else {
+                    interimText += result[0].transcript;
+                }
+            }
+            this.options.onTranscript(this.compose(this.finalText + interimText), interimText === '');
+        };
+
+        recognition.onerror = (event) => {
+            this.options.onError(event.error);
+        };
+
+        recognition.onend = () => {
+            if (this.recognition === recognition) {
+                this.recognition = null;
+                this.setListening(false);
+            }
+        };
+
+        try {
+            recognition.start();
+        } catch (_) {
+            // Already started elsewhere or blocked by the browser
+            return false;
+        }
+
+        this.recognition = recognition;
+        this.setListening(true);
+        return true;
+    }
+
+    /**
+     * Stop listening and keep what was recognized so far
+     */
+    stop() {
+        if (this.recognition) {
+            this.recognition.stop();
+        }
+    }
+
+    /**
+     * Stop listening immediately, discarding pending results
+     */
+    abort() {
+        const recognition = this.recognition;
+        if (!recognition) return;
+
+        this.recognition = null;
+        recognition.abort();
+        this.setListening(false);
+    }
+
+    compose(transcript) {
+        return [this.baseText, transcript.trim()].filter(Boolean).join(' ');
+    }
+
+    setListening(isListening) {
+        if (this.isListening === isListening) return;
+        this.isListening = isListening;
+        this.options.onStateChange(isListening);
+    }
+}
+
+export default VoiceDictation;
@@ -0,0 +1,90 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Webhook retry policy', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.locator('#chat-icon').click();
+    await page.locator('.chat-container.visible').waitFor();
+  });
+
+  test('retries a transient 502 and shows the eventual reply', async ({ page }) => {
+    let sendAttempts = 0;
+    await page.route('**/webhook/**', async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action !== 'sendMessage') {
+        return route.fulfill({ status: 200, body: '' });
+      }
+      sendAttempts++;
+      if (sendAttempts === 1) {
+        return route.fulfill({ status: 502, headers: { 'Retry-After': '0' }, body: 'Bad gateway' });
+      }
+      return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ output: 'Recovered reply' }) });
+    });
+
+    await page.locator('.chat-input').fill('Flaky network');
+    await page.keyboard.press('Enter');
+
+    await expect(page.locator('.message.bot', { hasText: 'Recovered reply' })).toBeVisible();
+    expect(sendAttempts).toBe(2);
+  });
+
+  test('does not retry client errors', async ({ page }) => {
+    let sendAttempts = 0;
+    await page.route('**/webhook/**', async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action !== 'sendMessage') {
+        return route.fulfill({ status: 200, body: '' });
+      }
+      sendAttempts++;
+      return route.fulfill({ status: 404, body: 'Not found' });
+    });
+
+    await page.locator('.chat-input').fill('Missing workflow');
+    await page.keyboard.press('Enter');
+
+    await expect(page.locator('.message.user.failed + .message-meta .message-status')).toContainText('(404)');
+    expect(sendAttempts).toBe(1);
+  });
+
+  test('retries fetch failures but not errors thrown while handling the reply', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { makeApiCall, API_ERROR_TYPES } = await import('/src/utils/apiUtils.js');
+      const policy = { backoffBase: 0, backoffMax: 0 };
+      const realFetch = window.fetch;
+
+      // The network drops once, then the webhook answers
+      let unreachableCalls = 0;
+      window.fetch = async () => {
+        unreachableCalls++;
+        if (unreachableCalls === 1) throw new TypeError('Failed to fetch');
+        return new Response(JSON.stringify({ output: 'Back online' }), { status: 200 });
+      };
+      const recovered = await makeApiCall('/webhook/test', {}, 'sending message', policy);
+
+      // A bug while reading the reply is not a connectivity problem
+      let buggyCalls = 0;
+      window.fetch = async () => {
+        buggyCalls++;
+        return { ok: true, text: async () => JSON.parse('null').output };
+      };
+      const failure = await makeApiCall('/webhook/test', {}, 'sending message', policy).catch(error => error);
+
+      window.fetch = realFetch;
+      return {
+        unreachableCalls,
+        recovered: recovered.output,
+        buggyCalls,
+        failureName: failure.name,
+        isNetworkError: failure.type === API_ERROR_TYPES.NETWORK
+      };
+    });
+
+    expect(result).toEqual({
+      unreachableCalls: 2,
+      recovered: 'Back online',
+      buggyCalls: 1,
+      failureName: 'TypeError',
+      isNetworkError: false
+    });
+  });
+});
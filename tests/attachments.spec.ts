@@ -0,0 +1,129 @@
+import { test, expect } from '@playwright/test';
+
+// 1x1 transparent PNG
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64'
+);
+
+test.describe('Chat attachments', () => {
+  let sent: any[] = [];
+
+  test.beforeEach(async ({ page }) => {
+    sent = [];
+    await page.route('**/webhook/**', async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action !== 'sendMessage') {
+        return route.fulfill({ status: 200, body: '' });
+      }
+      sent.push(body);
+      return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ output: 'Thanks for the files' }) });
+    });
+
+    await page.goto('/');
+    await page.locator('#chat-icon').click();
+    await page.locator('.chat-container.visible').waitFor();
+  });
+
+  test('previews, sends and renders an image attachment', async ({ page }) => {
+    await page.locator('.chat-file-input').setInputFiles({ name: 'mockup.png', mimeType: 'image/png', buffer: PNG });
+
+    const tray = page.locator('.chat-attachments');
+    await expect(tray).toBeVisible();
+    await expect(tray.locator('.chat-attachment-name')).toHaveText('mockup.png');
+    await expect(tray.locator('img.chat-attachment-thumb')).toHaveCount(1);
+
+    await page.locator('.chat-input').fill('Here is the mockup');
+    await page.keyboard.press('Enter');
+
+    await expect(page.locator('.message.bot', { hasText: 'Thanks for the files' })).toBeVisible();
+    await expect(tray).toBeHidden();
+
+    expect(sent[0].chatInput).toBe('Here is the mockup');
+    expect(sent[0].attachments).toEqual([
+      { name: 'mockup.png', type: 'image/png', size: PNG.length, data: PNG.toString('base64') }
+    ]);
+
+    const bubble = page.locator('.message.user').last();
+    await expect(bubble.locator('img.message-attachment-thumb')).toHaveAttribute('alt', 'mockup.png');
+    await expect(bubble).toHaveText('Here is the mockup');
+  });
+
+  test('removes a draft attachment before sending', async ({ page }) => {
+    await page.locator('.chat-file-input').setInputFiles({ name: 'brief.pdf', mimeType: 'application/pdf', buffer: Buffer.from('%PDF-1.4') });
+    await page.getByRole('button', { name: 'Remove brief.pdf' }).click();
+    await expect(page.locator('.chat-attachments')).toBeHidden();
+
+    await page.locator('.chat-input').fill('No files after all');
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.message.bot', { hasText: 'Thanks for the files' })).toBeVisible();
+    expect(sent[0].attachments).toBeUndefined();
+  });
+
+  test('rejects unsupported file types', async ({ page }) => {
+    await page.locator('.chat-file-input').setInputFiles({ name: 'notes.exe', mimeType: 'application/x-msdownload', buffer: Buffer.from('MZ') });
+    await expect(page.locator('.chat-input-notice')).toContainText("notes.exe isn't a supported file type");
+    await expect(page.locator('.chat-attachments')).toBeHidden();
+  });
+
+  test('accepts files dropped onto the chat', async ({ page }) => {
+    const dataTransfer = await page.evaluateHandle(() => {
+      const transfer = new DataTransfer();
+      transfer.items.add(new File(['%PDF-1.4'], 'dropped.pdf', { type: 'application/pdf' }));
+      return transfer;
+    });
+    await page.locator('.chat-container').dispatchEvent('drop', { dataTransfer });
+
+    await expect(page.locator('.chat-attachments .chat-attachment-name')).toHaveText('dropped.pdf');
+  });
+
+  test('re-reads the attached files when a message that failed to encode is retried', async ({ page }) => {
+    // The first read of a file fails, as it does when the file changed on disk after it was picked
+    await page.evaluate(() => {
+      const readAsDataURL = FileReader.prototype.readAsDataURL;
+      let failNext = true;
+      FileReader.prototype.readAsDataURL = function (file) {
+        if (!failNext) return readAsDataURL.call(this, file);
+        failNext = false;
+        setTimeout(() => this.onerror?.(new ProgressEvent('error')));
+      };
+    });
+
+    await page.locator('.chat-file-input').setInputFiles({ name: 'brief.pdf', mimeType: 'application/pdf', buffer: Buffer.from('%PDF-1.4') });
+    await page.locator('.chat-input').fill('Here is the brief');
+    await page.keyboard.press('Enter');
+
+    await expect(page.locator('.message.user.failed + .message-meta .message-status')).toContainText("Couldn't read the attached files");
+    expect(sent).toHaveLength(0);
+
+    await page.locator('.message-retry').click();
+    await expect(page.locator('.message.bot', { hasText: 'Thanks for the files' })).toBeVisible();
+    expect(sent).toHaveLength(1);
+    expect(sent[0].attachments).toEqual([
+      { name: 'brief.pdf', type: 'application/pdf', size: 8, data: Buffer.from('%PDF-1.4').toString('base64') }
+    ]);
+  });
+
+  test('asks for the files again instead of retrying without them after a reload', async ({ page }) => {
+    let rejected = 0;
+    await page.route('**/webhook/**', async (route) => {
+      if (route.request().postDataJSON().action !== 'sendMessage') return route.fallback();
+      rejected++;
+      return route.fulfill({ status: 400, body: 'Bad request' });
+    });
+
+    await page.locator('.chat-file-input').setInputFiles({ name: 'brief.pdf', mimeType: 'application/pdf', buffer: Buffer.from('%PDF-1.4') });
+    await page.locator('.chat-input').fill('Here is the brief');
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.message.user.failed')).toHaveCount(1);
+    await expect(page.locator('.message-retry')).toHaveCount(1);
+    expect(rejected).toBe(1);
+
+    await page.reload();
+    await page.locator('#chat-icon').click();
+
+    await expect(page.locator('.message.user.failed + .message-meta .message-status')).toContainText('Attach the files again to resend');
+    await expect(page.locator('.message-retry')).toHaveCount(0);
+    expect(sent).toHaveLength(0);
+  });
+});
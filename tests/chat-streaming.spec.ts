@@ -0,0 +1,144 @@
+import { test, expect } from '@playwright/test';
+import { handleStreamingResponse, API_ERROR_TYPES } from '../src/utils/apiUtils.js';
+
+const WEBHOOK_PATTERN = '**/webhook/**';
+
+test.describe('Streaming bot responses', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.locator('#chat-icon').click();
+    await page.locator('.chat-container.visible').waitFor();
+  });
+
+  test('renders an n8n chunked reply as a single bot message', async ({ page }) => {
+    await page.route(WEBHOOK_PATTERN, async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action !== 'sendMessage') {
+        return route.fulfill({ status: 200, body: '' });
+      }
+      const chunks = [
+        { type: 'begin' },
+        { type: 'item', content: 'Hello ' },
+        { type: 'item', content: 'from ' },
+        { type: 'item', content: 'n8n' },
+        { type: 'end' }
+      ];
+      await route.fulfill({
+        status: 200,
+        contentType: 'application/json',
+        body: chunks.map(chunk => JSON.stringify(chunk)).join('\n') + '\n'
+      });
+    });
+
+    await page.locator('.chat-input').fill('Stream please');
+    await page.keyboard.press('Enter');
+
+    const reply = page.locator('.message.bot').last();
+    await expect(reply).toHaveText('Hello from n8n');
+    await expect(reply).not.toHaveClass(/streaming/);
+    await expect(reply).not.toHaveAttribute('aria-busy', 'true');
+  });
+
+  test('parses Server-Sent Events tokens', async ({ page }) => {
+    await page.route(WEBHOOK_PATTERN, async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action !== 'sendMessage') {
+        return route.fulfill({ status: 200, body: '' });
+      }
+      await route.fulfill({
+        status: 200,
+        contentType: 'text/event-stream',
+        body: 'data: {"delta":"Server "}\n\ndata: {"delta":"sent"}\n\ndata: [DONE]\n\n'
+      });
+    });
+
+    await page.locator('.chat-input').fill('SSE please');
+    await page.keyboard.press('Enter');
+
+    await expect(page.locator('.message.bot').last()).toHaveText('Server sent');
+  });
+
+  const streamErrorCases = [
+    { name: 'after some tokens', items: ['Half a ', 'reply'] },
+    { name: 'before any token', items: [] }
+  ];
+
+  for (const { name, items } of streamErrorCases) {
+    test(`does not resend the message when the stream reports an error ${name}`, async ({ page }) => {
+      let sendCount = 0;
+      await page.route(WEBHOOK_PATTERN, async (route) => {
+        const body = route.request().postDataJSON();
+        if (body.action !== 'sendMessage') {
+          return route.fulfill({ status: 200, body: '' });
+        }
+        sendCount++;
+        const chunks = [
+          { type: 'begin' },
+          ...items.map(content => ({ type: 'item', content })),
+          { type: 'error', content: 'Agent failed' }
+        ];
+        await route.fulfill({
+          status: 200,
+          contentType: 'application/x-ndjson',
+          body: chunks.map(chunk => JSON.stringify(chunk)).join('\n') + '\n'
+        });
+      });
+
+      await page.locator('.chat-input').fill('Break midway');
+      await page.keyboard.press('Enter');
+
+      await expect(page.locator('.message', { hasText: 'Robot tripped mid-reply' })).toBeVisible();
+      if (items.length) {
+        await expect(page.locator('.message.bot', { hasText: 'Half a reply' })).toHaveCount(1);
+      }
+      // Longer than the retry backoff
+      await page.waitForTimeout(1500);
+      expect(sendCount).toBe(1);
+    });
+  }
+
+  test('falls back to single-shot JSON when the webhook does not stream', async ({ page }) => {
+    await page.route(WEBHOOK_PATTERN, async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action !== 'sendMessage') {
+        return route.fulfill({ status: 200, body: '' });
+      }
+      await route.fulfill({
+        status: 200,
+        contentType: 'application/json',
+        body: JSON.stringify({ output: 'Plain JSON reply' }, null, 2)
+      });
+    });
+
+    await page.locator('.chat-input').fill('No stream');
+    await page.keyboard.press('Enter');
+
+    await expect(page.locator('.message.bot').last()).toHaveText('Plain JSON reply');
+    await expect(page.locator('.chat-send')).toHaveAttribute('aria-label', 'Send message');
+  });
+});
+
+test.describe('Streaming response parsing', () => {
+  const sseResponse = (chunks: string[], { close = true } = {}) => new Response(new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(new TextEncoder().encode(chunk)));
+      if (close) controller.close();
+    }
+  }), { headers: { 'Content-Type': 'text/event-stream' } });
+
+  test('keeps the events that share a chunk with [DONE]', async () => {
+    const tokens: string[] = [];
+    const data = await handleStreamingResponse(sseResponse(['data: x\n\ndata: [DONE]\n\n']), token => tokens.push(token));
+
+    expect(tokens).toEqual(['x']);
+    expect(data).toEqual({ output: 'x', streamed: true });
+  });
+
+  test('times out a stream that stops sending chunks', async () => {
+    const tokens: string[] = [];
+    const stalled = handleStreamingResponse(sseResponse(['data: Half\n\n'], { close: false }), token => tokens.push(token), { idleTimeout: 50 });
+
+    await expect(stalled).rejects.toMatchObject({ type: API_ERROR_TYPES.TIMEOUT, timeout: 50 });
+    expect(tokens).toEqual(['Half']);
+  });
+});
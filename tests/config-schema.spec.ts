@@ -0,0 +1,65 @@
+import { test, expect } from '@playwright/test';
+import { defaults } from '../config.js';
+import { applyEnv, validateConfig, validateSetting, assertValidConfig, mergeConfig } from '../configSchema.js';
+
+test.describe('Configuration schema', () => {
+  test('accepts the defaults for builds and deploys', () => {
+    expect(validateConfig(defaults)).toEqual([]);
+    expect(validateConfig(defaults, { deploy: true })).toEqual([]);
+  });
+
+  test('applies environment variables with their types', () => {
+    const config = applyEnv(defaults, {
+      VITE_WEBHOOK_URL: 'https://staging.example.com/webhook/chat',
+      VITE_REQUEST_RETRIES: '4',
+      GEUSE_SOURCEMAP: 'true',
+      GEUSE_S3_BUCKET: 'staging.geuse.io'
+    });
+
+    expect(config.webhookUrl).toBe('https://staging.example.com/webhook/chat');
+    expect(config.request.retries).toBe(4);
+    expect(config.request.timeout).toBe(defaults.request.timeout);
+    expect(config.build.sourceMap).toBe(true);
+    expect(config.s3).toEqual({ ...defaults.s3, bucket: 'staging.geuse.io' });
+    // The defaults are left untouched
+    expect(defaults.s3.bucket).toBe('www.geuse.io');
+  });
+
+  test('reports every invalid setting with its variable', () => {
+    const config = applyEnv(defaults, {
+      VITE_WEBHOOK_URL: 'n8n.geuse.io/webhook',
+      VITE_REQUEST_TIMEOUT: 'soon',
+      GEUSE_S3_BUCKET: 'My_Bucket'
+    });
+
+    const errors = validateConfig(config);
+    expect(errors).toHaveLength(3);
+    expect(errors[0]).toContain('webhookUrl (VITE_WEBHOOK_URL) must be an http(s) URL');
+    expect(errors[1]).toContain('request.timeout (VITE_REQUEST_TIMEOUT) must be a whole number');
+    expect(errors[2]).toContain('s3.bucket (GEUSE_S3_BUCKET) must be a valid S3 bucket name');
+  });
+
+  test('requires deployment settings only when deploying', () => {
+    const config = applyEnv(defaults, { GEUSE_S3_BUCKET: '' });
+
+    expect(validateConfig(config)).toEqual([]);
+    expect(validateConfig(config, { deploy: true })).toEqual(['s3.bucket (GEUSE_S3_BUCKET) is required']);
+    expect(() => assertValidConfig(config, { deploy: true })).toThrow(/Invalid configuration:\n {2}- s3\.bucket/);
+  });
+
+  test('checks settings that depend on each other', () => {
+    const config = mergeConfig(defaults, { auth: { mode: 'token' }, request: { backoffBase: 10000 } });
+
+    expect(validateConfig(config)).toEqual([
+      'auth.tokenEndpoint (VITE_AUTH_TOKEN_ENDPOINT) is required when auth.mode is "token"',
+      'request.backoffBase must not exceed request.backoffMax'
+    ]);
+  });
+
+  test('validates single values for the update-webhook script', () => {
+    expect(validateSetting('webhookUrl', 'https://n8n.example.com/webhook/abc')).toBeNull();
+    expect(validateSetting('webhookUrl', 'not a url')).toContain('must be an http(s) URL');
+    expect(validateSetting('s3.region', 'us-east-1')).toBeNull();
+    expect(validateSetting('s3.region', 'Virginia')).toContain('AWS region');
+  });
+});
@@ -0,0 +1,125 @@
+import { test, expect } from '@playwright/test';
+
+const STORAGE_KEY = 'geuse-chat-session';
+
+test.describe('Conversation search', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.addInitScript((key) => {
+      const now = Date.now();
+      const texts = [
+        'I need an online store',
+        'Sure! A **Shopify** build starts at $4,000.',
+        'What about a custom price for the app?',
+        'A custom app is quoted at $12,000.',
+        'Thanks, sending the brief',
+        'Set max_tokens to 500 for longer replies',
+        'Budget is   tight\nthis   month'
+      ];
+      const messages = texts.map((text, i) => ({
+        id: `msg-${i}`,
+        text,
+        sender: i % 2 === 0 ? 'user' : 'bot',
+        status: 'sent',
+        createdAt: new Date(now - (texts.length - i) * 1000).toISOString()
+      }));
+      localStorage.setItem(key, JSON.stringify({ sessionId: 'search-session', messages, createdAt: now, lastActiveAt: now }));
+    }, STORAGE_KEY);
+
+    await page.route('**/webhook/**', async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action !== 'sendMessage') {
+        return route.fulfill({ status: 200, body: '' });
+      }
+      return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ output: `Echo: ${body.chatInput}` }) });
+    });
+
+    await page.goto('/');
+    await page.locator('#chat-icon').click();
+    await page.locator('.chat-container.visible').waitFor();
+  });
+
+  test('highlights matches and announces the count', async ({ page }) => {
+    await page.locator('.search-conversation').click();
+    await expect(page.locator('.chat-search-input')).toBeFocused();
+
+    await page.locator('.chat-search-input').fill('price');
+    await expect(page.locator('.chat-search-count')).toHaveText('1 of 1');
+    await expect(page.locator('.chat-search-count')).toHaveAttribute('role', 'status');
+    await expect(page.locator('.message.search-current')).toHaveAttribute('data-message-index', '2');
+    await expect(page.locator('mark.chat-search-mark')).toHaveText(['price']);
+
+    await page.locator('.chat-search-input').fill('nothing like this');
+    await expect(page.locator('.chat-search-count')).toHaveText('No matches');
+    await expect(page.locator('.chat-search-next')).toBeDisabled();
+  });
+
+  test('steps through matches with Enter and Shift+Enter', async ({ page }) => {
+    await page.locator('.search-conversation').click();
+    const input = page.locator('.chat-search-input');
+    await input.fill('$');
+
+    // Starts from the most recent match
+    await expect(page.locator('.chat-search-count')).toHaveText('2 of 2');
+    await expect(page.locator('.message.search-current')).toHaveAttribute('data-message-index', '3');
+
+    await input.press('Enter');
+    await expect(page.locator('.chat-search-count')).toHaveText('1 of 2');
+    await expect(page.locator('.message.search-current')).toHaveAttribute('data-message-index', '1');
+    await expect(page.locator('.message.search-current')).toBeInViewport();
+
+    await input.press('Shift+Enter');
+    await expect(page.locator('.message.search-current')).toHaveAttribute('data-message-index', '3');
+  });
+
+  test('matches text across Markdown formatting', async ({ page }) => {
+    await page.locator('.search-conversation').click();
+    await page.locator('.chat-search-input').fill('shopify build');
+    await expect(page.locator('.chat-search-count')).toHaveText('1 of 1');
+    await expect(page.locator('.message.search-current')).toHaveAttribute('data-message-index', '1');
+    await expect(page.locator('mark.chat-search-mark')).toHaveText(['Shopify', 'build']);
+  });
+
+  test('matches across repeated spaces and line breaks', async ({ page }) => {
+    await page.locator('.search-conversation').click();
+    await page.locator('.chat-search-input').fill('is tight this month');
+    await expect(page.locator('.chat-search-count')).toHaveText('1 of 1');
+
+    const current = page.locator('.message.search-current');
+    await expect(current).toHaveAttribute('data-message-index', '6');
+    await expect(current).toBeInViewport();
+    await expect(current.locator('mark.chat-search-mark').first()).toHaveText(/^is\s+tight/);
+    await expect(current.locator('mark.chat-search-mark').last()).toHaveText(/this\s+month$/);
+  });
+
+  test('keeps underscores inside words in the text and the query', async ({ page }) => {
+    await page.locator('.search-conversation').click();
+    const input = page.locator('.chat-search-input');
+
+    await input.fill('max_tokens');
+    await expect(page.locator('.chat-search-count')).toHaveText('1 of 1');
+    await expect(page.locator('.message.search-current')).toHaveAttribute('data-message-index', '5');
+    await expect(page.locator('mark.chat-search-mark')).toHaveText(['max_tokens']);
+
+    // Emphasis typed into the query is read the way the bubble shows it
+    await input.fill('**Shopify** build');
+    await expect(page.locator('.chat-search-count')).toHaveText('1 of 1');
+    await expect(page.locator('.message.search-current')).toHaveAttribute('data-message-index', '1');
+  });
+
+  test('opens with Ctrl+F and closes with Escape without closing the chat', async ({ page }) => {
+    await page.locator('.chat-input').focus();
+    await page.keyboard.press('Control+f');
+    await expect(page.locator('.chat-search')).toBeVisible();
+    await expect(page.locator('.search-conversation')).toHaveAttribute('aria-expanded', 'true');
+
+    await page.keyboard.type('custom');
+    await expect(page.locator('.chat-search-count')).toHaveText('2 of 2');
+
+    await page.keyboard.press('Escape');
+    await expect(page.locator('.chat-search')).toBeHidden();
+    await expect(page.locator('.chat-container')).toHaveClass(/visible/);
+    await expect(page.locator('mark.chat-search-mark')).toHaveCount(0);
+    await expect(page.locator('.message[data-message-index="3"]')).toBeFocused();
+    await expect(page.locator('.message[data-message-index="3"]')).toHaveText('A custom app is quoted at $12,000.');
+  });
+});
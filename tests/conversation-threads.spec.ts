@@ -0,0 +1,183 @@
+import { test, expect } from '@playwright/test';
+
+const STORAGE_KEY = 'geuse-chat-session';
+
+test.describe('Conversation threads', () => {
+  let requests: { sessionId: string; chatInput: string }[] = [];
+
+  test.beforeEach(async ({ page }) => {
+    requests = [];
+    await page.route('**/webhook/**', async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action !== 'sendMessage') {
+        return route.fulfill({ status: 200, body: '' });
+      }
+      requests.push({ sessionId: body.sessionId, chatInput: body.chatInput });
+      return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ output: `Echo: ${body.chatInput}` }) });
+    });
+
+    await page.goto('/');
+    await page.locator('#chat-icon').click();
+    await page.locator('.chat-container.visible').waitFor();
+  });
+
+  const send = async (page, text: string) => {
+    await page.locator('.chat-input').fill(text);
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.message.bot', { hasText: `Echo: ${text}` })).toBeVisible();
+  };
+
+  test('keeps a single thread until the visitor starts another', async ({ page }) => {
+    await send(page, 'Only topic');
+    await page.locator('.thread-switcher').click();
+
+    const threads = page.locator('.chat-thread');
+    await expect(threads).toHaveCount(1);
+    await expect(threads.first()).toHaveClass(/active/);
+    await expect(threads.first().locator('.chat-thread-title')).toHaveText('Only topic');
+  });
+
+  test('creates and switches threads, each with its own session id', async ({ page }) => {
+    await send(page, 'Shop project');
+
+    await page.locator('.thread-switcher').click();
+    await page.locator('.chat-threads-new').click();
+    await expect(page.locator('.message.user')).toHaveCount(0);
+    await send(page, 'Game project');
+
+    expect(requests[0].sessionId).not.toBe(requests[1].sessionId);
+
+    await page.locator('.thread-switcher').click();
+    await expect(page.locator('.chat-thread')).toHaveCount(2);
+    await page.locator('.chat-thread', { hasText: 'Shop project' }).locator('.chat-thread-select').click();
+
+    await expect(page.locator('.message.user')).toHaveText(['Shop project']);
+    await send(page, 'Add a cart');
+    expect(requests[2].sessionId).toBe(requests[0].sessionId);
+
+    await page.reload();
+    await page.locator('#chat-icon').click();
+    await expect(page.locator('.message.user', { hasText: 'Add a cart' })).toBeVisible();
+    await page.locator('.thread-switcher').click();
+    await expect(page.locator('.chat-thread')).toHaveCount(2);
+  });
+
+  test('renames and deletes threads', async ({ page }) => {
+    await send(page, 'First idea');
+    await page.getByRole('button', { name: /start new conversation/i }).click();
+    await send(page, 'Second idea');
+
+    await page.locator('.thread-switcher').click();
+    const first = page.locator('.chat-thread', { hasText: 'First idea' });
+    await first.locator('.chat-thread-rename').click();
+    await page.locator('.chat-thread-title-input').fill('Marketplace');
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.chat-thread', { hasText: 'Marketplace' })).toHaveCount(1);
+
+    await page.locator('.chat-thread', { hasText: 'Marketplace' }).locator('.chat-thread-delete').click();
+    await expect(page.locator('.chat-thread')).toHaveCount(1);
+    const stored = await page.evaluate((key) => JSON.parse(localStorage.getItem(`${key}-threads`) || '{"threads":[]}').threads, STORAGE_KEY);
+    expect(stored).toEqual([]);
+
+    // Deleting the current thread falls back to a fresh conversation
+    await page.locator('.chat-thread.active .chat-thread-delete').click();
+    await expect(page.locator('.message.user')).toHaveCount(0);
+    await expect(page.locator('.chat-thread.active .chat-thread-title')).toHaveText('New conversation');
+  });
+
+  // Writes a session from a second tab, which fires a storage event in the first
+  const writeFromOtherTab = async (page, session) => {
+    const otherTab = await page.context().newPage();
+    await otherTab.goto('/');
+    await otherTab.evaluate(({ key, value }) => localStorage.setItem(key, JSON.stringify(value)), { key: STORAGE_KEY, value: session });
+    await otherTab.close();
+  };
+
+  const otherTabSession = () => ({
+    sessionId: 'other-tab-session',
+    createdAt: Date.now(),
+    lastActiveAt: Date.now(),
+    messages: [
+      { id: 'other-1', text: 'Typed in the other tab', sender: 'user', createdAt: new Date().toISOString(), status: 'sending' }
+    ]
+  });
+
+  test('restores messages adopted from another tab', async ({ page }) => {
+    await writeFromOtherTab(page, otherTabSession());
+
+    const adopted = page.locator('.message.user', { hasText: 'Typed in the other tab' });
+    await expect(adopted).toBeVisible();
+    // Its reply belongs to the other tab, so here it can be retried instead of showing "Sending…" for ever
+    await expect(adopted.locator('.message-status')).toContainText('Not sent');
+    await expect(adopted.locator('.message-retry')).toBeVisible();
+  });
+
+  test('applies another tab\'s change once the reply in flight arrives', async ({ page }) => {
+    let releaseReply = () => {};
+    await page.route('**/webhook/**', async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action !== 'sendMessage') {
+        return route.fulfill({ status: 200, body: '' });
+      }
+      await new Promise<void>(resolve => { releaseReply = resolve; });
+      return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ output: `Echo: ${body.chatInput}` }) });
+    });
+
+    await page.locator('.chat-input').fill('Slow topic');
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.chat-send')).toBeDisabled();
+
+    await writeFromOtherTab(page, otherTabSession());
+    // Held back while the reply is in flight
+    await expect(page.locator('.message.user', { hasText: 'Slow topic' })).toBeVisible();
+
+    releaseReply();
+    await expect(page.locator('.message.user', { hasText: 'Typed in the other tab' })).toBeVisible();
+    await expect(page.locator('.message.user', { hasText: 'Slow topic' })).toHaveCount(0);
+
+    // The interrupted conversation, with its reply, is kept in the thread list
+    await page.locator('.thread-switcher').click();
+    await page.locator('.chat-thread', { hasText: 'Slow topic' }).locator('.chat-thread-select').click();
+    await expect(page.locator('.message.bot', { hasText: 'Echo: Slow topic' })).toBeVisible();
+  });
+
+  test('finishes a reply in flight into its own thread after a switch', async ({ page }) => {
+    let releaseReply = () => {};
+    await page.route('**/webhook/**', async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action !== 'sendMessage') {
+        return route.fulfill({ status: 200, body: '' });
+      }
+      requests.push({ sessionId: body.sessionId, chatInput: body.chatInput });
+      await new Promise<void>(resolve => { releaseReply = resolve; });
+      return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ output: `Echo: ${body.chatInput}` }) });
+    });
+
+    await page.locator('.chat-input').fill('Slow topic');
+    await page.keyboard.press('Enter');
+    await expect.poll(() => requests.length).toBe(1);
+
+    await page.locator('.thread-switcher').click();
+    await page.locator('.chat-threads-new').click();
+    await expect(page.locator('.message.user')).toHaveCount(0);
+
+    releaseReply();
+    await expect(page.locator('.chat-input')).toBeEnabled();
+    await expect(page.locator('.message.bot', { hasText: 'Echo: Slow topic' })).toHaveCount(0);
+
+    await page.locator('.thread-switcher').click();
+    await page.locator('.chat-thread', { hasText: 'Slow topic' }).locator('.chat-thread-select').click();
+    await expect(page.locator('.message.bot', { hasText: 'Echo: Slow topic' })).toBeVisible();
+    await expect(page.locator('.message.user + .message-meta .message-status')).toHaveText('Sent');
+    await expect(page.locator('.message-retry')).toHaveCount(0);
+    expect(requests).toHaveLength(1);
+  });
+
+  test('closes the switcher with Escape without closing the chat', async ({ page }) => {
+    await page.locator('.thread-switcher').click();
+    await expect(page.locator('.chat-threads')).toBeVisible();
+    await page.keyboard.press('Escape');
+    await expect(page.locator('.chat-threads')).toBeHidden();
+    await expect(page.locator('.chat-container.visible')).toBeVisible();
+  });
+});
@@ -0,0 +1,108 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Embed API', () => {
+  let requests: any[] = [];
+
+  test.beforeEach(async ({ page }) => {
+    requests = [];
+    await page.route('**/webhook/**', async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action !== 'sendMessage') {
+        return route.fulfill({ status: 200, body: '' });
+      }
+      requests.push(body);
+      return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ output: `Echo: ${body.chatInput}` }) });
+    });
+  });
+
+  test('opens, closes and reports visibility without the chat icon', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => typeof (window as any).Geuse?.open === 'function');
+
+    await page.evaluate(() => {
+      (window as any).visibility = [];
+      (window as any).Geuse.on('visibility-change', ({ open }) => (window as any).visibility.push(open));
+    });
+
+    expect(await page.evaluate(() => (window as any).Geuse.isOpen())).toBe(false);
+    await page.evaluate(() => (window as any).Geuse.open());
+    await expect(page.locator('.chat-container.visible')).toBeVisible();
+    expect(await page.evaluate(() => (window as any).Geuse.isOpen())).toBe(true);
+
+    await page.evaluate(() => (window as any).Geuse.close());
+    await expect(page.locator('.chat-container')).not.toHaveClass(/visible/);
+    expect(await page.evaluate(() => (window as any).visibility)).toEqual([true, false]);
+  });
+
+  test('sends messages with page context and emits message events', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => typeof (window as any).Geuse?.send === 'function');
+
+    await page.evaluate(() => {
+      const geuse = (window as any).Geuse;
+      (window as any).events = [];
+      geuse.on('message-sent', message => (window as any).events.push(['sent', message.text]));
+      geuse.on('message-received', message => (window as any).events.push(['received', message.text]));
+      geuse.setContext({ page: 'pricing', plan: 'pro' });
+      return geuse.send('Build a data dashboard');
+    });
+
+    await expect(page.locator('.message.bot', { hasText: 'Echo: Build a data dashboard' })).toBeVisible();
+    expect(requests[0].metadata).toEqual({ page: 'pricing', plan: 'pro' });
+    expect(await page.evaluate(() => (window as any).events)).toEqual([
+      ['sent', 'Build a data dashboard'],
+      ['received', 'Echo: Build a data dashboard']
+    ]);
+  });
+
+  test('prefills the input without sending', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => typeof (window as any).Geuse?.prefill === 'function');
+
+    await page.evaluate(() => (window as any).Geuse.prefill('I need a booking system'));
+    await expect(page.locator('.chat-input')).toHaveValue('I need a booking system');
+    await expect(page.locator('.message.user')).toHaveCount(0);
+    expect(requests).toHaveLength(0);
+  });
+
+  test('replays calls queued before the app loaded', async ({ page }) => {
+    await page.addInitScript(() => {
+      (window as any).Geuse = [['setContext', { page: 'landing' }], ['prefill', 'Queued draft']];
+      window.addEventListener('geuse:ready', () => { (window as any).readyFired = true; });
+    });
+    await page.goto('/');
+
+    await expect(page.locator('.chat-input')).toHaveValue('Queued draft');
+    expect(await page.evaluate(() => (window as any).readyFired)).toBe(true);
+    expect(await page.evaluate(() => (window as any).Geuse.getContext())).toEqual({ page: 'landing' });
+  });
+
+  test('validates arguments and exposes safe scene controls', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => typeof (window as any).Geuse?.scene === 'object');
+
+    const errors = await page.evaluate(() => {
+      const geuse = (window as any).Geuse;
+      const attempt = (fn) => { try { fn(); return null; } catch (error) { return error.message; } };
+      return [
+        attempt(() => geuse.on('nope', () => {})),
+        attempt(() => geuse.setContext('pricing')),
+        attempt(() => geuse.scene.setFormation('teapot'))
+      ];
+    });
+    expect(errors[0]).toContain('Unknown Geuse event');
+    expect(errors[1]).toContain('plain object');
+    expect(errors[2]).toContain('Unknown formation');
+
+    const formations = await page.evaluate(() => (window as any).Geuse.scene.getFormations());
+    expect(formations).toContain('sphere');
+
+    await page.evaluate(() => {
+      const geuse = (window as any).Geuse;
+      geuse.scene.setAutoCycle(false);
+      geuse.scene.setFormation('sphere');
+    });
+    await expect.poll(() => page.evaluate(() => (window as any).Geuse.scene.getFormation())).toBe('sphere');
+    expect(await page.evaluate(() => Object.isFrozen((window as any).Geuse))).toBe(true);
+  });
+});
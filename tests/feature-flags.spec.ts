@@ -0,0 +1,79 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Feature flags', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.route('**/webhook/**', async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action !== 'sendMessage') {
+        return route.fulfill({ status: 200, body: '' });
+      }
+      return route.fulfill({
+        status: 200,
+        contentType: 'application/json',
+        body: JSON.stringify({ output: `Echo: ${body.chatInput}`, suggestions: ['Tell me more'] })
+      });
+    });
+  });
+
+  const openChat = async (page) => {
+    await page.locator('#chat-icon').click();
+    await page.locator('.chat-container.visible').waitFor();
+    await expect(page.locator('.message.bot').first()).toBeVisible();
+  };
+
+  test('shows suggestion chips by default', async ({ page }) => {
+    await page.goto('/');
+    await openChat(page);
+    await expect(page.locator('.chat-suggestions')).toBeVisible();
+  });
+
+  test('hides suggestion chips when the manifest turns them off', async ({ page }) => {
+    await page.route('**/flags.json', route => route.fulfill({
+      status: 200,
+      contentType: 'application/json',
+      body: JSON.stringify({ suggestions: false })
+    }));
+    await page.goto('/');
+    await openChat(page);
+
+    await page.locator('.chat-input').fill('Hello');
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.message.bot', { hasText: 'Echo: Hello' })).toBeVisible();
+    await expect(page.locator('.chat-suggestions')).toBeHidden();
+  });
+
+  test('URL overrides win over the manifest', async ({ page }) => {
+    await page.route('**/flags.json', route => route.fulfill({
+      status: 200,
+      contentType: 'application/json',
+      body: JSON.stringify({ suggestions: false })
+    }));
+    await page.goto('/?flags=suggestions:on');
+    await openChat(page);
+    await expect(page.locator('.chat-suggestions')).toBeVisible();
+  });
+
+  test('falls back to the defaults without a manifest', async ({ page }) => {
+    await page.route('**/flags.json', route => route.fulfill({ status: 404, body: 'Not found' }));
+    await page.goto('/');
+    await openChat(page);
+    await expect(page.locator('.chat-suggestions')).toBeVisible();
+  });
+
+  test('turns off scene cycling with the Space key', async ({ page }) => {
+    const countSceneChanges = async (url: string) => {
+      await page.goto(url);
+      await page.waitForFunction(() => typeof (window as any).Geuse?.scene === 'object');
+      await page.evaluate(() => {
+        (window as any).sceneChanges = 0;
+        window.addEventListener('interaction:scenechange', () => { (window as any).sceneChanges++; });
+      });
+      await page.keyboard.press('Space');
+      await page.waitForTimeout(200);
+      return page.evaluate(() => (window as any).sceneChanges);
+    };
+
+    expect(await countSceneChanges('/')).toBe(1);
+    expect(await countSceneChanges('/?flags=sceneCycling:off')).toBe(0);
+  });
+});
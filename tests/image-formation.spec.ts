@@ -0,0 +1,91 @@
+import { test, expect } from '@playwright/test';
+import { createImageGenerator } from '../src/utils/sceneGenerators.js';
+
+// 4x2 picture: black left half, yellow right half, with the bottom-left pixel transparent
+const createImageData = () => {
+  const width = 4;
+  const height = 2;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const bright = x >= 2 ? 255 : 0;
+      data.set([bright, bright, 0, x === 0 && y === 1 ? 0 : 255], i);
+    }
+  }
+  return { data, width, height };
+};
+
+const axis = (values: number[], offset: number) => values.filter((_, i) => i % 3 === offset);
+
+test.describe('Image formations', () => {
+  test('places particles on bright pixels and brings them forward', () => {
+    const positions = createImageGenerator(createImageData(), { width: 400, depth: 600 })(200, { seed: 1 }) as number[];
+
+    expect(positions).toHaveLength(600);
+    // Only the yellow right half has any luminance
+    expect(Math.min(...axis(positions, 0))).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...axis(positions, 0))).toBeLessThanOrEqual(200);
+    for (const z of axis(positions, 2)) {
+      expect(z).toBeGreaterThan(0);
+    }
+  });
+
+  test('weights by alpha or inverted luminance on request', () => {
+    const byAlpha = createImageGenerator(createImageData(), { weight: 'alpha', width: 400 })(700) as number[];
+    const leftCount = axis(byAlpha, 0).filter(x => x < 0).length;
+    // 3 of the 7 opaque pixels are on the left
+    expect(leftCount).toBe(300);
+
+    const inverted = createImageGenerator(createImageData(), { invert: true, width: 400 })(100) as number[];
+    expect(axis(inverted, 0).filter(x => x < 0).length).toBeGreaterThan(80);
+  });
+
+  test('returns pixel colors for tinting', () => {
+    const { positions, colors } = createImageGenerator(createImageData(), { tint: true })(10, { seed: 3 }) as any;
+
+    expect(positions).toHaveLength(30);
+    expect(colors).toHaveLength(30);
+    expect(colors.slice(0, 3)).toEqual([255, 255, 0]);
+  });
+
+  test('is deterministic for a seed', () => {
+    const generate = createImageGenerator(createImageData());
+    expect(generate(64, { seed: 9 })).toEqual(generate(64, { seed: 9 }));
+    expect(generate(64, { seed: 9 })).not.toEqual(generate(64, { seed: 10 }));
+  });
+
+  test('rejects images without usable pixels', () => {
+    const blank = { data: new Uint8ClampedArray(16), width: 2, height: 2 };
+    expect(() => createImageGenerator(blank)).toThrow(/no pixels to place particles on/);
+    expect(() => createImageGenerator(createImageData(), { weight: 'hue' as any })).toThrow(/Unknown image weighting/);
+  });
+
+  test('adds an uploaded picture to the formations through the embed API', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => typeof (window as any).Geuse?.scene === 'object');
+
+    await page.evaluate(async () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 64;
+      canvas.height = 64;
+      const context = canvas.getContext('2d')!;
+      context.fillStyle = '#ff3366';
+      context.beginPath();
+      context.arc(32, 32, 24, 0, Math.PI * 2);
+      context.fill();
+      const blob = await new Promise<Blob>(resolve => canvas.toBlob(resolve as BlobCallback));
+
+      const geuse = (window as any).Geuse;
+      geuse.scene.setAutoCycle(false);
+      await geuse.scene.addImageFormation('portrait', blob, { weight: 'alpha', tint: true, displayName: 'Portrait' });
+      geuse.scene.setFormation('portrait');
+    });
+
+    expect(await page.evaluate(() => (window as any).Geuse.scene.getFormations())).toContain('portrait');
+    await expect.poll(() => page.evaluate(() => (window as any).Geuse.scene.getFormation())).toBe('portrait');
+
+    const duplicate = await page.evaluate(() => (window as any).Geuse.scene.addImageFormation('portrait', 'x.png').catch((error: Error) => error.message));
+    expect(duplicate).toContain('already exists');
+  });
+});
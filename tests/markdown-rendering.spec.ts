@@ -0,0 +1,64 @@
+import { test, expect } from '@playwright/test';
+
+const replyWith = (output: string) => async (route) => {
+  const body = route.request().postDataJSON();
+  if (body.action !== 'sendMessage') {
+    return route.fulfill({ status: 200, body: '' });
+  }
+  return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ output }) });
+};
+
+test.describe('Markdown rendering for bot messages', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.locator('#chat-icon').click();
+    await page.locator('.chat-container.visible').waitFor();
+  });
+
+  test('renders lists, emphasis, code and safe links', async ({ page }) => {
+    await page.route('**/webhook/**', replyWith(
+      '## Plan\n- **Design** the *flow*\n- Ship `v1`\n\n```js\nconsole.log("hi");\n```\nDocs: https://geuse.io/docs'
+    ));
+
+    await page.locator('.chat-input').fill('Give me a plan');
+    await page.keyboard.press('Enter');
+
+    const reply = page.locator('.message.bot').last();
+    await expect(reply.locator('h4')).toHaveText('Plan');
+    await expect(reply.locator('li')).toHaveCount(2);
+    await expect(reply.locator('strong')).toHaveText('Design');
+    await expect(reply.locator('em')).toHaveText('flow');
+    await expect(reply.locator('pre code')).toHaveText('console.log("hi");');
+    await expect(reply.locator('.code-copy')).toBeVisible();
+
+    const link = reply.locator('a');
+    await expect(link).toHaveAttribute('href', 'https://geuse.io/docs');
+    await expect(link).toHaveAttribute('rel', /noopener/);
+    await expect(link).toHaveAttribute('target', '_blank');
+  });
+
+  test('never interprets HTML or unsafe link protocols', async ({ page }) => {
+    await page.route('**/webhook/**', replyWith(
+      '<img src=x onerror="window.__xss=1"> [click](javascript:window.__xss=1) <script>window.__xss=1</script>'
+    ));
+
+    await page.locator('.chat-input').fill('Try something');
+    await page.keyboard.press('Enter');
+
+    const reply = page.locator('.message.bot').last();
+    await expect(reply).toContainText('<img src=x');
+    await expect(reply.locator('img, script, a')).toHaveCount(0);
+    expect(await page.evaluate(() => (window as any).__xss)).toBeUndefined();
+  });
+
+  test('keeps user messages as plain text', async ({ page }) => {
+    await page.route('**/webhook/**', replyWith('ok'));
+
+    await page.locator('.chat-input').fill('**not bold** `not code`');
+    await page.keyboard.press('Enter');
+
+    const userMessage = page.locator('.message.user').last();
+    await expect(userMessage).toHaveText('**not bold** `not code`');
+    await expect(userMessage.locator('strong, code')).toHaveCount(0);
+  });
+});
@@ -0,0 +1,82 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Message delivery states', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.locator('#chat-icon').click();
+    await page.locator('.chat-container.visible').waitFor();
+  });
+
+  test('marks a delivered message as sent with its time', async ({ page }) => {
+    await page.route('**/webhook/**', async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action !== 'sendMessage') {
+        return route.fulfill({ status: 200, body: '' });
+      }
+      return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ output: 'Got it' }) });
+    });
+
+    await page.locator('.chat-input').fill('Hello there');
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.message.bot', { hasText: 'Got it' })).toBeVisible();
+
+    const bubble = page.locator('.message.user').last();
+    await expect(bubble).toHaveText('Hello there');
+    const meta = page.locator('.message.user + .message-meta').last();
+    await expect(meta.locator('.message-status')).toHaveText('Sent');
+    await expect(meta.locator('time.message-time')).toHaveAttribute('datetime', /\d{4}-\d{2}-\d{2}T/);
+    await expect(bubble).toHaveAttribute('aria-describedby', await meta.getAttribute('id') as string);
+  });
+
+  test('retries a failed message in place without duplicating the bubble', async ({ page }) => {
+    let attempts = 0;
+    await page.route('**/webhook/**', async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action !== 'sendMessage') {
+        return route.fulfill({ status: 200, body: '' });
+      }
+      attempts++;
+      if (attempts === 1) {
+        return route.fulfill({ status: 400, body: 'Bad request' });
+      }
+      return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ output: `Retried: ${body.chatInput}` }) });
+    });
+
+    await page.locator('.chat-input').fill('Please work');
+    await page.keyboard.press('Enter');
+
+    const failed = page.locator('.message.user.failed');
+    await expect(failed).toHaveText('Please work');
+    await expect(page.locator('.message-meta .message-status')).toContainText('Not sent');
+    await expect(page.locator('.message.bot', { hasText: 'hiccup' })).toHaveCount(0);
+
+    await page.locator('.message-retry').click();
+
+    await expect(page.locator('.message.bot', { hasText: 'Retried: Please work' })).toBeVisible();
+    await expect(page.locator('.message.user', { hasText: 'Please work' })).toHaveCount(1);
+    await expect(page.locator('.message.user.failed')).toHaveCount(0);
+    await expect(page.locator('.message-retry')).toHaveCount(0);
+    expect(attempts).toBe(2);
+  });
+
+  test('keeps failed messages retryable after a reload', async ({ page }) => {
+    await page.route('**/webhook/**', async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action !== 'sendMessage') {
+        return route.fulfill({ status: 200, body: '' });
+      }
+      return route.fulfill({ status: 404, body: 'Not found' });
+    });
+
+    await page.locator('.chat-input').fill('Still here?');
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.message.user.failed')).toBeVisible();
+
+    await page.reload();
+    await page.locator('#chat-icon').click();
+    await page.locator('.chat-container.visible').waitFor();
+
+    await expect(page.locator('.message.user.failed')).toHaveText('Still here?');
+    await expect(page.locator('.message-retry')).toBeVisible();
+  });
+});
@@ -0,0 +1,71 @@
+import { test, expect } from '@playwright/test';
+
+// These specs talk to the mock n8n server started by playwright.config.ts (scripts/mock-n8n.js)
+test.describe('Mock n8n webhook', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.locator('#chat-icon').click();
+    await page.locator('.chat-container.visible').waitFor();
+  });
+
+  const send = async (page, text: string) => {
+    await page.locator('.chat-input').fill(text);
+    await page.keyboard.press('Enter');
+  };
+
+  const failedStatus = (page) => page.locator('.message.user.failed + .message-meta .message-status');
+
+  test('echoes messages', async ({ page }) => {
+    await send(page, 'Hello mock');
+    await expect(page.locator('.message.bot', { hasText: 'Echo: Hello mock' })).toBeVisible();
+  });
+
+  test('streams n8n chunks and SSE tokens', async ({ page }) => {
+    await send(page, 'Stream this #mock:stream');
+    await expect(page.locator('.message.bot', { hasText: 'Echo: Stream this' })).toBeVisible();
+
+    await send(page, 'Now as events #mock:sse');
+    await expect(page.locator('.message.bot', { hasText: 'Echo: Now as events' })).toBeVisible();
+  });
+
+  test('returns server suggestions', async ({ page }) => {
+    await send(page, 'Any ideas? #mock:suggestions');
+    await expect(page.locator('.chat-suggestions')).toContainText('What does it cost?');
+  });
+
+  test('recovers from a flaky attempt', async ({ page }) => {
+    await send(page, 'Try twice #mock:flaky=1');
+    await expect(page.locator('.message.bot', { hasText: 'Echo: Try twice' })).toBeVisible();
+  });
+
+  test('reports HTTP errors after retrying', async ({ page }) => {
+    await send(page, 'Broken workflow #mock:status=503');
+    await expect(failedStatus(page)).toContainText('(503)', { timeout: 15_000 });
+  });
+
+  test('reports empty bodies', async ({ page }) => {
+    await send(page, 'Say nothing #mock:empty');
+    await expect(failedStatus(page)).toContainText('Empty reply');
+  });
+
+  test('reports malformed JSON', async ({ page }) => {
+    await send(page, 'Say gibberish #mock:malformed');
+    await expect(failedStatus(page)).toContainText('gibberish');
+  });
+
+  test('restores the conversation from n8n memory', async ({ page }) => {
+    await send(page, 'Remember me');
+    await expect(page.locator('.message.bot', { hasText: 'Echo: Remember me' })).toBeVisible();
+
+    // Drop the local transcript but keep the session id, so history can only come from the server
+    await page.evaluate(() => {
+      const record = JSON.parse(localStorage.getItem('geuse-chat-session')!);
+      localStorage.setItem('geuse-chat-session', JSON.stringify({ ...record, messages: [] }));
+    });
+    await page.reload();
+    await page.locator('#chat-icon').click();
+
+    await expect(page.locator('.message.user', { hasText: 'Remember me' })).toBeVisible();
+    await expect(page.locator('.message.bot', { hasText: 'Echo: Remember me' })).toBeVisible();
+  });
+});
@@ -0,0 +1,73 @@
+import { test, expect } from '@playwright/test';
+
+// Block the service worker so the page-level `online` fallback performs the replay
+test.use({ serviceWorkers: 'block' });
+
+test.describe('Offline message queue', () => {
+  test('queues messages while offline and replays them in order when back online', async ({ page, context }) => {
+    const delivered: string[] = [];
+    await page.route('**/webhook/**', async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action !== 'sendMessage') {
+        return route.fulfill({ status: 200, body: '' });
+      }
+      delivered.push(body.chatInput);
+      return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ output: `Got ${body.chatInput}` }) });
+    });
+
+    await page.goto('/');
+    await page.locator('#chat-icon').click();
+    await page.locator('.chat-container.visible').waitFor();
+
+    await context.setOffline(true);
+
+    const input = page.locator('.chat-input');
+    await input.fill('First offline');
+    await page.keyboard.press('Enter');
+    await input.fill('Second offline');
+    await page.keyboard.press('Enter');
+
+    await expect(page.locator('.message.user.queued')).toHaveCount(2);
+    await expect(page.locator('.message.user.queued + .message-meta .message-status').first()).toContainText('Queued');
+    expect(delivered).toEqual([]);
+
+    await context.setOffline(false);
+
+    await expect(page.locator('.message.bot', { hasText: 'Got Second offline' })).toBeVisible();
+    await expect(page.locator('.message.user.queued')).toHaveCount(0);
+    expect(delivered).toEqual(['First offline', 'Second offline']);
+  });
+
+  test('delivers a queued reply to its thread after the visitor starts another', async ({ page, context }) => {
+    await page.route('**/webhook/**', async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action !== 'sendMessage') {
+        return route.fulfill({ status: 200, body: '' });
+      }
+      return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ output: `Got ${body.chatInput}` }) });
+    });
+
+    await page.goto('/');
+    await page.locator('#chat-icon').click();
+    await page.locator('.chat-container.visible').waitFor();
+
+    await context.setOffline(true);
+    await page.locator('.chat-input').fill('Sent from the train');
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.message.user.queued')).toHaveCount(1);
+
+    await page.locator('.thread-switcher').click();
+    await page.locator('.chat-threads-new').click();
+    await expect(page.locator('.message.user')).toHaveCount(0);
+
+    await context.setOffline(false);
+    await expect.poll(() => page.evaluate(() => localStorage.getItem('geuse-chat-session-threads') || ''))
+      .toContain('Got Sent from the train');
+    await expect(page.locator('.message.bot', { hasText: 'Got Sent from the train' })).toHaveCount(0);
+
+    await page.locator('.thread-switcher').click();
+    await page.locator('.chat-thread', { hasText: 'Sent from the train' }).locator('.chat-thread-select').click();
+    await expect(page.locator('.message.bot', { hasText: 'Got Sent from the train' })).toBeVisible();
+    await expect(page.locator('.message.user.queued')).toHaveCount(0);
+  });
+});
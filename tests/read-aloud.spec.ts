@@ -0,0 +1,85 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Read-aloud', () => {
+  test.beforeEach(async ({ page }) => {
+    // Record speech instead of producing audio
+    await page.addInitScript(() => {
+      const log: string[] = [];
+      const queue: SpeechSynthesisUtterance[] = [];
+      (window as any).__speech = { log, queue };
+      Object.defineProperty(window, 'speechSynthesis', {
+        configurable: true,
+        value: {
+          speak: (utterance: SpeechSynthesisUtterance) => {
+            queue.push(utterance);
+            log.push(`speak:${utterance.text}`);
+          },
+          cancel: () => {
+            queue.length = 0;
+            log.push('cancel');
+          },
+          pause: () => log.push('pause'),
+          resume: () => log.push('resume')
+        }
+      });
+    });
+
+    await page.route('**/webhook/**', async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action !== 'sendMessage') {
+        return route.fulfill({ status: 200, body: '' });
+      }
+      return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ output: 'We can **build** that. 🚀' }) });
+    });
+
+    await page.goto('/');
+    await page.locator('#chat-icon').click();
+    await page.locator('.chat-container.visible').waitFor();
+  });
+
+  const speechLog = (page) => page.evaluate(() => (window as any).__speech.log);
+
+  test('reads new replies when the mode is on and remembers the choice', async ({ page }) => {
+    const toggle = page.locator('.read-aloud');
+    await expect(toggle).toHaveAttribute('aria-pressed', 'false');
+    await toggle.click();
+    await expect(toggle).toHaveAttribute('aria-pressed', 'true');
+
+    await page.locator('.chat-input').fill('Can you build a store?');
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.message.bot', { hasText: 'We can build that' })).toBeVisible();
+
+    await expect.poll(() => speechLog(page)).toContain('speak:We can build that.');
+    await expect(page.locator('.message-speak[data-state="speaking"]')).toHaveText('Stop');
+
+    await page.reload();
+    await page.locator('#chat-icon').click();
+    await expect(page.locator('.read-aloud')).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  test('plays and stops a single message on demand', async ({ page }) => {
+    const greetingControl = page.locator('.message.bot + .message-meta .message-speak').first();
+    await expect(greetingControl).toHaveText('Listen');
+
+    await greetingControl.click();
+    await expect(greetingControl).toHaveAttribute('data-state', 'speaking');
+    expect((await speechLog(page)).some((entry: string) => entry.startsWith('speak:Hi!'))).toBe(true);
+
+    await greetingControl.click();
+    await expect(greetingControl).toHaveAttribute('data-state', 'idle');
+    expect(await speechLog(page)).toContain('cancel');
+  });
+
+  test('pauses reading when the user starts typing', async ({ page }) => {
+    const greetingControl = page.locator('.message.bot + .message-meta .message-speak').first();
+    await greetingControl.click();
+
+    await page.locator('.chat-input').pressSequentially('Wait');
+    await expect(greetingControl).toHaveAttribute('data-state', 'paused');
+    expect(await speechLog(page)).toContain('pause');
+
+    await greetingControl.click();
+    await expect(greetingControl).toHaveAttribute('data-state', 'speaking');
+    expect(await speechLog(page)).toContain('resume');
+  });
+});
@@ -0,0 +1,109 @@
+import { test, expect } from '@playwright/test';
+
+const DEMO_PAGE = '/examples/geuse-chat.html';
+
+test.describe('Webhook request signing', () => {
+  let tokenRequests: any[] = [];
+  let authHeaders: (string | undefined)[] = [];
+  let acceptedToken = 'token-1';
+  let issuedTokens = ['token-1', 'token-2'];
+
+  test.beforeEach(async ({ page }) => {
+    tokenRequests = [];
+    authHeaders = [];
+    acceptedToken = 'token-1';
+    issuedTokens = ['token-1', 'token-2'];
+
+    await page.route('**/session-token', async (route) => {
+      tokenRequests.push(route.request().postDataJSON());
+      const token = issuedTokens[Math.min(tokenRequests.length - 1, issuedTokens.length - 1)];
+      const expiresAt = Math.floor(Date.now() / 1000) + 600;
+      return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ client_secret: token, expires_at: expiresAt }) });
+    });
+
+    await page.route('**/webhook/**', async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action !== 'sendMessage') {
+        return route.fulfill({ status: 200, body: '' });
+      }
+      const authorization = route.request().headers()['authorization'];
+      authHeaders.push(authorization);
+      if (authorization !== `Bearer ${acceptedToken}`) {
+        return route.fulfill({ status: 401, body: 'Unauthorized' });
+      }
+      return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ output: `Echo: ${body.chatInput}` }) });
+    });
+
+    await page.goto(DEMO_PAGE);
+    await page.evaluate(() => document.querySelector('geuse-chat')!.setAttribute('token-endpoint', '/session-token'));
+    await page.locator('geuse-chat #chat-icon').click();
+    await page.locator('geuse-chat .chat-container.visible').waitFor();
+  });
+
+  const send = async (page, text: string) => {
+    await page.locator('geuse-chat .chat-input').fill(text);
+    await page.locator('geuse-chat .chat-input').press('Enter');
+  };
+
+  test('sends a bearer token from the session endpoint and reuses it', async ({ page }) => {
+    await send(page, 'First message');
+    await expect(page.locator('geuse-chat .message.bot', { hasText: 'Echo: First message' })).toBeVisible();
+    await send(page, 'Second message');
+    await expect(page.locator('geuse-chat .message.bot', { hasText: 'Echo: Second message' })).toBeVisible();
+
+    expect(authHeaders).toEqual(['Bearer token-1', 'Bearer token-1']);
+    expect(tokenRequests).toHaveLength(1);
+    expect(typeof tokenRequests[0].deviceId).toBe('string');
+    expect(tokenRequests[0].client_secret).toBeUndefined();
+  });
+
+  test('refreshes a rejected token once and retries the message', async ({ page }) => {
+    acceptedToken = 'token-2';
+
+    await send(page, 'Token went stale');
+    await expect(page.locator('geuse-chat .message.bot', { hasText: 'Echo: Token went stale' })).toBeVisible();
+
+    expect(authHeaders).toEqual(['Bearer token-1', 'Bearer token-2']);
+    expect(tokenRequests).toHaveLength(2);
+    // The refresh carries the rejected token so the endpoint can renew the session
+    expect(tokenRequests[1].client_secret).toBe('token-1');
+  });
+
+  test('surfaces an error when the refreshed token is rejected too', async ({ page }) => {
+    acceptedToken = 'never-issued';
+
+    await send(page, 'Not allowed');
+
+    await expect(page.locator('geuse-chat .message.user.failed + .message-meta .message-status')).toContainText('Access denied (401)');
+    expect(authHeaders).toEqual(['Bearer token-1', 'Bearer token-2']);
+    expect(tokenRequests).toHaveLength(2);
+  });
+
+  test('fails a send when the session endpoint never answers, then recovers', async ({ page }) => {
+    await page.unroute('**/session-token');
+    let hangingRequests = 0;
+    await page.route('**/session-token', () => {
+      hangingRequests++;
+    });
+    await page.clock.install();
+
+    await send(page, 'Endpoint is down');
+    await expect.poll(() => hangingRequests).toBe(1);
+    // Step past each attempt's request timeout and the backoff before the next one
+    await expect.poll(async () => {
+      await page.clock.runFor(40000);
+      return page.locator('geuse-chat .message.user.failed').count();
+    }, { timeout: 15000 }).toBe(1);
+    expect(hangingRequests).toBe(3);
+    expect(authHeaders).toEqual([]);
+
+    await page.unroute('**/session-token');
+    await page.route('**/session-token', (route) => route.fulfill({
+      status: 200,
+      contentType: 'application/json',
+      body: JSON.stringify({ client_secret: 'token-1', expires_in: 600 })
+    }));
+    await send(page, 'Endpoint is back');
+    await expect(page.locator('geuse-chat .message.bot', { hasText: 'Echo: Endpoint is back' })).toBeVisible();
+  });
+});
@@ -0,0 +1,42 @@
+import { test, expect } from '@playwright/test';
+import { sceneRegistry } from '../src/utils/sceneRegistry.js';
+import { generateGalaxyPositions, generateWaveGridPositions, animateWaveGrid } from '../src/utils/sceneGenerators.js';
+
+const NEW_FORMATIONS = ['torusKnot', 'helix', 'dna', 'waveGrid', 'galaxy'];
+
+test.describe('Formation generators', () => {
+  test('are registered for the automatic rotation', () => {
+    expect(sceneRegistry.getNames()).toEqual(expect.arrayContaining(NEW_FORMATIONS));
+    expect(sceneRegistry.get('galaxy')).toMatchObject({ displayName: 'Spiral galaxy', duration: 5000 });
+    expect(typeof sceneRegistry.get('waveGrid').animate).toBe('function');
+  });
+
+  for (const name of NEW_FORMATIONS) {
+    test(`${name} places exactly particlesTotal particles`, () => {
+      for (const particlesTotal of [1, 2, 7, 512, 1000]) {
+        // generatePositions rejects output of the wrong length or with non-finite values
+        expect(sceneRegistry.generatePositions(name, particlesTotal)).toHaveLength(particlesTotal * 3);
+      }
+    });
+
+    test(`${name} is deterministic for a seed`, () => {
+      expect(sceneRegistry.generatePositions(name, 512, { seed: 42 }))
+        .toEqual(sceneRegistry.generatePositions(name, 512, { seed: 42 }));
+    });
+  }
+
+  test('galaxy scatter changes with the seed', () => {
+    expect(generateGalaxyPositions(512, { seed: 'geuse' })).not.toEqual(generateGalaxyPositions(512, { seed: 'other' }));
+  });
+
+  test('wave grid starts its animation where the particles landed', () => {
+    const positions = generateWaveGridPositions(16);
+    const target = { x: positions[3], y: positions[4], z: positions[5] };
+
+    expect(animateWaveGrid(target, 0)).toEqual(target);
+    const later = animateWaveGrid(target, 1);
+    expect(later.x).toBe(target.x);
+    expect(later.z).toBe(target.z);
+    expect(later.y).not.toBeCloseTo(target.y);
+  });
+});
@@ -0,0 +1,87 @@
+import { test, expect } from '@playwright/test';
+import { SceneRegistry, sceneRegistry, DEFAULT_SCENE_DURATION } from '../src/utils/sceneRegistry.js';
+
+const generateLine = (particlesTotal: number) => Array.from({ length: particlesTotal }, (_, i) => [i * 10, 0, 0]).flat();
+
+test.describe('Scene registry', () => {
+  test('registers the built-in formations in cycling order', () => {
+    expect(sceneRegistry.getNames().slice(0, 6)).toEqual(['plane', 'cube', 'sphere', 'random', 'spiral', 'fibonacci']);
+    expect(sceneRegistry.get('sphere')).toMatchObject({ name: 'sphere', displayName: 'Sphere', duration: DEFAULT_SCENE_DURATION });
+    expect(sceneRegistry.generatePositions('cube', 512)).toHaveLength(512 * 3);
+  });
+
+  test('adds and removes formations with metadata', () => {
+    const registry = new SceneRegistry();
+    const changes: Array<{ type: string; name: string }> = [];
+    registry.onChange(change => changes.push(change));
+
+    registry.register('line', generateLine, { displayName: 'Line', duration: 2500 });
+    registry.register('dot', (total: number) => new Array(total * 3).fill(0));
+
+    expect(registry.get('line')).toMatchObject({ displayName: 'Line', duration: 2500 });
+    expect(registry.get('dot')).toMatchObject({ displayName: 'dot', duration: DEFAULT_SCENE_DURATION });
+    expect(registry.getNextName('line')).toBe('dot');
+    expect(registry.getNextName('dot')).toBe('line');
+    expect(registry.getRandomName('line')).toBe('dot');
+
+    expect(registry.unregister('dot')).toBe(true);
+    expect(registry.unregister('dot')).toBe(false);
+    expect(registry.getNames()).toEqual(['line']);
+    expect(changes).toEqual([
+      { type: 'register', name: 'line' },
+      { type: 'register', name: 'dot' },
+      { type: 'unregister', name: 'dot' }
+    ]);
+  });
+
+  test('keeps formations registered with cycle: false out of the automatic rotation', () => {
+    const registry = new SceneRegistry();
+    registry.register('line', generateLine);
+    registry.register('dot', (total: number) => new Array(total * 3).fill(0));
+    registry.register('logo', generateLine, { cycle: false });
+
+    const picks = new Set(Array.from({ length: 20 }, (_, i) => registry.getRandomName('line', () => i / 20)));
+    expect([...picks]).toEqual(['dot']);
+    // Still reachable in order, e.g. with the Space key
+    expect(registry.getNextName('dot')).toBe('logo');
+
+    // The configured text formation only rotates when scene.text.cycle is on
+    expect(sceneRegistry.get('text')).toMatchObject({ cycle: false });
+    expect(sceneRegistry.get('galaxy')).toMatchObject({ cycle: true });
+  });
+
+  test('rejects invalid registrations', () => {
+    const registry = new SceneRegistry();
+    registry.register('line', generateLine);
+
+    expect(() => registry.register('line', generateLine)).toThrow(/already registered/);
+    expect(() => registry.register('', generateLine)).toThrow(/non-empty strings/);
+    expect(() => registry.register('ring', null as any)).toThrow(/generator function/);
+    expect(() => registry.register('ring', generateLine, { duration: -1 })).toThrow(/invalid duration/);
+    expect(() => registry.unregister('line')).toThrow(/only formation left/);
+  });
+
+  test('checks generator output', () => {
+    const registry = new SceneRegistry();
+    registry.register('short', () => [0, 0, 0]);
+    registry.register('broken', (total: number) => new Array(total * 3).fill(NaN));
+
+    expect(() => registry.generatePositions('short', 4)).toThrow('Scene "short" must return 12 finite numbers');
+    expect(() => registry.generatePositions('broken', 4)).toThrow('Scene "broken" must return 12 finite numbers');
+    expect(() => registry.generatePositions('missing', 4)).toThrow(/Unknown scene "missing"/);
+  });
+
+  test('Space cycles through the registered formations in order', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => typeof (window as any).Geuse?.scene === 'object');
+    expect(await page.evaluate(() => (window as any).Geuse.scene.getFormations())).toEqual(sceneRegistry.getNames());
+
+    await page.evaluate(() => {
+      (window as any).sceneChanges = [];
+      window.addEventListener('interaction:scenechange', (event: any) => { (window as any).sceneChanges.push(event.detail.scene); });
+    });
+    const current = await page.evaluate(() => (window as any).Geuse.scene.getFormation());
+    await page.keyboard.press('Space');
+    await expect.poll(() => page.evaluate(() => (window as any).sceneChanges)).toEqual([sceneRegistry.getNextName(current)]);
+  });
+});
@@ -0,0 +1,46 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Server-driven quick replies', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.route('**/webhook/**', async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action !== 'sendMessage') {
+        return route.fulfill({ status: 200, body: '' });
+      }
+      if (body.chatInput === 'Build an AI chatbot') {
+        return route.fulfill({
+          status: 200,
+          contentType: 'application/json',
+          body: JSON.stringify({
+            output: 'Which channel should it live on?',
+            quickReplies: ['Website', { label: 'WhatsApp', value: 'Deploy it on WhatsApp' }]
+          })
+        });
+      }
+      return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ output: `Noted: ${body.chatInput}` }) });
+    });
+
+    await page.goto('/');
+    await page.locator('#chat-icon').click();
+    await page.locator('.chat-container.visible').waitFor();
+  });
+
+  test('shows config-driven greeting chips on first open', async ({ page }) => {
+    await expect(page.locator('.chat-suggestions .chip')).toHaveCount(6);
+    await expect(page.locator('.chat-suggestions .chip').first()).toHaveText('Build an AI chatbot');
+  });
+
+  test('replaces chips with quick replies from the webhook and routes clicks through sendMessage', async ({ page }) => {
+    await page.locator('.chat-suggestions .chip').first().click();
+    await expect(page.locator('.message.bot', { hasText: 'Which channel' })).toBeVisible();
+
+    const chips = page.locator('.chat-suggestions .chip');
+    await expect(chips).toHaveCount(2);
+    await expect(page.locator('.chat-suggestions')).toBeVisible();
+
+    await chips.filter({ hasText: 'WhatsApp' }).click();
+    await expect(page.locator('.message.user').last()).toHaveText('Deploy it on WhatsApp');
+    await expect(page.locator('.message.bot', { hasText: 'Noted: Deploy it on WhatsApp' })).toBeVisible();
+    await expect(page.locator('.chat-suggestions')).toBeHidden();
+  });
+});
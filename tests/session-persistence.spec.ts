@@ -0,0 +1,112 @@
+import { test, expect } from '@playwright/test';
+
+const STORAGE_KEY = 'geuse-chat-session';
+
+test.describe('Persistent chat session', () => {
+  test.beforeEach(async ({ page }) => {
+    // Keep the webhook out of the loop: empty bodies are treated as "no history"
+    await page.route('**/webhook/**', async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action === 'sendMessage') {
+        return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ output: `Echo: ${body.chatInput}` }) });
+      }
+      return route.fulfill({ status: 200, body: '' });
+    });
+  });
+
+  test('restores the session id and transcript after a reload', async ({ page }) => {
+    await page.goto('/');
+    await page.locator('#chat-icon').click();
+    await page.locator('.chat-container.visible').waitFor();
+
+    await page.locator('.chat-input').fill('Remember me');
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.message.bot', { hasText: 'Echo: Remember me' })).toBeVisible();
+
+    const storedBefore = await page.evaluate((key) => JSON.parse(localStorage.getItem(key) || 'null'), STORAGE_KEY);
+    expect(storedBefore?.sessionId).toBeTruthy();
+
+    await page.reload();
+    await page.locator('#chat-icon').click();
+    await page.locator('.chat-container.visible').waitFor();
+
+    await expect(page.locator('.message.user', { hasText: 'Remember me' })).toBeVisible();
+    const storedAfter = await page.evaluate((key) => JSON.parse(localStorage.getItem(key) || 'null'), STORAGE_KEY);
+    expect(storedAfter.sessionId).toBe(storedBefore.sessionId);
+  });
+
+  test('keeps the greeting, ids and times when n8n history is loaded after a reload', async ({ page }) => {
+    await page.goto('/');
+    await page.locator('#chat-icon').click();
+    await page.locator('.chat-container.visible').waitFor();
+
+    await page.locator('.chat-input').fill('Remember me');
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.message.bot', { hasText: 'Echo: Remember me' })).toBeVisible();
+    const before = await page.evaluate((key) => JSON.parse(localStorage.getItem(key) || 'null').messages, STORAGE_KEY);
+
+    // n8n memory holds the exchange but not the greeting, which only exists in the browser
+    await page.route('**/webhook/**', async (route) => {
+      if (route.request().postDataJSON().action !== 'loadPreviousSession') return route.fallback();
+      return route.fulfill({
+        status: 200,
+        contentType: 'application/json',
+        body: JSON.stringify({
+          data: [
+            { id: ['langchain', 'schema', 'HumanMessage'], kwargs: { content: 'Remember me' } },
+            { id: ['langchain', 'schema', 'AIMessage'], kwargs: { content: 'Echo: Remember me' } }
+          ]
+        })
+      });
+    });
+    const historyLoaded = page.waitForResponse(response => response.request().postDataJSON()?.action === 'loadPreviousSession');
+    await page.reload();
+    await historyLoaded;
+    await page.locator('#chat-icon').click();
+
+    await expect(page.locator('.message')).toHaveCount(3);
+    await expect(page.locator('.message').first()).toContainText('Hi! Tell me what');
+    await expect(page.locator('.message.user + .message-meta .message-status')).toHaveText('Sent');
+    await expect(page.locator('.message.user + .message-meta .message-time')).toHaveCount(1);
+
+    const after = await page.evaluate((key) => JSON.parse(localStorage.getItem(key) || 'null').messages, STORAGE_KEY);
+    expect(after.map(({ id, createdAt }) => ({ id, createdAt }))).toEqual(before.map(({ id, createdAt }) => ({ id, createdAt })));
+  });
+
+  test('start new conversation clears the transcript and rotates the session id', async ({ page }) => {
+    await page.goto('/');
+    await page.locator('#chat-icon').click();
+    await page.locator('.chat-container.visible').waitFor();
+
+    await page.locator('.chat-input').fill('First topic');
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.message.user', { hasText: 'First topic' })).toBeVisible();
+
+    const before = await page.evaluate((key) => JSON.parse(localStorage.getItem(key) || 'null').sessionId, STORAGE_KEY);
+    await page.getByRole('button', { name: /start new conversation/i }).click();
+
+    await expect(page.locator('.message.user')).toHaveCount(0);
+    await expect(page.locator('.message.bot', { hasText: 'Hi! Tell me what' })).toBeVisible();
+    const after = await page.evaluate((key) => JSON.parse(localStorage.getItem(key) || 'null').sessionId, STORAGE_KEY);
+    expect(after).not.toBe(before);
+  });
+
+  test('discards sessions that have been idle past the timeout', async ({ page }) => {
+    await page.addInitScript((key) => {
+      localStorage.setItem(key, JSON.stringify({
+        sessionId: 'expired-session',
+        messages: [{ text: 'Old message', sender: 'user' }],
+        createdAt: 0,
+        lastActiveAt: 0
+      }));
+    }, STORAGE_KEY);
+
+    await page.goto('/');
+    await page.locator('#chat-icon').click();
+    await page.locator('.chat-container.visible').waitFor();
+
+    await expect(page.locator('.message.user', { hasText: 'Old message' })).toHaveCount(0);
+    const sessionId = await page.evaluate((key) => JSON.parse(localStorage.getItem(key) || 'null').sessionId, STORAGE_KEY);
+    expect(sessionId).not.toBe('expired-session');
+  });
+});
@@ -0,0 +1,67 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Text and logo formations', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => typeof (window as any).Geuse?.scene === 'object');
+  });
+
+  test('samples the configured text into the requested number of particles', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { sceneRegistry } = await import('/src/utils/sceneRegistry.js');
+      const positions = sceneRegistry.generatePositions('text', 512, { seed: 7 });
+      const xs = positions.filter((_, i) => i % 3 === 0);
+      const zs = positions.filter((_, i) => i % 3 === 2);
+      return {
+        length: positions.length,
+        width: Math.max(...xs) - Math.min(...xs),
+        depth: Math.max(...zs) - Math.min(...zs),
+        repeatable: JSON.stringify(positions) === JSON.stringify(sceneRegistry.generatePositions('text', 512, { seed: 7 }))
+      };
+    });
+
+    expect(result.length).toBe(512 * 3);
+    expect(result.width).toBeGreaterThan(2000);
+    expect(result.width).toBeLessThanOrEqual(3000);
+    expect(result.depth).toBeLessThanOrEqual(240);
+    expect(result.repeatable).toBe(true);
+  });
+
+  test('fills an SVG path such as a logo', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createSvgPathGenerator } = await import('/src/utils/sceneGenerators.js');
+      // Left half of the view box is filled
+      const generate = createSvgPathGenerator({ path: 'M0 0H50V50H0Z', viewBox: [0, 0, 100, 50], width: 1000 });
+      const positions = generate(300);
+      const xs = positions.filter((_, i) => i % 3 === 0);
+      return { length: positions.length, minX: Math.min(...xs), maxX: Math.max(...xs) };
+    });
+
+    expect(result.length).toBe(300 * 3);
+    expect(result.minX).toBeGreaterThanOrEqual(-500);
+    expect(result.maxX).toBeLessThanOrEqual(0);
+  });
+
+  test('rejects text that draws nothing', async ({ page }) => {
+    const message = await page.evaluate(async () => {
+      const { createTextGenerator } = await import('/src/utils/sceneGenerators.js');
+      try {
+        createTextGenerator({ text: '   ' });
+      } catch (error) {
+        return error.message;
+      }
+    });
+    expect(message).toContain('need some text');
+  });
+
+  test('can be targeted like the other formations', async ({ page }) => {
+    expect(await page.evaluate(() => (window as any).Geuse.scene.getFormations())).toContain('text');
+
+    await page.evaluate(() => {
+      const geuse = (window as any).Geuse;
+      geuse.scene.setAutoCycle(false);
+      geuse.scene.setFormation('text');
+    });
+    await expect.poll(() => page.evaluate(() => (window as any).Geuse.scene.getFormation())).toBe('text');
+  });
+});
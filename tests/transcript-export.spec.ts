@@ -0,0 +1,76 @@
+import { test, expect } from '@playwright/test';
+import { readFile } from 'fs/promises';
+
+test.describe('Conversation export', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.route('**/webhook/**', async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action !== 'sendMessage') {
+        return route.fulfill({ status: 200, body: '' });
+      }
+      return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ output: `Sure — **${body.chatInput}**` }) });
+    });
+
+    await page.goto('/');
+    await page.locator('#chat-icon').click();
+    await page.locator('.chat-container.visible').waitFor();
+
+    await page.locator('.chat-input').fill('A booking site');
+    await page.locator('.chat-input').press('Enter');
+    await expect(page.locator('.message.bot', { hasText: 'A booking site' })).toBeVisible();
+  });
+
+  test('opens a keyboard-navigable format menu from the header', async ({ page }) => {
+    const trigger = page.locator('.export-conversation');
+    await trigger.click();
+    await expect(trigger).toHaveAttribute('aria-expanded', 'true');
+    await expect(page.locator('.chat-export-menu [role="menuitem"]').first()).toBeFocused();
+
+    await page.keyboard.press('ArrowDown');
+    await expect(page.locator('.chat-export-menu [data-format="json"]')).toBeFocused();
+
+    await page.keyboard.press('Escape');
+    await expect(page.locator('.chat-export-menu')).toBeHidden();
+    await expect(page.locator('.chat-container.visible')).toBeVisible();
+    await expect(trigger).toBeFocused();
+  });
+
+  test('downloads a JSON transcript with session id, timestamps and senders', async ({ page }) => {
+    await page.locator('.export-conversation').click();
+    const [download] = await Promise.all([
+      page.waitForEvent('download'),
+      page.locator('.chat-export-menu [data-format="json"]').click()
+    ]);
+
+    expect(download.suggestedFilename()).toMatch(/^geuse-conversation-\d{4}-\d{2}-\d{2}\.json$/);
+    const transcript = JSON.parse(await readFile(await download.path() as string, 'utf8'));
+    expect(transcript.sessionId).toBeTruthy();
+    const user = transcript.messages.find((msg: { sender: string }) => msg.sender === 'user');
+    expect(user.text).toBe('A booking site');
+    expect(Date.parse(user.createdAt)).not.toBeNaN();
+  });
+
+  test('downloads a Markdown transcript', async ({ page }) => {
+    await page.locator('.export-conversation').click();
+    const [download] = await Promise.all([
+      page.waitForEvent('download'),
+      page.locator('.chat-export-menu [data-format="markdown"]').click()
+    ]);
+
+    expect(download.suggestedFilename()).toMatch(/\.md$/);
+    const markdown = await readFile(await download.path() as string, 'utf8');
+    expect(markdown).toContain('**You**');
+    expect(markdown).toContain('A booking site');
+  });
+
+  test('attaches the plain-text transcript to the header email link', async ({ page }) => {
+    const mailLink = page.locator('.chat-header-mail');
+    // Prevent the mail client from opening while still running the click handler
+    await mailLink.evaluate((link) => link.addEventListener('click', (e) => e.preventDefault()));
+    await mailLink.click();
+
+    const href = decodeURIComponent(await mailLink.getAttribute('href') as string);
+    expect(href).toMatch(/^mailto:info@geuse\.io\?subject=Service Inquiry/);
+    expect(href).toContain('You: A booking site');
+  });
+});
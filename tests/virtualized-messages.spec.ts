@@ -0,0 +1,81 @@
+import { test, expect } from '@playwright/test';
+
+const STORAGE_KEY = 'geuse-chat-session';
+const MESSAGE_COUNT = 200;
+
+test.describe('Virtualized message list', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.addInitScript(({ key, count }) => {
+      const now = Date.now();
+      const messages = Array.from({ length: count }, (_, i) => ({
+        id: `msg-${i}`,
+        text: `Message ${i}`,
+        sender: i % 2 === 0 ? 'user' : 'bot',
+        status: 'sent',
+        createdAt: new Date(now - (count - i) * 1000).toISOString()
+      }));
+      localStorage.setItem(key, JSON.stringify({ sessionId: 'long-session', messages, createdAt: now, lastActiveAt: now }));
+    }, { key: STORAGE_KEY, count: MESSAGE_COUNT });
+
+    await page.route('**/webhook/**', async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action !== 'sendMessage') {
+        return route.fulfill({ status: 200, body: '' });
+      }
+      return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ output: `Echo: ${body.chatInput}` }) });
+    });
+
+    await page.goto('/');
+    await page.locator('#chat-icon').click();
+    await page.locator('.chat-container.visible').waitFor();
+  });
+
+  const renderedIndexes = (page) => page.locator('.chat-messages .message').evaluateAll(
+    elements => elements.map(element => Number((element as HTMLElement).dataset.messageIndex))
+  );
+
+  test('renders only the end of a long transcript', async ({ page }) => {
+    await expect(page.locator('.message', { hasText: `Message ${MESSAGE_COUNT - 1}` })).toBeVisible();
+
+    const indexes = await renderedIndexes(page);
+    expect(indexes.length).toBeLessThan(60);
+    expect(indexes[indexes.length - 1]).toBe(MESSAGE_COUNT - 1);
+    // Rendered bubbles keep their position in the full transcript
+    indexes.forEach((index, i) => expect(index).toBe(indexes[0] + i));
+    await expect(page.locator('.chat-messages-spacer.top')).toBeVisible();
+  });
+
+  test('renders earlier messages when scrolling up', async ({ page }) => {
+    const messages = page.locator('.chat-messages');
+    await expect(page.locator('.message', { hasText: `Message ${MESSAGE_COUNT - 1}` })).toBeVisible();
+
+    await messages.evaluate((element) => { element.scrollTop = 0; });
+    await expect(page.locator('.message[data-message-index="0"]')).toBeAttached();
+    await expect(page.locator(`.message[data-message-index="${MESSAGE_COUNT - 1}"]`)).not.toBeAttached();
+    expect((await renderedIndexes(page)).length).toBeLessThan(60);
+
+    await messages.evaluate((element) => { element.scrollTop = element.scrollHeight; });
+    await expect(page.locator(`.message[data-message-index="${MESSAGE_COUNT - 1}"]`)).toBeAttached();
+  });
+
+  test('returns focus to a message after it scrolls out and back in', async ({ page }) => {
+    const messages = page.locator('.chat-messages');
+    const last = page.locator(`.message[data-message-index="${MESSAGE_COUNT - 1}"]`);
+    await last.focus();
+
+    await messages.evaluate((element) => { element.scrollTop = 0; });
+    await expect(last).not.toBeAttached();
+    await expect(messages).toBeFocused();
+
+    await messages.evaluate((element) => { element.scrollTop = element.scrollHeight; });
+    await expect(last).toBeFocused();
+  });
+
+  test('appends new messages while following the end', async ({ page }) => {
+    await page.locator('.chat-input').fill('One more');
+    await page.keyboard.press('Enter');
+
+    await expect(page.locator('.message.bot', { hasText: 'Echo: One more' })).toBeVisible();
+    await expect(page.locator('.message.bot').last()).toHaveAttribute('data-message-index', String(MESSAGE_COUNT + 1));
+  });
+});
@@ -3,7 +3,8 @@ import { test, expect } from '@playwright/test';
 test.describe('Visual Verification of Chat Suggestion Fix', () => {
   test('Visual verification with screenshots', async ({ page }) => {
     // Navigate to the application
-    await page.goto('/');
+    // A fixed seed keeps the particle scene the same between runs
+    await page.goto('/?seed=visual-verification');
 
     // Take initial screenshot
     await page.screenshot({
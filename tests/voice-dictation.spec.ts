@@ -0,0 +1,90 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Voice dictation', () => {
+  test('hides the microphone when the Web Speech API is missing', async ({ page }) => {
+    await page.addInitScript(() => {
+      delete (window as any).SpeechRecognition;
+      delete (window as any).webkitSpeechRecognition;
+    });
+    await page.goto('/');
+    await page.locator('#chat-icon').click();
+    await page.locator('.chat-container.visible').waitFor();
+
+    await expect(page.locator('.chat-input')).toBeVisible();
+    await expect(page.locator('.chat-mic')).toHaveCount(0);
+  });
+
+  test.describe('with speech recognition', () => {
+    test.beforeEach(async ({ page }) => {
+      // Scriptable stand-in for the browser recognizer
+      await page.addInitScript(() => {
+        class FakeRecognition {
+          lang = '';
+          onresult: ((event: unknown) => void) | null = null;
+          onerror: ((event: unknown) => void) | null = null;
+          onend: (() => void) | null = null;
+          start() {
+            (window as any).__recognition = this;
+          }
+          stop() {
+            this.onend?.();
+          }
+          abort() {
+            this.onend?.();
+          }
+          emit(transcript: string, isFinal: boolean) {
+            const result = Object.assign([{ transcript }], { isFinal });
+            this.onresult?.({ resultIndex: 0, results: [result] });
+          }
+        }
+        (window as any).SpeechRecognition = FakeRecognition;
+      });
+
+      await page.route('**/webhook/**', async (route) => {
+        const body = route.request().postDataJSON();
+        if (body.action !== 'sendMessage') {
+          return route.fulfill({ status: 200, body: '' });
+        }
+        return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ output: `Heard: ${body.chatInput}` }) });
+      });
+
+      await page.goto('/');
+      await page.locator('#chat-icon').click();
+      await page.locator('.chat-container.visible').waitFor();
+    });
+
+    test('shows interim and final transcripts without sending', async ({ page }) => {
+      const mic = page.locator('.chat-mic');
+      await mic.click();
+      await expect(mic).toHaveAttribute('aria-pressed', 'true');
+
+      const lang = await page.evaluate(() => (window as any).__recognition.lang);
+      expect(lang).toBe(await page.evaluate(() => navigator.languages[0] || navigator.language));
+
+      await page.evaluate(() => (window as any).__recognition.emit('build me a', false));
+      await expect(page.locator('.chat-input')).toHaveValue('build me a');
+
+      await page.evaluate(() => (window as any).__recognition.emit('build me a booking app', true));
+      await mic.click();
+
+      await expect(mic).toHaveAttribute('aria-pressed', 'false');
+      await expect(page.locator('.chat-input')).toHaveValue('build me a booking app');
+      await expect(page.locator('.message.user')).toHaveCount(0);
+
+      await page.keyboard.press('Enter');
+      await expect(page.locator('.message.bot', { hasText: 'Heard: build me a booking app' })).toBeVisible();
+    });
+
+    test('reports a blocked microphone', async ({ page }) => {
+      await page.locator('.chat-mic').click();
+      await page.evaluate(() => {
+        const recognition = (window as any).__recognition;
+        recognition.onerror({ error: 'not-allowed' });
+        recognition.onend();
+      });
+
+      await expect(page.locator('.chat-input-notice')).toHaveText('Microphone access is blocked');
+      await expect(page.locator('.chat-mic')).toHaveAttribute('aria-pressed', 'false');
+    });
+  });
+});
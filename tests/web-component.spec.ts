@@ -0,0 +1,77 @@
+import { test, expect } from '@playwright/test';
+
+const DEMO_PAGE = '/examples/geuse-chat.html';
+
+test.describe('<geuse-chat> web component', () => {
+  let requestUrls: string[] = [];
+
+  test.beforeEach(async ({ page }) => {
+    requestUrls = [];
+    await page.route('**/webhook/**', async (route) => {
+      const body = route.request().postDataJSON();
+      if (body.action !== 'sendMessage') {
+        return route.fulfill({ status: 200, body: '' });
+      }
+      requestUrls.push(route.request().url());
+      return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ output: `Echo: ${body.chatInput}` }) });
+    });
+  });
+
+  test('renders the chat inside a shadow root without the 3D scene', async ({ page }) => {
+    await page.goto(DEMO_PAGE);
+    await page.locator('geuse-chat #chat-icon').click();
+    await expect(page.locator('geuse-chat .chat-container.visible')).toBeVisible();
+
+    // Styles stay encapsulated: the page has no chat container of its own and no renderer
+    expect(await page.evaluate(() => document.querySelectorAll('.chat-container').length)).toBe(0);
+    await expect(page.locator('#threejs-renderer-container')).toHaveCount(0);
+    expect(await page.evaluate(() => document.querySelector('geuse-chat')!.shadowRoot!.querySelector('style')!.textContent!.includes(':host'))).toBe(true);
+  });
+
+  test('uses the greeting and suggestions attributes', async ({ page }) => {
+    await page.goto(DEMO_PAGE);
+    await page.locator('geuse-chat #chat-icon').click();
+
+    await expect(page.locator('geuse-chat .message.bot').first()).toHaveText('Hi! What can we build for you?');
+    await expect(page.locator('geuse-chat .chat-suggestions')).toContainText('Build an online store');
+    await expect(page.locator('geuse-chat .chat-suggestions')).toContainText('Automate my invoices');
+  });
+
+  test('sends messages to the webhook-url attribute', async ({ page }) => {
+    await page.goto(DEMO_PAGE);
+    await page.evaluate(() => document.querySelector('geuse-chat')!.setAttribute('webhook-url', 'https://hooks.example.com/webhook/client-site'));
+    await page.locator('geuse-chat #chat-icon').click();
+
+    await page.locator('geuse-chat .chat-input').fill('Hello from a client site');
+    await page.locator('geuse-chat .chat-input').press('Enter');
+
+    await expect(page.locator('geuse-chat .message.bot', { hasText: 'Echo: Hello from a client site' })).toBeVisible();
+    expect(requestUrls).toEqual(['https://hooks.example.com/webhook/client-site']);
+  });
+
+  test('applies the theme attribute to the element only', async ({ page }) => {
+    await page.goto(DEMO_PAGE);
+    const element = page.locator('geuse-chat');
+
+    await element.evaluate((node) => node.setAttribute('theme', 'dark'));
+    await expect(element).toHaveAttribute('data-theme', 'dark');
+
+    await page.locator('geuse-chat #chat-icon').click();
+    await page.locator('geuse-chat .theme-toggle').click();
+    await expect(element).toHaveAttribute('data-theme', 'light');
+    expect(await page.evaluate(() => document.documentElement.hasAttribute('data-theme'))).toBe(false);
+  });
+
+  test('keeps header menus open when clicking inside them', async ({ page }) => {
+    await page.goto(DEMO_PAGE);
+    await page.locator('geuse-chat #chat-icon').click();
+
+    await page.locator('geuse-chat .thread-switcher').click();
+    await expect(page.locator('geuse-chat .chat-threads')).toBeVisible();
+    await page.locator('geuse-chat .chat-threads').click({ position: { x: 2, y: 2 } });
+    await expect(page.locator('geuse-chat .chat-threads')).toBeVisible();
+
+    await page.locator('main h1').click();
+    await expect(page.locator('geuse-chat .chat-threads')).toBeHidden();
+  });
+});
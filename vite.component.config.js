@@ -0,0 +1,24 @@
+import { defineConfig } from 'vite';
+import { loadConfig } from './loadConfig.js';
+
+// Library build of the <geuse-chat> custom element for embedding on other sites
+// Run after the main build, which empties the output directory
+export default defineConfig(({ mode }) => {
+  const config = loadConfig({ mode });
+
+  return {
+    publicDir: false,
+    build: {
+      outDir: `${config.build.outputDir}/component`,
+      emptyOutDir: true,
+      sourcemap: config.build.sourceMap,
+      minify: config.build.minify,
+      lib: {
+        entry: 'src/chatElement.js',
+        name: 'GeuseChat',
+        formats: ['es', 'iife'],
+        fileName: (format) => (format === 'es' ? 'geuse-chat.js' : 'geuse-chat.iife.js')
+      }
+    }
+  };
+});
@@ -1,70 +1,75 @@
 import { defineConfig } from 'vite';
-import { config } from './config.js';
+import { loadConfig } from './loadConfig.js';
 import { generateServiceWorker } from './generate-sw.js';
 
-export default defineConfig({
-  build: {
-    outDir: config.build.outputDir,
-    sourcemap: config.build.sourceMap,
-    minify: config.build.minify,
-    // CSS optimization for better font rendering performance
-    cssCodeSplit: true,
-    rollupOptions: {
-      output: {
-        // Ensure all assets get content hashes for cache busting
-        entryFileNames: 'assets/[name]-[hash].js',
-        chunkFileNames: 'assets/[name]-[hash].js',
-        assetFileNames: (assetInfo) => {
-          const info = assetInfo.name.split('.');
-          const ext = info[info.length - 1];
-          if (/\.(css)$/.test(assetInfo.name)) {
-            return `assets/[name]-[hash].${ext}`;
-          }
-          if (/\.(png|jpe?g|gif|svg|webp|ico)$/.test(assetInfo.name)) {
+// The config is validated for the mode being built, so bad settings stop the build
+export default defineConfig(({ mode }) => {
+  const config = loadConfig({ mode });
+
+  return {
+    build: {
+      outDir: config.build.outputDir,
+      sourcemap: config.build.sourceMap,
+      minify: config.build.minify,
+      // CSS optimization for better font rendering performance
+      cssCodeSplit: true,
+      rollupOptions: {
+        output: {
+          // Ensure all assets get content hashes for cache busting
+          entryFileNames: 'assets/[name]-[hash].js',
+          chunkFileNames: 'assets/[name]-[hash].js',
+          assetFileNames: (assetInfo) => {
+            const info = assetInfo.name.split('.');
+            const ext = info[info.length - 1];
+            if (/\.(css)$/.test(assetInfo.name)) {
+              return `assets/[name]-[hash].${ext}`;
+            }
+            if (/\.(png|jpe?g|gif|svg|webp|ico)$/.test(assetInfo.name)) {
+              return `assets/[name]-[hash].${ext}`;
+            }
+            if (/\.(woff2?|eot|ttf|otf)$/.test(assetInfo.name)) {
+              return `assets/fonts/[name]-[hash].${ext}`;
+            }
             return `assets/[name]-[hash].${ext}`;
+          },
+          manualChunks: {
+            three: ['three'],
+            tween: ['@tweenjs/tween.js']
           }
-          if (/\.(woff2?|eot|ttf|otf)$/.test(assetInfo.name)) {
-            return `assets/fonts/[name]-[hash].${ext}`;
-          }
-          return `assets/[name]-[hash].${ext}`;
-        },
-        manualChunks: {
-          three: ['three'],
-          tween: ['@tweenjs/tween.js']
         }
       }
-    }
-  },
-  define: {
-    __WEBHOOK_URL__: JSON.stringify(config.webhookUrl),
-    __BUILD_TIME__: JSON.stringify(new Date().toISOString()),
-    __VERSION__: JSON.stringify(process.env.npm_package_version || '1.0.0')
-  },
-  plugins: [
-    {
-      name: 'generate-service-worker',
-      writeBundle() {
-        // Generate service worker after build is complete
-        try {
-          console.log('\n🔧 Generating service worker...');
-          const result = generateServiceWorker();
-          console.log(`✅ Service worker generated with cache version: ${result.cacheVersion}`);
-        } catch (error) {
-          console.error('❌ Failed to generate service worker:', error);
-          throw error;
+    },
+    define: {
+      __WEBHOOK_URL__: JSON.stringify(config.webhookUrl),
+      __BUILD_TIME__: JSON.stringify(new Date().toISOString()),
+      __VERSION__: JSON.stringify(process.env.npm_package_version || '1.0.0')
+    },
+    plugins: [
+      {
+        name: 'generate-service-worker',
+        writeBundle() {
+          // Generate service worker after build is complete
+          try {
+            console.log('\n🔧 Generating service worker...');
+            const result = generateServiceWorker();
+            console.log(`✅ Service worker generated with cache version: ${result.cacheVersion}`);
+          } catch (error) {
+            console.error('❌ Failed to generate service worker:', error);
+            throw error;
+          }
         }
       }
+    ],
+    css: {
+      // Enhanced CSS optimization for better font rendering
+      devSourcemap: true,
+      postcss: {
+        plugins: []
+      }
+    },
+    server: {
+      port: 3000,
+      open: true
     }
-  ],
-  css: {
-    // Enhanced CSS optimization for better font rendering
-    devSourcemap: true,
-    postcss: {
-      plugins: []
-    }
-  },
-  server: {
-    port: 3000,
-    open: true
-  }
-}); 
\ No newline at end of file
+  };
+});